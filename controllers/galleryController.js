@@ -1,6 +1,7 @@
 import Gallery from '../models/Gallery.js';
 import User from '../models/User.js';
 import cloudinary from 'cloudinary';
+import { parseListQuery, paginateQuery } from '../utils/pagination.js';
 
 // Add a new image to the gallery
 export const addImage = async (req, res) => {
@@ -62,7 +63,7 @@ export const editImage = async (req, res) => {
       return res.status(404).json({ message: 'الصورة غير موجودة' });
     }
 
-    if (galleryImage.uploadedBy.toString() !== req.userId && req.userRole !== 'admin') {
+    if (galleryImage.uploadedBy.toString() !== req.userId && req.permissionScope !== 'all') {
       return res.status(403).json({ message: 'غير مصرح لك بتعديل هذه الصورة' });
     }
 
@@ -112,7 +113,7 @@ export const deleteImage = async (req, res) => {
       return res.status(404).json({ message: 'الصورة غير موجودة' });
     }
 
-    if (galleryImage.uploadedBy.toString() !== req.userId && req.userRole !== 'admin') {
+    if (galleryImage.uploadedBy.toString() !== req.userId && req.permissionScope !== 'all') {
       return res.status(403).json({ message: 'غير مصرح لك بحذف هذه الصورة' });
     }
 
@@ -134,8 +135,19 @@ export const deleteImage = async (req, res) => {
 // Get all images in the gallery
 export const getAllImages = async (req, res) => {
   try {
-    const galleryImages = await Gallery.find().populate('uploadedBy', 'email');
-    if (!galleryImages.length) {
+    const list = parseListQuery(req.query, {
+      sortFields: ['createdAt', 'title'],
+      filters: {
+        title: { field: 'title', type: 'contains' },
+        uploadedBy: { field: 'uploadedBy', type: 'objectId' }
+      }
+    });
+    if (list.error) {
+      return res.status(400).json({ message: list.error });
+    }
+
+    const { items: galleryImages, pagination } = await paginateQuery(Gallery, list, {}, query => query.populate('uploadedBy', 'email'));
+    if (pagination.total === 0) {
       return res.status(404).json({ message: 'لا توجد صور في المعرض' });
     }
 
@@ -155,7 +167,8 @@ export const getAllImages = async (req, res) => {
     console.log('تم جلب جميع الصور:', formattedImages.length);
     res.json({
       message: 'تم جلب جميع الصور بنجاح',
-      data: formattedImages
+      data: formattedImages,
+      pagination
     });
   } catch (error) {
     console.error('خطأ في جلب جميع الصور:', error);
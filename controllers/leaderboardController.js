@@ -5,6 +5,9 @@ import Gallery from '../models/Gallery.js'; // إضافة استيراد Gallery
 import validator from 'validator';
 import { calculateRankScore } from '../utils/leaderboardUtils.js';
 import cloudinary from 'cloudinary';
+import { recordAudit, snapshot } from '../utils/auditLog.js';
+import { adjustHoursTo } from '../utils/hoursLedger.js';
+import { parseListQuery, paginateArray } from '../utils/pagination.js';
 
 export const addUserToLeaderboard = async (req, res) => {
   try {
@@ -105,6 +108,12 @@ export const addUserToLeaderboard = async (req, res) => {
     }
 
     await leaderboardEntry.save();
+    await recordAudit(req, {
+      action: 'leaderboard.add',
+      targetType: 'Leaderboard',
+      targetId: leaderboardEntry._id,
+      after: snapshot(leaderboardEntry, ['email', 'type', 'name', 'rank'])
+    });
 
     // Calculate rank score
     const score = joinRequest ? calculateRankScore(joinRequest.volunteerHours, user.numberOfStudents) : 0;
@@ -135,42 +144,63 @@ export const addUserToLeaderboard = async (req, res) => {
 
 export const getLeaderboard = async (req, res) => {
   try {
+    // Ranking needs every entry's score, so the leaderboard is built in memory and paginated afterwards
+    const list = parseListQuery(req.query, {
+      sortFields: ['score', 'position', 'name', 'volunteerHours', 'numberOfStudents'],
+      defaultSort: '-score',
+      filters: {
+        type: { field: 'type', type: 'exact', values: ['متطوع', 'قاده'] }
+      }
+    });
+    if (list.error) {
+      return res.status(400).json({ message: list.error });
+    }
+
     const leaderboardUsers = await Leaderboard.find();
     if (!leaderboardUsers.length) {
       return res.status(404).json({ message: 'لا يوجد مستخدمين في لوحة الصدارة' });
     }
 
-    const leaderboard = await Promise.all(
-      leaderboardUsers.map(async (entry) => {
-        const joinRequest = await JoinRequest.findOne({ email: entry.email, status: 'Approved' });
-        const user = await User.findOne({ email: entry.email });
-        const score = joinRequest && user ? calculateRankScore(joinRequest.volunteerHours || 0, user.numberOfStudents || 0) : 0;
+    const emails = leaderboardUsers.map(entry => entry.email);
+    const [joinRequests, users] = await Promise.all([
+      JoinRequest.find({ email: { $in: emails }, status: 'Approved' }),
+      User.find({ email: { $in: emails } })
+    ]);
 
-        let imageUrl = entry.image;
-        if (entry.type === 'متطوع' && user) {
-          imageUrl = user.profileImage || null;
-        }
+    const leaderboard = leaderboardUsers.map((entry) => {
+      const joinRequest = joinRequests.find(candidate => candidate.email === entry.email);
+      const user = users.find(candidate => candidate.email === entry.email);
+      const score = joinRequest && user ? calculateRankScore(joinRequest.volunteerHours || 0, user.numberOfStudents || 0) : 0;
 
-        // تخطي السجلات إذا لم يكن المستخدم موجودًا
-        if (!user && entry.type === 'متطوع') {
-          console.log(`تحذير: المستخدم غير موجود للبريد ${entry.email}`);
-          return null;
-        }
+      let imageUrl = entry.image;
+      if (entry.type === 'متطوع' && user) {
+        imageUrl = user.profileImage || null;
+      }
+
+      // تخطي السجلات إذا لم يكن المستخدم موجودًا
+      if (!user && entry.type === 'متطوع') {
+        console.log(`تحذير: المستخدم غير موجود للبريد ${entry.email}`);
+        return null;
+      }
+
+      // تخطي الحسابات المؤرشفة
+      if (user?.archivedAt) {
+        return null;
+      }
 
-        return {
-          id: entry._id,
-          name: entry.name,
-          email: entry.email,
-          type: entry.type,
-          rank: entry.rank || null,
-          image: imageUrl,
-          volunteerHours: joinRequest ? joinRequest.volunteerHours || 0 : 0,
-          numberOfStudents: user ? user.numberOfStudents || 0 : 0,
-          subjects: user ? user.subjects || [] : [],
-          score,
-        };
-      })
-    );
+      return {
+        id: entry._id,
+        name: entry.name,
+        email: entry.email,
+        type: entry.type,
+        rank: entry.rank || null,
+        image: imageUrl,
+        volunteerHours: joinRequest ? joinRequest.volunteerHours || 0 : 0,
+        numberOfStudents: user ? user.numberOfStudents || 0 : 0,
+        subjects: user ? user.subjects || [] : [],
+        score,
+      };
+    });
 
     const validLeaderboard = leaderboard.filter(entry => entry !== null);
 
@@ -183,11 +213,16 @@ export const getLeaderboard = async (req, res) => {
     const rankedLeaderboard = validLeaderboard.map((entry, index) => ({
       rank: index + 1,
       ...entry,
+      position: index + 1,
     }));
 
+    const filtered = rankedLeaderboard.filter(entry => !list.filter.type || entry.type === list.filter.type);
+    const { items, pagination } = paginateArray(filtered, list);
+
     res.json({
       message: 'تم جلب لوحة الصدارة بنجاح',
-      data: rankedLeaderboard,
+      data: items,
+      pagination,
     });
   } catch (error) {
     console.error('خطأ في جلب لوحة الصدارة:', error);
@@ -197,7 +232,7 @@ export const getLeaderboard = async (req, res) => {
 
 export const editUserInLeaderboard = async (req, res) => {
   try {
-    const { email, name, rank, volunteerHours, numberOfStudents, subjects } = req.body;
+    const { email, name, rank, volunteerHours, numberOfStudents, subjects, hoursReason } = req.body;
     const file = req.file;
 
     if (!email) {
@@ -214,6 +249,7 @@ export const editUserInLeaderboard = async (req, res) => {
 
     let imageUrl = leaderboardEntry.image;
     let imagePublicId = leaderboardEntry.imagePublicId;
+    const before = snapshot(leaderboardEntry, ['name', 'rank', 'image']);
 
     if (leaderboardEntry.type === 'قاده' && file) {
       // Delete old image from Cloudinary if it exists
@@ -250,10 +286,10 @@ export const editUserInLeaderboard = async (req, res) => {
 
     let joinRequest = await JoinRequest.findOne({ email, status: 'Approved' });
     let user = await User.findOne({ email });
+    before.volunteerHours = joinRequest ? joinRequest.volunteerHours || 0 : null;
+    before.numberOfStudents = user ? user.numberOfStudents || 0 : null;
+    before.subjects = user ? [...user.subjects] : null;
 
-    if (volunteerHours !== undefined && joinRequest) {
-      joinRequest.volunteerHours = parseInt(volunteerHours);
-    }
     if (subjects) {
       if (!Array.isArray(subjects) || subjects.some(subject => typeof subject !== 'string' || subject.trim() === '')) {
         return res.status(400).json({ message: 'المواد يجب أن تكون قائمة من النصوص غير الفارغة' });
@@ -261,6 +297,16 @@ export const editUserInLeaderboard = async (req, res) => {
       if (joinRequest) joinRequest.subjects = subjects;
       if (user) user.subjects = subjects;
     }
+    if (volunteerHours !== undefined && joinRequest) {
+      const hours = parseInt(volunteerHours);
+      if (isNaN(hours) || hours < 0) {
+        return res.status(400).json({ message: 'ساعات التطوع يجب أن تكون صفر أو أكثر' });
+      }
+      await adjustHoursTo(joinRequest, hours, {
+        reason: hoursReason || 'تعديل من لوحة الصدارة',
+        createdBy: req.userId
+      });
+    }
     if (numberOfStudents !== undefined && user) {
       user.numberOfStudents = parseInt(numberOfStudents);
     }
@@ -271,6 +317,19 @@ export const editUserInLeaderboard = async (req, res) => {
       user ? user.save() : Promise.resolve(),
     ]);
 
+    await recordAudit(req, {
+      action: 'leaderboard.edit',
+      targetType: 'Leaderboard',
+      targetId: leaderboardEntry._id,
+      before,
+      after: {
+        ...snapshot(leaderboardEntry, ['name', 'rank', 'image']),
+        volunteerHours: joinRequest ? joinRequest.volunteerHours || 0 : null,
+        numberOfStudents: user ? user.numberOfStudents || 0 : null,
+        subjects: user ? [...user.subjects] : null
+      }
+    });
+
     const score = joinRequest && user ? calculateRankScore(joinRequest.volunteerHours, user.numberOfStudents) : 0;
 
     const response = {
@@ -332,6 +391,12 @@ export const deleteUserFromLeaderboard = async (req, res) => {
 
     // Delete the leaderboard entry
     await Leaderboard.deleteOne({ email });
+    await recordAudit(req, {
+      action: 'leaderboard.remove',
+      targetType: 'Leaderboard',
+      targetId: leaderboardEntry._id,
+      before: snapshot(leaderboardEntry, ['email', 'type', 'name', 'rank'])
+    });
 
     // Optionally, delete the user from the User collection
     // if (user) {
@@ -3,6 +3,25 @@ import PDF from '../models/pdf.js';
 import User from '../models/User.js';
 import JoinRequest from '../models/JoinRequest.js';
 import mongoose from 'mongoose';
+import { recordAudit } from '../utils/auditLog.js';
+import { awardHours } from '../utils/hoursLedger.js';
+import { sendStoredFile, removeFile } from '../utils/fileStore.js';
+import { queueExtraction } from '../utils/pdfExtraction.js';
+import { resolveFacets } from '../utils/facets.js';
+import { findExactDuplicate, describeDuplicate, findPossibleDuplicates } from '../utils/duplicates.js';
+import { loadViewer } from '../utils/pdfVisibility.js';
+import { screenUpload } from '../utils/quarantine.js';
+import { parseListQuery, paginateQuery } from '../utils/pagination.js';
+import { getPermissionScope } from '../utils/permissions.js';
+import {
+  REVIEW_ACTIONS,
+  COMMENT_REQUIRED,
+  getReviewRounds,
+  getCurrentRound,
+  addResubmission,
+  notifyUploader,
+  formatReviewRound
+} from '../utils/lectureRequestReview.js';
 
 export const uploadLectureRequest = async (req, res) => {
   try {
@@ -11,25 +30,56 @@ export const uploadLectureRequest = async (req, res) => {
     }
     const { title, description, creatorName, subject, semester, country, academicLevel } = req.body;
     if (!title || !description || !creatorName || !subject || !semester || !country || !academicLevel) {
+      await removeFile(req.file.storedFile).catch(() => {});
       return res.status(400).json({ message: 'جميع الحقول (العنوان، الوصف، اسم المنشئ، المادة، الفصل الدراسي، الدولة، المرحلة الدراسية) مطلوبة' });
     }
 
+    // Country, level, semester and subject must come from the library vocabulary (aliases are accepted)
+    const facets = await resolveFacets(req.body);
+    if (facets.error) {
+      await removeFile(req.file.storedFile).catch(() => {});
+      return res.status(400).json({ message: facets.error });
+    }
+
+    // Identical files are turned away with a pointer to the copy that already exists
+    const duplicate = await findExactDuplicate(req.file.storedFile.sha256);
+    if (duplicate) {
+      await removeFile(req.file.storedFile).catch(() => {});
+      const viewer = await loadViewer(req);
+      return res.status(409).json({
+        message: 'هذا الملف موجود بالفعل في المكتبة أو بانتظار المراجعة',
+        duplicate: describeDuplicate(duplicate, { viewer, userId: req.userId, role: req.userRole })
+      });
+    }
+
+    // Structure, active content and malware checks; suspicious files are held for an admin
+    const held = await screenUpload(req, res, {
+      target: 'lecture_request',
+      fields: { title, description, creatorName, ...facets.values }
+    });
+    if (held) return;
+
     const lectureRequest = new LectureRequest({
       title,
       description,
       creatorName,
-      subject,
-      semester,
-      country,
-      academicLevel,
-      fileData: req.file.buffer,
+      ...facets.values,
+      file: req.file.storedFile,
       fileName: req.file.originalname,
       mimeType: req.file.mimetype,
       uploadedBy: req.userId,
       status: 'pending'
     });
 
-    await lectureRequest.save();
+    try {
+      await lectureRequest.save();
+    } catch (saveError) {
+      await removeFile(req.file.storedFile).catch(() => {});
+      throw saveError;
+    }
+    // Page count, text and thumbnail are filled in by a background job
+    queueExtraction('LectureRequest', lectureRequest._id);
+
     res.status(201).json({
       message: 'تم تقديم طلب رفع المحاضرة بنجاح، بانتظار الموافقة',
       lectureRequest: {
@@ -43,6 +93,7 @@ export const uploadLectureRequest = async (req, res) => {
         academicLevel: lectureRequest.academicLevel,
         fileName: lectureRequest.fileName,
         status: lectureRequest.status,
+        extractionStatus: lectureRequest.extraction.status,
         uploadedBy: lectureRequest.uploadedBy.toString(),
         createdAt: lectureRequest.createdAt
       }
@@ -55,8 +106,10 @@ export const uploadLectureRequest = async (req, res) => {
 export const getPendingLectureRequests = async (req, res) => {
   try {
     const lectureRequests = await LectureRequest.find({ status: 'pending' })
-      .select('title description creatorName subject semester country academicLevel fileName uploadedBy createdAt')
+      .select('title description creatorName subject semester country academicLevel file fileName uploadedBy rounds pageCount thumbnail extraction createdAt')
       .populate('uploadedBy', 'email');
+    // Reviewers see exact copies and documents with the same title, subject and level
+    const possibleDuplicates = await findPossibleDuplicates(lectureRequests);
     
     const lectureRequestList = lectureRequests.map(request => ({
       id: request._id.toString(),
@@ -69,6 +122,12 @@ export const getPendingLectureRequests = async (req, res) => {
       academicLevel: request.academicLevel,
       fileName: request.fileName,
       uploadedBy: request.uploadedBy ? request.uploadedBy.email : 'Unknown',
+      pageCount: request.pageCount ?? null,
+      thumbnailUrl: request.thumbnail ? `/api/lecture-requests/${request._id}/thumbnail` : null,
+      extractionStatus: request.extraction?.status || 'pending',
+      // Rounds after the first are resubmissions following requested changes
+      round: getReviewRounds(request).length,
+      possibleDuplicates: possibleDuplicates.get(request._id.toString()),
       createdAt: request.createdAt.toISOString(),
     }));
 
@@ -81,12 +140,16 @@ export const getPendingLectureRequests = async (req, res) => {
   }
 };
 
-export const approveOrRejectLectureRequest = async (req, res) => {
+// Moves a pending request to approved, rejected or changes_requested and tells the uploader
+export const reviewLectureRequest = async (req, res) => {
   const session = await mongoose.startSession();
   session.startTransaction();
   try {
     const { id } = req.params;
     const { action } = req.body;
+    const comment = typeof req.body.comment === 'string' ? req.body.comment.trim() : '';
+    // Approved files join the shared library, visible to all volunteers unless the admin picks otherwise
+    const visibilityLevel = req.body.visibility || 'volunteers';
 
     if (!mongoose.isValidObjectId(id)) {
       await session.abortTransaction();
@@ -94,13 +157,26 @@ export const approveOrRejectLectureRequest = async (req, res) => {
       return res.status(400).json({ message: 'معرف الطلب غير صالح' });
     }
 
-    if (!['approve', 'reject'].includes(action)) {
+    if (!REVIEW_ACTIONS[action]) {
       await session.abortTransaction();
       session.endSession();
-      return res.status(400).json({ message: 'الإجراء يجب أن يكون "approve" أو "reject"' });
+      return res.status(400).json({ message: 'الإجراء يجب أن يكون "approve" أو "reject" أو "request_changes"' });
     }
+    const nextStatus = REVIEW_ACTIONS[action];
 
-    const lectureRequest = await LectureRequest.findById(id).session(session);
+    if (COMMENT_REQUIRED.includes(nextStatus) && !comment) {
+      await session.abortTransaction();
+      session.endSession();
+      return res.status(400).json({ message: 'يرجى كتابة تعليق يوضح سبب القرار للمستخدم' });
+    }
+
+    if (!['public', 'volunteers', 'private'].includes(visibilityLevel)) {
+      await session.abortTransaction();
+      session.endSession();
+      return res.status(400).json({ message: 'مستوى الظهور يجب أن يكون public أو volunteers أو private' });
+    }
+
+    const lectureRequest = await LectureRequest.findById(id).select('+textContent').session(session);
     if (!lectureRequest) {
       await session.abortTransaction();
       session.endSession();
@@ -110,18 +186,40 @@ export const approveOrRejectLectureRequest = async (req, res) => {
     if (lectureRequest.status !== 'pending') {
       await session.abortTransaction();
       session.endSession();
-      return res.status(400).json({ message: 'الطلب تم معالجته مسبقًا' });
+      return res.status(400).json({
+        message: lectureRequest.status === 'changes_requested'
+          ? 'الطلب بانتظار نسخة معدلة من المستخدم'
+          : 'الطلب تم معالجته مسبقًا'
+      });
     }
 
-    if (action === 'reject') {
-      lectureRequest.status = 'rejected';
+    const round = getCurrentRound(lectureRequest);
+    round.decision = nextStatus;
+    round.comment = comment || null;
+    round.reviewedBy = req.userId;
+    round.reviewedAt = new Date();
+
+    if (nextStatus !== 'approved') {
+      lectureRequest.status = nextStatus;
       await lectureRequest.save({ session });
       await session.commitTransaction();
       session.endSession();
-      return res.json({ message: 'تم رفض الطلب بنجاح' });
+      await recordAudit(req, {
+        action: `lecture_request.${action}`,
+        targetType: 'LectureRequest',
+        targetId: lectureRequest._id,
+        before: { status: 'pending' },
+        after: { status: nextStatus, round: round.round, comment }
+      });
+      await notifyUploader(lectureRequest, comment);
+      return res.json({
+        message: nextStatus === 'rejected' ? 'تم رفض الطلب بنجاح' : 'تم طلب التعديلات من المستخدم بنجاح'
+      });
     }
 
     lectureRequest.status = 'approved';
+    // Extraction results carry over when ready; otherwise the PDF gets its own job after commit
+    const extracted = lectureRequest.extraction?.status === 'completed';
     const pdf = new PDF({
       title: lectureRequest.title,
       description: lectureRequest.description,
@@ -130,10 +228,18 @@ export const approveOrRejectLectureRequest = async (req, res) => {
       semester: lectureRequest.semester,
       country: lectureRequest.country,
       academicLevel: lectureRequest.academicLevel,
-      fileData: lectureRequest.fileData,
+      // The PDF references the same stored file; no bytes are copied
+      file: lectureRequest.file,
       fileName: lectureRequest.fileName,
       mimeType: lectureRequest.mimeType,
-      uploadedBy: lectureRequest.uploadedBy
+      uploadedBy: lectureRequest.uploadedBy,
+      visibility: { level: visibilityLevel },
+      ...(extracted && {
+        pageCount: lectureRequest.pageCount,
+        thumbnail: lectureRequest.thumbnail,
+        textContent: lectureRequest.textContent,
+        extraction: { status: 'completed', completedAt: lectureRequest.extraction.completedAt }
+      })
     });
 
     await pdf.save({ session });
@@ -145,7 +251,12 @@ export const approveOrRejectLectureRequest = async (req, res) => {
       
       const joinRequest = await JoinRequest.findOne({ email: user.email }).session(session);
       if (joinRequest) {
-        joinRequest.volunteerHours = (joinRequest.volunteerHours || 0) + 1;
+        await awardHours(joinRequest, 'library_contribution', {
+          sourceId: lectureRequest._id,
+          subject: lectureRequest.subject,
+          academicLevel: lectureRequest.academicLevel,
+          createdBy: req.userId
+        }, session);
         await joinRequest.save({ session });
       }
     }
@@ -154,6 +265,19 @@ export const approveOrRejectLectureRequest = async (req, res) => {
     await session.commitTransaction();
     session.endSession();
 
+    if (!extracted) {
+      queueExtraction('PDF', pdf._id);
+    }
+
+    await recordAudit(req, {
+      action: 'lecture_request.approve',
+      targetType: 'LectureRequest',
+      targetId: lectureRequest._id,
+      before: { status: 'pending' },
+      after: { status: 'approved', round: round.round, comment, pdfId: pdf._id }
+    });
+    await notifyUploader(lectureRequest, comment);
+
     res.json({ message: 'تمت الموافقة على الطلب ونقله إلى المكتبة بنجاح' });
   } catch (error) {
     await session.abortTransaction();
@@ -162,7 +286,8 @@ export const approveOrRejectLectureRequest = async (req, res) => {
   }
 };
 
-export const getLectureFile = async (req, res) => {
+// Streams the request's file with Range and conditional GET support
+const sendLectureFile = (disposition) => async (req, res) => {
   try {
     const { id } = req.params;
     if (!mongoose.isValidObjectId(id)) {
@@ -178,13 +303,180 @@ export const getLectureFile = async (req, res) => {
       return res.status(400).json({ message: 'الملف ليس بصيغة PDF' });
     }
 
-    res.set({
-      'Content-Type': lectureRequest.mimeType,
-      'Content-Disposition': `inline; filename="${lectureRequest.fileName}"`,
+    sendStoredFile(req, res, lectureRequest.file, {
+      contentType: lectureRequest.mimeType,
+      fileName: lectureRequest.fileName,
+      disposition,
+      lastModified: lectureRequest.createdAt,
+      errorMessage: 'خطأ في استرجاع الملف'
     });
-
-    res.send(lectureRequest.fileData);
   } catch (error) {
     res.status(500).json({ message: 'خطأ في استرجاع الملف', error: error.message });
   }
-};
\ No newline at end of file
+};
+
+export const getLectureFile = sendLectureFile('inline');
+
+export const downloadLectureFile = sendLectureFile('attachment');
+
+export const getLectureThumbnail = async (req, res) => {
+  try {
+    const { id } = req.params;
+    if (!mongoose.isValidObjectId(id)) {
+      return res.status(400).json({ message: 'معرف الطلب غير صالح' });
+    }
+
+    const lectureRequest = await LectureRequest.findById(id).select('thumbnail extraction');
+    if (!lectureRequest) {
+      return res.status(404).json({ message: 'الطلب غير موجود' });
+    }
+    if (!lectureRequest.thumbnail) {
+      return res.status(404).json({ message: 'الصورة المصغرة غير متوفرة بعد' });
+    }
+
+    sendStoredFile(req, res, lectureRequest.thumbnail, {
+      contentType: 'image/png',
+      lastModified: lectureRequest.extraction?.completedAt,
+      cacheControl: 'private, max-age=86400',
+      errorMessage: 'خطأ في استرجاع الصورة المصغرة'
+    });
+  } catch (error) {
+    res.status(500).json({ message: 'خطأ في استرجاع الصورة المصغرة', error: error.message });
+  }
+};
+
+const formatSubmission = (request) => {
+  const rounds = getReviewRounds(request);
+  const reviewed = [...rounds].reverse().find(round => round.comment);
+  return {
+    id: request._id.toString(),
+    title: request.title,
+    description: request.description,
+    subject: request.subject,
+    semester: request.semester,
+    country: request.country,
+    academicLevel: request.academicLevel,
+    fileName: request.fileName,
+    status: request.status,
+    round: rounds[rounds.length - 1].round,
+    lastComment: reviewed ? reviewed.comment : null,
+    pageCount: request.pageCount ?? null,
+    thumbnailUrl: request.thumbnail ? `/api/lecture-requests/${request._id}/thumbnail` : null,
+    createdAt: request.createdAt
+  };
+};
+
+// The caller's own requests with their review status (paginated, filterable by status)
+export const getMyLectureRequests = async (req, res) => {
+  try {
+    const list = parseListQuery(req.query, {
+      sortFields: ['createdAt', 'title', 'status'],
+      filters: {
+        status: { field: 'status', type: 'exact', values: ['pending', 'changes_requested', 'approved', 'rejected'] }
+      }
+    });
+    if (list.error) {
+      return res.status(400).json({ message: list.error });
+    }
+
+    const { items, pagination } = await paginateQuery(LectureRequest, list, { uploadedBy: req.userId });
+    res.json({
+      message: 'تم جلب طلباتك بنجاح',
+      lectureRequests: items.map(formatSubmission),
+      pagination
+    });
+  } catch (error) {
+    res.status(500).json({ message: 'خطأ في الخادم', error: error.message });
+  }
+};
+
+// A request with its full review history; visible to the uploader and to reviewers
+export const getLectureRequest = async (req, res) => {
+  try {
+    const { id } = req.params;
+    if (!mongoose.isValidObjectId(id)) {
+      return res.status(400).json({ message: 'معرف الطلب غير صالح' });
+    }
+
+    const lectureRequest = await LectureRequest.findById(id).populate('rounds.reviewedBy', 'email');
+    const isReviewer = getPermissionScope(req.userRole, 'pdf:approve') === 'all';
+    if (!lectureRequest || (!isReviewer && lectureRequest.uploadedBy.toString() !== req.userId)) {
+      return res.status(404).json({ message: 'الطلب غير موجود' });
+    }
+
+    res.json({
+      message: 'تم جلب الطلب بنجاح',
+      lectureRequest: {
+        ...formatSubmission(lectureRequest),
+        creatorName: lectureRequest.creatorName,
+        rounds: getReviewRounds(lectureRequest).map(formatReviewRound)
+      }
+    });
+  } catch (error) {
+    res.status(500).json({ message: 'خطأ في الخادم', error: error.message });
+  }
+};
+
+// The uploader answers "changes requested" with a corrected file, which opens a new review round
+export const resubmitLectureRequest = async (req, res) => {
+  try {
+    if (!req.file) {
+      return res.status(400).json({ message: 'يرجى اختيار ملف PDF للرفع' });
+    }
+    const { id } = req.params;
+    if (!mongoose.isValidObjectId(id)) {
+      await removeFile(req.file.storedFile).catch(() => {});
+      return res.status(400).json({ message: 'معرف الطلب غير صالح' });
+    }
+
+    const lectureRequest = await LectureRequest.findOne({ _id: id, uploadedBy: req.userId });
+    if (!lectureRequest) {
+      await removeFile(req.file.storedFile).catch(() => {});
+      return res.status(404).json({ message: 'الطلب غير موجود' });
+    }
+    if (lectureRequest.status !== 'changes_requested') {
+      await removeFile(req.file.storedFile).catch(() => {});
+      return res.status(400).json({ message: 'يمكن إعادة رفع الملف فقط للطلبات المطلوب تعديلها' });
+    }
+
+    const duplicate = await findExactDuplicate(req.file.storedFile.sha256, { excludeRequestId: lectureRequest._id });
+    if (duplicate) {
+      await removeFile(req.file.storedFile).catch(() => {});
+      const viewer = await loadViewer(req);
+      return res.status(409).json({
+        message: 'هذا الملف موجود بالفعل في المكتبة أو بانتظار المراجعة',
+        duplicate: describeDuplicate(duplicate, { viewer, userId: req.userId, role: req.userRole })
+      });
+    }
+    const note = typeof req.body.note === 'string' && req.body.note.trim() ? req.body.note.trim() : null;
+    if (await screenUpload(req, res, { target: 'lecture_request_resubmission', targetId: lectureRequest._id, fields: { note } })) return;
+
+    const previousThumbnail = addResubmission(lectureRequest, {
+      file: req.file.storedFile,
+      fileName: req.file.originalname,
+      mimeType: req.file.mimetype,
+      note
+    });
+
+    try {
+      await lectureRequest.save();
+    } catch (saveError) {
+      await removeFile(req.file.storedFile).catch(() => {});
+      throw saveError;
+    }
+    queueExtraction('LectureRequest', lectureRequest._id);
+    if (previousThumbnail) {
+      await removeFile(previousThumbnail).catch(error => {
+        console.error('Failed to remove previous thumbnail:', { id: lectureRequest._id, error: error.message });
+      });
+    }
+
+    await notifyUploader(lectureRequest);
+    res.json({
+      message: 'تم رفع النسخة المعدلة بنجاح، بانتظار المراجعة',
+      lectureRequest: formatSubmission(lectureRequest)
+    });
+  } catch (error) {
+    res.status(500).json({ message: 'خطأ في الخادم', error: error.message });
+  }
+};
@@ -40,9 +40,7 @@ const createAdminUser = async (email, password) => {
       role: 'admin', // جعله إداريًا مباشرة
       numberOfStudents: 0,
       subjects: [],
-      students: [],
       meetings: [],
-      lectures: [],
       lectureCount: 0,
       profileImage: null,
       profileImagePublicId: null,
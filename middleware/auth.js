@@ -1,6 +1,7 @@
 import jwt from 'jsonwebtoken';
+import { isSessionActive } from '../utils/sessionUtils.js';
 
-const authMiddleware = (req, res, next) => {
+const authMiddleware = async (req, res, next) => {
   const token = req.header('Authorization')?.replace('Bearer ', '');
   if (!token) {
     return res.status(401).json({ message: 'الوصول مرفوض، يرجى تسجيل الدخول' });
@@ -8,8 +9,12 @@ const authMiddleware = (req, res, next) => {
 
   try {
     const decoded = jwt.verify(token, process.env.JWT_SECRET);
+    if (!(await isSessionActive(decoded.sessionId))) {
+      return res.status(401).json({ message: 'انتهت الجلسة، يرجى تسجيل الدخول مرة أخرى' });
+    }
     req.userId = decoded.userId;
     req.userRole = decoded.role; 
+    req.sessionId = decoded.sessionId;
     next();
   } catch (error) {
     console.error('Auth middleware error:', error);
@@ -17,4 +22,12 @@ const authMiddleware = (req, res, next) => {
   }
 };
 
-export default authMiddleware;
\ No newline at end of file
+export default authMiddleware;
+// Like authMiddleware, but lets anonymous requests through (req.userId stays undefined).
+// A token that is present but invalid is still rejected.
+export const optionalAuthMiddleware = (req, res, next) => {
+  if (!req.header('Authorization')) {
+    return next();
+  }
+  return authMiddleware(req, res, next);
+};
@@ -0,0 +1,14 @@
+import { getPermissionScope } from '../utils/permissions.js';
+
+// Must run after authMiddleware. Exposes the granted scope as req.permissionScope.
+const requirePermission = (capability) => (req, res, next) => {
+  const scope = getPermissionScope(req.userRole, capability);
+  if (!scope) {
+    console.error('Permission denied:', { userId: req.userId, role: req.userRole, capability });
+    return res.status(403).json({ message: 'ممنوع: لا تملك الصلاحية المطلوبة', capability });
+  }
+  req.permissionScope = scope;
+  next();
+};
+
+export default requirePermission;
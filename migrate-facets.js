@@ -0,0 +1,82 @@
+import mongoose from 'mongoose';
+import dotenv from 'dotenv';
+import FacetValue, { facetKey } from './models/FacetValue.js';
+import { FACETS, syncDocumentsToFacetValue } from './utils/facets.js';
+
+// Load environment variables
+dotenv.config();
+
+// Connect to the database
+const connectDB = async () => {
+  try {
+    await mongoose.connect(process.env.MONGODB_URI);
+    console.log('Connected to the database successfully');
+  } catch (error) {
+    console.error('Error connecting to the database:', error);
+    process.exit(1);
+  }
+};
+
+// Seeds the facet vocabulary from the free-text values already in pdfs/lecturerequests.
+// Spellings that normalize to the same key ("Grade 10", "grade10") become one value: the most used
+// spelling is kept and the others are stored as aliases, then records are relabelled to it.
+// Translations ("الصف العاشر") can't be detected automatically; merge them afterwards with
+// POST /api/facets/:id/merge. Keys already in the vocabulary are left alone, so the script is safe to re-run.
+const migrateFacets = async () => {
+  const db = mongoose.connection.db;
+  let createdCount = 0;
+  let relabelledCount = 0;
+
+  try {
+    for (const facet of FACETS) {
+      const usage = new Map();
+      for (const collectionName of ['pdfs', 'lecturerequests']) {
+        const buckets = await db.collection(collectionName).aggregate([
+          { $group: { _id: `$${facet}`, count: { $sum: 1 } } }
+        ]).toArray();
+        buckets
+          .filter(bucket => typeof bucket._id === 'string' && facetKey(bucket._id))
+          .forEach(bucket => usage.set(bucket._id, (usage.get(bucket._id) || 0) + bucket.count));
+      }
+
+      const groups = new Map();
+      for (const [value, count] of usage) {
+        const key = facetKey(value);
+        if (!groups.has(key)) groups.set(key, []);
+        groups.get(key).push({ value: value.trim(), count });
+      }
+
+      for (const [key, spellings] of groups) {
+        let entry = await FacetValue.findOne({ facet, keys: key });
+        if (!entry) {
+          spellings.sort((a, b) => b.count - a.count);
+          const [canonical, ...variants] = spellings;
+          entry = await FacetValue.create({
+            facet,
+            value: canonical.value,
+            aliases: [...new Set(variants.map(variant => variant.value))].filter(alias => alias !== canonical.value)
+          });
+          createdCount++;
+          console.log(`Added ${facet} "${entry.value}"${entry.aliases.length ? ` (aliases: ${entry.aliases.join(', ')})` : ''}`);
+        }
+        relabelledCount += await syncDocumentsToFacetValue(entry);
+      }
+    }
+
+    console.log(`Migration completed: ${createdCount} facet values added, ${relabelledCount} PDFs relabelled`);
+  } catch (error) {
+    console.error('Error migrating facets:', error);
+  } finally {
+    // Close the database connection
+    await mongoose.connection.close();
+    console.log('Database connection closed');
+  }
+};
+
+// Execute the script
+const run = async () => {
+  await connectDB();
+  await migrateFacets();
+};
+
+run();
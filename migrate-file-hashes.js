@@ -0,0 +1,92 @@
+import mongoose from 'mongoose';
+import dotenv from 'dotenv';
+import crypto from 'crypto';
+import cloudinary from 'cloudinary';
+import { openFileStream } from './utils/fileStore.js';
+import { normalizeArabic } from './utils/arabicText.js';
+import PDF from './models/pdf.js';
+import LectureRequest from './models/LectureRequest.js';
+
+// Load environment variables
+dotenv.config();
+
+cloudinary.v2.config({
+  cloud_name: process.env.CLOUDINARY_CLOUD_NAME,
+  api_key: process.env.CLOUDINARY_API_KEY,
+  api_secret: process.env.CLOUDINARY_API_SECRET
+});
+
+// Connect to the database
+const connectDB = async () => {
+  try {
+    await mongoose.connect(process.env.MONGODB_URI);
+    console.log('Connected to the database successfully');
+  } catch (error) {
+    console.error('Error connecting to the database:', error);
+    process.exit(1);
+  }
+};
+
+const hashStoredFile = async (ref) => {
+  const hash = crypto.createHash('sha256');
+  for await (const chunk of openFileStream(ref)) {
+    hash.update(chunk);
+  }
+  return hash.digest('hex');
+};
+
+// Adds the content hash used for duplicate detection to files stored before it was recorded,
+// and the normalized title that lecture requests are matched by.
+// Each stored file is read once even when a PDF and its lecture request share it.
+// Only references without a hash are touched, so the script is safe to re-run.
+const migrateFileHashes = async () => {
+  const db = mongoose.connection.db;
+  const hashes = new Map();
+  let hashedCount = 0;
+  let failedCount = 0;
+
+  try {
+    for (const collectionName of ['pdfs', 'lecturerequests']) {
+      const collection = db.collection(collectionName);
+      const cursor = collection.find({ file: { $exists: true }, 'file.sha256': null }, { projection: { file: 1 } });
+
+      for await (const doc of cursor) {
+        const refKey = `${doc.file.driver}:${doc.file.key}`;
+        try {
+          if (!hashes.has(refKey)) {
+            hashes.set(refKey, await hashStoredFile(doc.file));
+            hashedCount++;
+          }
+          await collection.updateOne({ _id: doc._id }, { $set: { 'file.sha256': hashes.get(refKey) } });
+        } catch (error) {
+          failedCount++;
+          console.error(`Could not hash ${collectionName}/${doc._id}:`, error.message);
+        }
+      }
+    }
+
+    let titledCount = 0;
+    const requests = db.collection('lecturerequests');
+    for await (const request of requests.find({ 'search.title': { $exists: false } }, { projection: { title: 1 } })) {
+      await requests.updateOne({ _id: request._id }, { $set: { 'search.title': normalizeArabic(request.title) } });
+      titledCount++;
+    }
+
+    await Promise.all([PDF.syncIndexes(), LectureRequest.syncIndexes()]);
+    console.log(`Migration completed: ${hashedCount} files hashed, ${failedCount} failed, ${titledCount} request titles normalized`);
+  } catch (error) {
+    console.error('Error migrating file hashes:', error);
+  } finally {
+    // Close the database connection
+    await mongoose.connection.close();
+    console.log('Database connection closed');
+  }
+};
+
+// Execute the script
+const run = async () => {
+  await connectDB();
+  await migrateFileHashes();
+};
+
+run();
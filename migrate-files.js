@@ -0,0 +1,75 @@
+import mongoose from 'mongoose';
+import dotenv from 'dotenv';
+import crypto from 'crypto';
+import cloudinary from 'cloudinary';
+import { getDefaultDriver, saveFile } from './utils/fileStore.js';
+
+// Load environment variables
+dotenv.config();
+
+cloudinary.v2.config({
+  cloud_name: process.env.CLOUDINARY_CLOUD_NAME,
+  api_key: process.env.CLOUDINARY_API_KEY,
+  api_secret: process.env.CLOUDINARY_API_SECRET
+});
+
+// Connect to the database
+const connectDB = async () => {
+  try {
+    await mongoose.connect(process.env.MONGODB_URI);
+    console.log('Connected to the database successfully');
+  } catch (error) {
+    console.error('Error connecting to the database:', error);
+    process.exit(1);
+  }
+};
+
+// Moves the Buffers embedded in pdfs/lecturerequests into the file store and leaves a reference.
+// Identical files (an approved request and its PDF) are stored once and share the reference.
+// Documents that already have a reference are skipped, so the script is safe to re-run.
+const migrateFiles = async () => {
+  const db = mongoose.connection.db;
+  const storedByHash = new Map();
+  let movedCount = 0;
+  let sharedCount = 0;
+
+  try {
+    for (const collectionName of ['lecturerequests', 'pdfs']) {
+      const collection = db.collection(collectionName);
+      const cursor = collection.find({ fileData: { $exists: true }, file: { $exists: false } });
+
+      for await (const doc of cursor) {
+        const buffer = Buffer.from(doc.fileData.buffer);
+        const hash = crypto.createHash('sha256').update(buffer).digest('hex');
+
+        let file = storedByHash.get(hash);
+        if (file) {
+          sharedCount++;
+        } else {
+          file = await saveFile(buffer, { fileName: doc.fileName, mimeType: doc.mimeType });
+          storedByHash.set(hash, file);
+          movedCount++;
+        }
+
+        await collection.updateOne({ _id: doc._id }, { $set: { file }, $unset: { fileData: '' } });
+        console.log(`Moved ${collectionName}/${doc._id} (${buffer.length} bytes) to ${file.driver}:${file.key}`);
+      }
+    }
+
+    console.log(`Migration completed using the ${getDefaultDriver()} driver: ${movedCount} files stored, ${sharedCount} shared with an identical file`);
+  } catch (error) {
+    console.error('Error migrating files:', error);
+  } finally {
+    // Close the database connection
+    await mongoose.connection.close();
+    console.log('Database connection closed');
+  }
+};
+
+// Execute the script
+const run = async () => {
+  await connectDB();
+  await migrateFiles();
+};
+
+run();
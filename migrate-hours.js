@@ -0,0 +1,82 @@
+import mongoose from 'mongoose';
+import dotenv from 'dotenv';
+import HoursEntry from './models/HoursEntry.js';
+import { DEFAULT_RULES } from './utils/awardRules.js';
+
+// Load environment variables
+dotenv.config();
+
+// Connect to the database
+const connectDB = async () => {
+  try {
+    await mongoose.connect(process.env.MONGODB_URI);
+    console.log('Connected to the database successfully');
+  } catch (error) {
+    console.error('Error connecting to the database:', error);
+    process.exit(1);
+  }
+};
+
+// Seeds the hours ledger from the existing volunteerHours totals: one entry per recorded
+// lecture, plus an opening balance adjustment for whatever the lectures don't explain.
+// Members that already have ledger entries are skipped, so the script is safe to re-run.
+const migrateHours = async () => {
+  const db = mongoose.connection.db;
+  const users = db.collection('users');
+  const joinRequests = db.collection('joinrequests');
+
+  let migratedCount = 0;
+  const lectureHours = DEFAULT_RULES.find(rule => rule.activity === 'lecture').baseHours;
+
+  try {
+    const cursor = joinRequests.find({ status: { $in: ['Approved', 'Archived'] } });
+    for await (const member of cursor) {
+      if (await HoursEntry.exists({ member: member._id })) {
+        continue;
+      }
+
+      const user = await users.findOne({ email: member.email.toLowerCase().trim() });
+      const lectures = user?.lectures || [];
+      const entries = lectures.map(lecture => ({
+        member: member._id,
+        type: 'lecture',
+        hours: lectureHours,
+        sourceId: lecture._id,
+        ruleVersion: 0,
+        createdAt: lecture.createdAt || member.createdAt
+      }));
+
+      const remainder = (member.volunteerHours || 0) - entries.length * lectureHours;
+      if (remainder !== 0) {
+        entries.push({
+          member: member._id,
+          type: 'manual_adjustment',
+          hours: remainder,
+          reason: 'Opening balance migrated from volunteerHours'
+        });
+      }
+
+      if (entries.length > 0) {
+        await HoursEntry.insertMany(entries);
+      }
+      migratedCount++;
+      console.log(`Migrated hours for ${member.email}: ${lectures.length} lectures, opening adjustment ${remainder}`);
+    }
+
+    console.log(`Migration completed: ${migratedCount} members migrated`);
+  } catch (error) {
+    console.error('Error migrating hours:', error);
+  } finally {
+    // Close the database connection
+    await mongoose.connection.close();
+    console.log('Database connection closed');
+  }
+};
+
+// Execute the script
+const run = async () => {
+  await connectDB();
+  await migrateHours();
+};
+
+run();
@@ -0,0 +1,97 @@
+import mongoose from 'mongoose';
+import dotenv from 'dotenv';
+import Lecture from './models/Lecture.js';
+import { STANDARD_LECTURE_MINUTES } from './utils/awardRules.js';
+
+// Load environment variables
+dotenv.config();
+
+// Connect to the database
+const connectDB = async () => {
+  try {
+    await mongoose.connect(process.env.MONGODB_URI);
+    console.log('Connected to the database successfully');
+  } catch (error) {
+    console.error('Error connecting to the database:', error);
+    process.exit(1);
+  }
+};
+
+// Moves the lectures embedded in users into the Lecture collection. Embedded lectures were
+// logged after the fact and assumed to last two hours, so they become delivered lectures of
+// standard length. IDs are kept so hours ledger entries still point at their lecture.
+// Run after migrate-students and migrate-hours. Safe to run more than once: existing lectures are kept.
+// Lectures without a student are left embedded in their user so they can be linked by hand and
+// the script run again.
+const migrateLectures = async () => {
+  const db = mongoose.connection.db;
+  const users = db.collection('users');
+  const lectures = db.collection('lectures');
+
+  let migratedCount = 0;
+  let skippedCount = 0;
+
+  try {
+    const cursor = users.find({ 'lectures.0': { $exists: true } });
+    for await (const user of cursor) {
+      const unlinked = [];
+      for (const lecture of user.lectures) {
+        // Lectures without a student were never linked by migrate-students and can't be moved yet
+        if (!lecture.studentId) {
+          unlinked.push(lecture);
+          console.warn('Skipping lecture without a student:', { userId: user._id, lectureId: lecture._id });
+          continue;
+        }
+
+        const createdAt = lecture.createdAt || new Date();
+        const result = await lectures.updateOne(
+          { _id: lecture._id },
+          {
+            $setOnInsert: {
+              volunteer: user._id,
+              student: lecture.studentId,
+              studentEmail: lecture.studentEmail || null,
+              link: lecture.link,
+              name: lecture.name,
+              subject: lecture.subject,
+              scheduledAt: createdAt,
+              durationMinutes: STANDARD_LECTURE_MINUTES,
+              status: 'delivered',
+              notes: null,
+              deliveredAt: createdAt,
+              updatedBy: null,
+              createdAt,
+              updatedAt: createdAt
+            }
+          },
+          { upsert: true }
+        );
+        if (result.upsertedCount > 0) migratedCount++;
+      }
+
+      skippedCount += unlinked.length;
+      await users.updateOne(
+        { _id: user._id },
+        unlinked.length > 0 ? { $set: { lectures: unlinked } } : { $unset: { lectures: '' } }
+      );
+      console.log(`Migrated lectures for ${user.email}: ${user.lectures.length - unlinked.length}, kept ${unlinked.length}`);
+    }
+
+    await Lecture.syncIndexes();
+    console.log(`Migration completed: ${migratedCount} lectures migrated, ${skippedCount} left without a student`);
+  } catch (error) {
+    console.error('Error migrating lectures:', error);
+  } finally {
+    // Close the database connection
+    await mongoose.connection.close();
+    console.log('Database connection closed');
+  }
+};
+
+// Execute the script
+const run = async () => {
+  await connectDB();
+  await migrateLectures();
+};
+
+run();
@@ -0,0 +1,52 @@
+import mongoose from 'mongoose';
+import dotenv from 'dotenv';
+import PDF, { buildSearchFields } from './models/pdf.js';
+
+// Load environment variables
+dotenv.config();
+
+// Connect to the database
+const connectDB = async () => {
+  try {
+    await mongoose.connect(process.env.MONGODB_URI);
+    console.log('Connected to the database successfully');
+  } catch (error) {
+    console.error('Error connecting to the database:', error);
+    process.exit(1);
+  }
+};
+
+// Fills the normalized search fields for PDFs uploaded before search existed and builds the text index.
+// The fields are recomputed from the source values each time, so the script is safe to re-run.
+const migratePdfSearch = async () => {
+  const pdfs = mongoose.connection.db.collection('pdfs');
+  let updatedCount = 0;
+
+  try {
+    const cursor = pdfs.find({}, {
+      projection: { title: 1, description: 1, creatorName: 1, subject: 1, textContent: 1 }
+    });
+
+    for await (const pdf of cursor) {
+      await pdfs.updateOne({ _id: pdf._id }, { $set: { search: buildSearchFields(pdf) } });
+      updatedCount++;
+    }
+
+    await PDF.syncIndexes();
+    console.log(`Migration completed: search fields built for ${updatedCount} PDFs`);
+  } catch (error) {
+    console.error('Error migrating PDF search fields:', error);
+  } finally {
+    // Close the database connection
+    await mongoose.connection.close();
+    console.log('Database connection closed');
+  }
+};
+
+// Execute the script
+const run = async () => {
+  await connectDB();
+  await migratePdfSearch();
+};
+
+run();
@@ -0,0 +1,70 @@
+import mongoose from 'mongoose';
+import dotenv from 'dotenv';
+import PDF from './models/pdf.js';
+import PdfAccess from './models/PdfAccess.js';
+
+// Load environment variables
+dotenv.config();
+
+// Connect to the database
+const connectDB = async () => {
+  try {
+    await mongoose.connect(process.env.MONGODB_URI);
+    console.log('Connected to the database successfully');
+  } catch (error) {
+    console.error('Error connecting to the database:', error);
+    process.exit(1);
+  }
+};
+
+// Sets the usage counters on every PDF from the recorded access events, so PDFs uploaded before
+// analytics existed sort correctly by popularity. Counters are recomputed, so the script is safe to re-run.
+const migratePdfUsage = async () => {
+  const pdfs = mongoose.connection.db.collection('pdfs');
+  let updatedCount = 0;
+
+  try {
+    const usage = await PdfAccess.aggregate([
+      {
+        $group: {
+          _id: '$pdf',
+          views: { $sum: { $cond: [{ $eq: ['$action', 'view'] }, 1, 0] } },
+          downloads: { $sum: { $cond: [{ $eq: ['$action', 'download'] }, 1, 0] } },
+          lastAccessedAt: { $max: '$createdAt' }
+        }
+      }
+    ]);
+    const byPdf = new Map(usage.map(row => [row._id.toString(), row]));
+
+    const cursor = pdfs.find({}, { projection: { _id: 1 } });
+    for await (const pdf of cursor) {
+      const row = byPdf.get(pdf._id.toString());
+      await pdfs.updateOne({ _id: pdf._id }, {
+        $set: {
+          viewCount: row?.views || 0,
+          downloadCount: row?.downloads || 0,
+          popularity: (row?.views || 0) + (row?.downloads || 0),
+          lastAccessedAt: row?.lastAccessedAt || null
+        }
+      });
+      updatedCount++;
+    }
+
+    await Promise.all([PDF.syncIndexes(), PdfAccess.syncIndexes()]);
+    console.log(`Migration completed: usage counters set for ${updatedCount} PDFs`);
+  } catch (error) {
+    console.error('Error migrating PDF usage counters:', error);
+  } finally {
+    // Close the database connection
+    await mongoose.connection.close();
+    console.log('Database connection closed');
+  }
+};
+
+// Execute the script
+const run = async () => {
+  await connectDB();
+  await migratePdfUsage();
+};
+
+run();
@@ -0,0 +1,62 @@
+import mongoose from 'mongoose';
+import dotenv from 'dotenv';
+
+// Load environment variables
+dotenv.config();
+
+// Connect to the database
+const connectDB = async () => {
+  try {
+    await mongoose.connect(process.env.MONGODB_URI);
+    console.log('Connected to the database successfully');
+  } catch (error) {
+    console.error('Error connecting to the database:', error);
+    process.exit(1);
+  }
+};
+
+// Gives existing PDFs a visibility: files that came from an approved lecture request are part of
+// the shared library (all volunteers), direct uploads stay private as before.
+// Only PDFs without a visibility are touched, so the script is safe to re-run.
+const migratePdfVisibility = async () => {
+  const db = mongoose.connection.db;
+  const pdfs = db.collection('pdfs');
+  const lectureRequests = db.collection('lecturerequests');
+
+  let libraryCount = 0;
+  let privateCount = 0;
+
+  try {
+    for await (const pdf of pdfs.find({ visibility: { $exists: false } })) {
+      const fromRequest = await lectureRequests.findOne({
+        status: 'approved',
+        uploadedBy: pdf.uploadedBy,
+        $or: [
+          ...(pdf.file ? [{ 'file.driver': pdf.file.driver, 'file.key': pdf.file.key }] : []),
+          { title: pdf.title, fileName: pdf.fileName }
+        ]
+      });
+
+      const level = fromRequest ? 'volunteers' : 'private';
+      await pdfs.updateOne({ _id: pdf._id }, { $set: { visibility: { level, roles: [], groups: [] } } });
+      if (fromRequest) libraryCount++;
+      else privateCount++;
+    }
+
+    console.log(`Migration completed: ${libraryCount} library PDFs shared with volunteers, ${privateCount} kept private`);
+  } catch (error) {
+    console.error('Error migrating PDF visibility:', error);
+  } finally {
+    // Close the database connection
+    await mongoose.connection.close();
+    console.log('Database connection closed');
+  }
+};
+
+// Execute the script
+const run = async () => {
+  await connectDB();
+  await migratePdfVisibility();
+};
+
+run();
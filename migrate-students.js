@@ -0,0 +1,160 @@
+import mongoose from 'mongoose';
+import dotenv from 'dotenv';
+import Student from './models/Student.js';
+
+// Load environment variables
+dotenv.config();
+
+// Connect to the database
+const connectDB = async () => {
+  try {
+    await mongoose.connect(process.env.MONGODB_URI);
+    console.log('Connected to the database successfully');
+  } catch (error) {
+    console.error('Error connecting to the database:', error);
+    process.exit(1);
+  }
+};
+
+// Converts the students embedded in users/joinrequests into the Student collection
+// and re-links lectures, low lecture reports and notifications by student ID.
+// The two embedded copies could diverge, so they are merged by student email; the user's
+// copy wins where both have a field. Members without a user account get unassigned students.
+// Students without an email can't be converted: they are reported and their source arrays kept.
+// Safe to run more than once: existing students are reused.
+const migrateStudents = async () => {
+  const db = mongoose.connection.db;
+  const users = db.collection('users');
+  const joinRequests = db.collection('joinrequests');
+  const reports = db.collection('lowlecturereports');
+  const notifications = db.collection('notifications');
+
+  let createdCount = 0;
+  let lectureCount = 0;
+  let skippedCount = 0;
+  const studentIdsByUser = new Map();
+
+  try {
+    // Join request emails were not always stored lowercase
+    const memberEmails = new Map((await joinRequests.distinct('email', { students: { $exists: true } }))
+      .map(email => [email.toLowerCase().trim(), email]));
+    const emails = new Set([
+      ...(await users.distinct('email', { students: { $exists: true } })).map(email => email.toLowerCase().trim()),
+      ...memberEmails.keys()
+    ]);
+
+    for (const memberEmail of emails) {
+      const user = await users.findOne({ email: memberEmail });
+      const member = await joinRequests.findOne({ email: memberEmails.get(memberEmail) ?? memberEmail });
+      const volunteer = user?._id || null;
+
+      // Merge both copies by student email
+      const merged = new Map();
+      let skipped = 0;
+      for (const embedded of [...(member?.students || []), ...(user?.students || [])]) {
+        const email = embedded.email?.toLowerCase().trim();
+        if (!email) {
+          skipped++;
+          console.warn(`Member ${memberEmail}: student without an email can't be migrated:`, embedded.name || embedded._id);
+          continue;
+        }
+        const current = merged.get(email) || {};
+        merged.set(email, {
+          name: embedded.name || current.name,
+          phone: embedded.phone || current.phone,
+          grade: embedded.grade || current.grade,
+          subjects: embedded.subjects?.length ? embedded.subjects : current.subjects || []
+        });
+      }
+      skippedCount += skipped;
+
+      const idsByEmail = new Map();
+      for (const [email, embedded] of merged) {
+        let student = await Student.findOne(volunteer ? { volunteer, email } : { volunteer: null, email, name: embedded.name });
+        if (!student) {
+          student = new Student({
+            name: embedded.name,
+            email,
+            phone: embedded.phone,
+            grade: embedded.grade,
+            volunteer,
+            assignments: volunteer ? [{ volunteer, assignedAt: user.createdAt || new Date() }] : [],
+            enrollments: embedded.subjects.map(subject => ({
+              subject: subject.name,
+              minLectures: subject.minLectures
+            }))
+          });
+          await student.save();
+          createdCount++;
+        }
+        idsByEmail.set(email, student._id);
+      }
+
+      if (user) {
+        studentIdsByUser.set(user._id.toString(), idsByEmail);
+
+        // Link embedded lectures to the new student documents
+        const lectures = (user.lectures || []).map(lecture => {
+          const studentId = lecture.studentId || idsByEmail.get(lecture.studentEmail?.toLowerCase().trim());
+          if (studentId && !lecture.studentId) lectureCount++;
+          return studentId ? { ...lecture, studentId } : lecture;
+        });
+        const orphaned = lectures.filter(lecture => !lecture.studentId);
+        if (orphaned.length > 0) {
+          console.warn(`User ${user.email}: ${orphaned.length} lectures reference unknown students and were left unlinked`);
+        }
+
+        await users.updateOne({ _id: user._id }, { $set: { lectures }, ...(skipped === 0 && { $unset: { students: '' } }) });
+      }
+      if (member && skipped === 0) {
+        await joinRequests.updateOne({ _id: member._id }, { $unset: { students: '' } });
+      }
+      console.log(`Migrated ${merged.size} students for ${memberEmail}${user ? '' : ' (no user account, left unassigned)'}`);
+    }
+
+    // Re-link notifications
+    for (const [userId, idsByEmail] of studentIdsByUser) {
+      for (const [email, studentId] of idsByEmail) {
+        await notifications.updateMany(
+          { userId: new mongoose.Types.ObjectId(userId), 'lectureDetails.studentEmail': email },
+          { $set: { 'lectureDetails.studentId': studentId } }
+        );
+      }
+    }
+
+    // Re-link low lecture reports
+    for await (const report of reports.find()) {
+      const members = (report.members || []).map(member => {
+        const idsByEmail = studentIdsByUser.get(member._id.toString()) || new Map();
+        return {
+          ...member,
+          underTargetStudents: (member.underTargetStudents || []).map(student => ({
+            ...student,
+            studentId: student.studentId || idsByEmail.get(student.studentEmail?.toLowerCase().trim()) || null
+          })),
+          lectures: (member.lectures || []).map(lecture => ({
+            ...lecture,
+            studentId: lecture.studentId || idsByEmail.get(lecture.studentEmail?.toLowerCase().trim()) || null
+          }))
+        };
+      });
+      await reports.updateOne({ _id: report._id }, { $set: { members } });
+    }
+
+    console.log(`Migration completed: ${createdCount} students created, ${lectureCount} lectures linked, ${skippedCount} students without an email skipped`);
+  } catch (error) {
+    console.error('Error migrating students:', error);
+  } finally {
+    // Close the database connection
+    await mongoose.connection.close();
+    console.log('Database connection closed');
+  }
+};
+
+// Execute the script
+const run = async () => {
+  await connectDB();
+  await migrateStudents();
+};
+
+run();
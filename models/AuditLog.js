@@ -0,0 +1,58 @@
+import { Schema, model } from 'mongoose';
+
+const auditLogSchema = new Schema({
+  actor: {
+    type: Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  actorRole: {
+    type: String,
+    default: null
+  },
+  action: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  targetType: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  targetId: {
+    type: String,
+    default: null
+  },
+  before: {
+    type: Schema.Types.Mixed,
+    default: null
+  },
+  after: {
+    type: Schema.Types.Mixed,
+    default: null
+  },
+  diff: {
+    type: Schema.Types.Mixed,
+    default: null
+  },
+  ip: {
+    type: String,
+    default: null
+  },
+  userAgent: {
+    type: String,
+    default: null
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+auditLogSchema.index({ createdAt: -1 });
+auditLogSchema.index({ actor: 1, createdAt: -1 });
+auditLogSchema.index({ targetType: 1, targetId: 1, createdAt: -1 });
+auditLogSchema.index({ action: 1, createdAt: -1 });
+
+export default model('AuditLog', auditLogSchema);
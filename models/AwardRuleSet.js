@@ -0,0 +1,64 @@
+import { Schema, model } from 'mongoose';
+
+// One immutable version of the hour-award rules. The highest version is the active one;
+// hours entries keep the version they were calculated with.
+const awardRuleSchema = new Schema({
+  activity: {
+    type: String,
+    enum: ['lecture', 'student_onboarding', 'library_contribution'],
+    required: true
+  },
+  baseHours: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  // Keyed by lowercase subject name / academic level
+  subjectMultipliers: {
+    type: Map,
+    of: Number,
+    default: {}
+  },
+  academicLevelMultipliers: {
+    type: Map,
+    of: Number,
+    default: {}
+  },
+  weeklyCap: {
+    type: Number,
+    min: 0,
+    default: null
+  }
+}, { _id: false });
+
+const awardRuleSetSchema = new Schema({
+  version: {
+    type: Number,
+    required: true,
+    unique: true
+  },
+  rules: [awardRuleSchema],
+  note: {
+    type: String,
+    trim: true,
+    default: null
+  },
+  createdBy: {
+    type: Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+awardRuleSetSchema.pre('save', function (next) {
+  if (!this.isNew) {
+    return next(new Error('Award rule versions cannot be modified, create a new version instead'));
+  }
+  next();
+});
+
+export default model('AwardRuleSet', awardRuleSetSchema);
@@ -0,0 +1,55 @@
+import { Schema, model } from 'mongoose';
+import { normalizeArabic } from '../utils/arabicText.js';
+
+// One canonical value of a library facet (country, academic level, semester or subject).
+// Uploads are matched against the value and its aliases (see utils/facets.js) and stored as the value.
+const facetValueSchema = new Schema({
+  facet: {
+    type: String,
+    enum: ['country', 'academicLevel', 'semester', 'subject'],
+    required: true
+  },
+  value: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  aliases: [{
+    type: String,
+    trim: true
+  }],
+  // Normalized forms of the value and aliases, kept in sync on save; unique per facet
+  keys: [{
+    type: String
+  }],
+  // Display order in navigation, lowest first
+  order: {
+    type: Number,
+    default: 0
+  },
+  active: {
+    type: Boolean,
+    default: true
+  },
+  createdBy: {
+    type: Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  }
+}, { timestamps: true });
+
+// Spelling, case, spacing and Arabic letter variants all map to the same key: "Grade 10" = "grade10"
+export const facetKey = (text) => normalizeArabic(text).replace(/ /g, '');
+
+facetValueSchema.pre('validate', function (next) {
+  this.keys = [...new Set([this.value, ...this.aliases].map(facetKey).filter(Boolean))];
+  if (!facetKey(this.value)) {
+    this.invalidate('value', 'Facet value must contain letters or digits');
+  }
+  next();
+});
+
+facetValueSchema.index({ facet: 1, keys: 1 }, { unique: true });
+facetValueSchema.index({ facet: 1, order: 1, value: 1 });
+
+export default model('FacetValue', facetValueSchema);
@@ -0,0 +1,29 @@
+import mongoose from 'mongoose';
+
+// A library PDF given to a student as homework for one of their subjects. Students have no
+// accounts, so they open and complete it through a secret link; only the token's hash is stored.
+const homeworkSchema = new mongoose.Schema({
+  student: { type: mongoose.Schema.Types.ObjectId, ref: 'Student', required: true },
+  // The volunteer teaching the student when it was assigned, and who assigned it (a leader or admin may assign for them)
+  volunteer: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+  assignedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+  pdf: { type: mongoose.Schema.Types.ObjectId, ref: 'PDF', required: true },
+  // Kept so the assignment still reads well if the PDF is renamed or deleted
+  pdfTitle: { type: String, required: true, trim: true },
+  subject: { type: String, required: true, trim: true },
+  dueDate: { type: Date, required: true },
+  note: { type: String, trim: true, default: null },
+  status: { type: String, enum: ['assigned', 'completed', 'cancelled'], default: 'assigned' },
+  completedAt: { type: Date, default: null },
+  completionNote: { type: String, trim: true, default: null },
+  tokenHash: { type: String, required: true, select: false },
+  createdAt: { type: Date, default: Date.now }
+});
+
+homeworkSchema.index({ tokenHash: 1 }, { unique: true });
+homeworkSchema.index({ volunteer: 1, status: 1, dueDate: 1 });
+homeworkSchema.index({ student: 1, status: 1, dueDate: 1 });
+
+const Homework = mongoose.model('Homework', homeworkSchema);
+
+export default Homework;
@@ -0,0 +1,76 @@
+import { Schema, model } from 'mongoose';
+
+export const HOURS_ENTRY_TYPES = ['lecture', 'student_onboarding', 'library_contribution', 'manual_adjustment'];
+
+// Append-only volunteer hours ledger. A member's balance is the sum of their entries;
+// corrections are new entries (negative hours), never edits.
+const hoursEntrySchema = new Schema({
+  member: {
+    type: Schema.Types.ObjectId,
+    ref: 'JoinRequest',
+    required: true
+  },
+  type: {
+    type: String,
+    enum: HOURS_ENTRY_TYPES,
+    required: true
+  },
+  hours: {
+    type: Number,
+    required: true
+  },
+  reason: {
+    type: String,
+    trim: true,
+    default: null
+  },
+  // What earned the hours: a lecture, a student or a lecture request
+  sourceId: {
+    type: Schema.Types.ObjectId,
+    default: null
+  },
+  // Set on entries that cancel an earlier entry
+  reverses: {
+    type: Schema.Types.ObjectId,
+    ref: 'HoursEntry',
+    default: null
+  },
+  // Award rule version and the inputs used to calculate automatic awards
+  ruleVersion: {
+    type: Number,
+    default: null
+  },
+  calculation: {
+    type: Schema.Types.Mixed,
+    default: null
+  },
+  createdBy: {
+    type: Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+hoursEntrySchema.index({ member: 1, createdAt: -1 });
+hoursEntrySchema.index({ type: 1, sourceId: 1 });
+hoursEntrySchema.index({ reverses: 1 }, { unique: true, partialFilterExpression: { reverses: { $type: 'objectId' } } });
+
+hoursEntrySchema.pre('validate', function (next) {
+  if (this.type === 'manual_adjustment' && !this.reason) {
+    return next(new Error('Manual hours adjustments require a reason'));
+  }
+  next();
+});
+
+hoursEntrySchema.pre('save', function (next) {
+  if (!this.isNew) {
+    return next(new Error('Hours entries are append-only'));
+  }
+  next();
+});
+
+export default model('HoursEntry', hoursEntrySchema);
@@ -24,23 +24,37 @@ const joinRequestSchema = new Schema({
   },
   status: {
     type: String,
-    enum: ['Pending', 'Approved', 'Rejected'],
+    enum: ['Pending', 'Approved', 'Rejected', 'Archived'],
     default: 'Pending',
   },
+  archivedAt: {
+    type: Date,
+    default: null
+  },
+  archivedBy: {
+    type: Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  archiveReason: {
+    type: String,
+    default: null
+  },
+  supervisor: {
+    type: Schema.Types.ObjectId,
+    ref: 'User',
+    default: null,
+    index: true
+  },
+  // Cached sum of the hours ledger; reversals after a downward adjustment can take it below zero
   volunteerHours: {
     type: Number,
-    default: 0,
-    min: 0
+    default: 0
   },
   subjects: [{
     type: String,
     trim: true
   }],
-  students: [{
-    name: { type: String, required: true },
-    email: { type: String, required: true },
-    phone: { type: String, required: true }
-  }],
   createdAt: {
     type: Date,
     default: Date.now,
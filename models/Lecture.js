@@ -0,0 +1,29 @@
+import mongoose from 'mongoose';
+
+export const LECTURE_STATUSES = ['scheduled', 'delivered', 'cancelled', 'no_show'];
+
+// A lecture a volunteer gives one of their students. Only delivered lectures earn hours and
+// count towards the weekly minimums; scheduledAt is when it was planned to (or did) take place.
+const lectureSchema = new mongoose.Schema({
+  volunteer: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+  student: { type: mongoose.Schema.Types.ObjectId, ref: 'Student', required: true },
+  // Kept so the lecture still reads well if the student is removed
+  studentEmail: { type: String, lowercase: true, trim: true },
+  link: { type: String, required: true },
+  name: { type: String, required: true, trim: true },
+  subject: { type: String, required: true, trim: true },
+  scheduledAt: { type: Date, required: true },
+  // Actual length, set once the lecture is delivered
+  durationMinutes: { type: Number, min: 1, default: null },
+  status: { type: String, enum: LECTURE_STATUSES, default: 'scheduled' },
+  notes: { type: String, trim: true, default: null },
+  deliveredAt: { type: Date, default: null },
+  updatedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User', default: null }
+}, { timestamps: true });
+
+lectureSchema.index({ volunteer: 1, status: 1, scheduledAt: -1 });
+lectureSchema.index({ student: 1, subject: 1, status: 1 });
+
+const Lecture = mongoose.model('Lecture', lectureSchema);
+
+export default Lecture;
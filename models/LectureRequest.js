@@ -1,4 +1,21 @@
 import mongoose from 'mongoose';
+import storedFileSchema from './storedFileSchema.js';
+import extractionSchema from './extractionSchema.js';
+import { normalizeArabic } from '../utils/arabicText.js';
+
+// One submission of the file and the reviewer's decision on it. A resubmission after
+// "changes requested" opens a new round; earlier files are kept for comparison.
+const reviewRoundSchema = new mongoose.Schema({
+  round: { type: Number, required: true },
+  file: { type: storedFileSchema, required: true },
+  fileName: { type: String, required: true, trim: true },
+  note: { type: String, trim: true, default: null },
+  submittedAt: { type: Date, default: Date.now },
+  decision: { type: String, enum: ['approved', 'rejected', 'changes_requested'], default: null },
+  comment: { type: String, trim: true, default: null },
+  reviewedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User', default: null },
+  reviewedAt: { type: Date, default: null }
+}, { _id: false });
 
 const lectureRequestSchema = new mongoose.Schema({
   title: { type: String, required: true, trim: true },
@@ -8,14 +25,41 @@ const lectureRequestSchema = new mongoose.Schema({
   semester: { type: String, required: true, trim: true },
   country: { type: String, required: true, trim: true },
   academicLevel: { type: String, required: true, trim: true },
-  fileData: { type: Buffer, required: true },
+  file: { type: storedFileSchema, required: true },
   fileName: { type: String, required: true, trim: true },
   mimeType: { type: String, required: true },
   uploadedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
-  status: { type: String, enum: ['pending', 'approved', 'rejected'], default: 'pending' },
+  status: { type: String, enum: ['pending', 'changes_requested', 'approved', 'rejected'], default: 'pending' },
+  rounds: [reviewRoundSchema],
+  // Filled in by the background extraction job and carried over to the PDF on approval
+  pageCount: { type: Number, default: null },
+  thumbnail: { type: storedFileSchema, default: null },
+  textContent: { type: String, default: null, select: false },
+  extraction: { type: extractionSchema, default: () => ({}) },
+  // Normalized title, matched against the library to flag possible duplicates to reviewers
+  search: {
+    title: { type: String, default: '' }
+  },
   createdAt: { type: Date, default: Date.now }
 });
 
+// New requests open round 1 with the uploaded file
+lectureRequestSchema.pre('validate', function (next) {
+  if (this.isNew && this.rounds.length === 0) {
+    this.rounds.push({ round: 1, file: this.file, fileName: this.fileName, submittedAt: this.createdAt });
+  }
+  next();
+});
+
+lectureRequestSchema.pre('save', function (next) {
+  if (this.isNew || this.isModified('title')) this.set('search.title', normalizeArabic(this.title));
+  next();
+});
+
+lectureRequestSchema.index({ uploadedBy: 1, createdAt: -1 });
+lectureRequestSchema.index({ 'file.sha256': 1 });
+lectureRequestSchema.index({ 'search.title': 1, subject: 1, academicLevel: 1 });
+
 const LectureRequest = mongoose.model('LectureRequest', lectureRequestSchema);
 
 export default LectureRequest;
\ No newline at end of file
@@ -16,6 +16,7 @@ const lowLectureReportSchema = new Schema({
     email: { type: String, required: true },
     lowLectureWeekCount: { type: Number, default: 0, min: 0 },
     underTargetStudents: [{
+      studentId: { type: Schema.Types.ObjectId, ref: 'Student', required: true },
       studentName: { type: String, required: true },
       studentEmail: { type: String, required: true },
       academicLevel: { type: String, default: 'غير محدد' },
@@ -29,8 +30,12 @@ const lowLectureReportSchema = new Schema({
       _id: { type: Schema.Types.ObjectId, required: true },
       name: { type: String, required: true },
       subject: { type: String, required: true },
-      studentEmail: { type: String, required: true },
+      studentId: { type: Schema.Types.ObjectId, ref: 'Student' },
+      studentEmail: { type: String },
       link: { type: String, required: true },
+      status: { type: String },
+      scheduledAt: { type: Date },
+      durationMinutes: { type: Number },
       createdAt: { type: Date, required: true }
     }]
   }],
@@ -12,13 +12,19 @@ const notificationSchema = new Schema({
   },
   type: {
     type: String,
-    enum: ['lecture_added', 'low_lecture_count_per_subject', 'other'], // أضفنا القيمة الجديدة هنا
+    enum: ['lecture_added', 'low_lecture_count_per_subject', 'lecture_request_review', 'other'], // أضفنا القيمة الجديدة هنا
     required: true
   },
   lectureDetails: {
     link: { type: String },
     name: { type: String },
-    subject: { type: String }
+    subject: { type: String },
+    studentId: { type: Schema.Types.ObjectId, ref: 'Student' },
+    studentEmail: { type: String },
+    minLectures: { type: Number },
+    currentLectures: { type: Number },
+    lectureRequestId: { type: Schema.Types.ObjectId, ref: 'LectureRequest' },
+    status: { type: String }
   },
   createdAt: {
     type: Date,
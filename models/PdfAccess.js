@@ -0,0 +1,25 @@
+import mongoose from 'mongoose';
+
+// One view or download of a library PDF. Subject, academic level and uploader are copied from the
+// PDF at access time so statistics can be grouped without joins and survive later edits or deletion.
+const pdfAccessSchema = new mongoose.Schema({
+  pdf: { type: mongoose.Schema.Types.ObjectId, ref: 'PDF', required: true },
+  action: { type: String, enum: ['view', 'download'], required: true },
+  version: { type: Number, default: 1 },
+  // null for anonymous access to public documents
+  user: { type: mongoose.Schema.Types.ObjectId, ref: 'User', default: null },
+  title: { type: String, required: true },
+  subject: { type: String, required: true },
+  academicLevel: { type: String, required: true },
+  uploadedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+  createdAt: { type: Date, default: Date.now }
+});
+
+pdfAccessSchema.index({ createdAt: -1 });
+pdfAccessSchema.index({ pdf: 1, createdAt: -1 });
+pdfAccessSchema.index({ subject: 1, createdAt: -1 });
+pdfAccessSchema.index({ uploadedBy: 1, createdAt: -1 });
+
+const PdfAccess = mongoose.model('PdfAccess', pdfAccessSchema);
+
+export default PdfAccess;
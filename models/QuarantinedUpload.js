@@ -0,0 +1,44 @@
+import mongoose from 'mongoose';
+import storedFileSchema from './storedFileSchema.js';
+
+// Why an upload was held (see utils/pdfInspection.js for the codes)
+const findingSchema = new mongoose.Schema({
+  code: { type: String, required: true },
+  message: { type: String, required: true },
+  detail: { type: String, default: null }
+}, { _id: false });
+
+export const QUARANTINE_TARGETS = ['pdf', 'lecture_request', 'pdf_version', 'lecture_request_resubmission'];
+
+// An upload whose file failed the security screening: a new library PDF or lecture request, a new
+// version of a PDF, or a corrected file for a lecture request. It stays here, out of the library,
+// until an admin releases it (applying the upload as it was meant) or deletes it.
+const quarantinedUploadSchema = new mongoose.Schema({
+  target: { type: String, enum: QUARANTINE_TARGETS, required: true },
+  // The PDF or lecture request a new version or corrected file belongs to
+  targetId: { type: mongoose.Schema.Types.ObjectId, default: null },
+  file: { type: storedFileSchema, required: true },
+  fileName: { type: String, required: true, trim: true },
+  mimeType: { type: String, required: true },
+  // The metadata submitted with the upload, applied as is on release
+  fields: { type: mongoose.Schema.Types.Mixed, default: {} },
+  uploadedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+  findings: [findingSchema],
+  scan: {
+    status: { type: String, enum: ['clean', 'infected', 'error', 'skipped'], default: 'skipped' },
+    signature: { type: String, default: null }
+  },
+  // 'releasing' while a release is being applied, so only one admin action can claim the entry
+  status: { type: String, enum: ['quarantined', 'releasing', 'released', 'deleted'], default: 'quarantined' },
+  reviewedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User', default: null },
+  reviewedAt: { type: Date, default: null },
+  reviewNote: { type: String, trim: true, default: null },
+  releasedId: { type: mongoose.Schema.Types.ObjectId, default: null },
+  createdAt: { type: Date, default: Date.now }
+});
+
+quarantinedUploadSchema.index({ status: 1, createdAt: -1 });
+
+const QuarantinedUpload = mongoose.model('QuarantinedUpload', quarantinedUploadSchema);
+
+export default QuarantinedUpload;
@@ -0,0 +1,57 @@
+import { Schema, model } from 'mongoose';
+
+const sessionSchema = new Schema({
+  userId: {
+    type: Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    index: true
+  },
+  refreshTokenHash: {
+    type: String,
+    required: true
+  },
+  // The token rotated away last, still accepted for a moment so concurrent refreshes don't look like reuse
+  previousRefreshTokenHash: {
+    type: String,
+    default: null
+  },
+  rotatedAt: {
+    type: Date,
+    default: null
+  },
+  userAgent: {
+    type: String,
+    default: null
+  },
+  ip: {
+    type: String,
+    default: null
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  },
+  lastUsedAt: {
+    type: Date,
+    default: Date.now
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  revokedAt: {
+    type: Date,
+    default: null
+  },
+  revokedReason: {
+    type: String,
+    enum: ['logout', 'user_revoked', 'admin_revoked', 'password_changed', 'token_reuse', null],
+    default: null
+  }
+});
+
+// Expired sessions are removed by MongoDB automatically
+sessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+export default model('Session', sessionSchema);
@@ -0,0 +1,63 @@
+import { Schema, model } from 'mongoose';
+
+const studentSchema = new Schema({
+  name: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  email: {
+    type: String,
+    required: true,
+    lowercase: true,
+    trim: true
+  },
+  phone: {
+    type: String,
+    required: true
+  },
+  grade: {
+    type: String,
+    required: false,
+    trim: true
+  },
+  // The volunteer currently teaching the student (null when unassigned)
+  volunteer: {
+    type: Schema.Types.ObjectId,
+    ref: 'User',
+    default: null,
+    index: true
+  },
+  assignments: [{
+    volunteer: { type: Schema.Types.ObjectId, ref: 'User', required: true },
+    assignedAt: { type: Date, default: Date.now },
+    unassignedAt: { type: Date, default: null },
+    reason: { type: String, default: null }
+  }],
+  enrollments: [{
+    subject: { type: String, required: true, trim: true },
+    minLectures: { type: Number, required: true, min: 0 },
+    enrolledAt: { type: Date, default: Date.now },
+    active: { type: Boolean, default: true }
+  }],
+  // Study paths a volunteer asked the student to follow; removed ones are kept with removedAt
+  studyPaths: [{
+    studyPath: { type: Schema.Types.ObjectId, ref: 'StudyPath', required: true },
+    assignedBy: { type: Schema.Types.ObjectId, ref: 'User', required: true },
+    assignedAt: { type: Date, default: Date.now },
+    note: { type: String, trim: true, default: null },
+    removedAt: { type: Date, default: null }
+  }],
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+// A volunteer cannot have the same student twice
+studentSchema.index(
+  { volunteer: 1, email: 1 },
+  { unique: true, partialFilterExpression: { volunteer: { $type: 'objectId' } } }
+);
+
+export default model('Student', studentSchema);
@@ -0,0 +1,33 @@
+import mongoose from 'mongoose';
+
+// One step of a study path. The sequence is the position in items; prerequisites name PDFs
+// of earlier steps that should be studied first.
+const studyPathItemSchema = new mongoose.Schema({
+  pdf: { type: mongoose.Schema.Types.ObjectId, ref: 'PDF', required: true },
+  note: { type: String, trim: true, default: null },
+  prerequisites: [{ type: mongoose.Schema.Types.ObjectId, ref: 'PDF' }]
+}, { _id: false });
+
+// An ordered collection of library PDFs for a subject, level and semester ("Grade 9 Math, Term 1").
+// Drafts are only visible to their creator and admins; published paths to every signed-in account.
+const studyPathSchema = new mongoose.Schema({
+  title: { type: String, required: true, trim: true },
+  description: { type: String, trim: true, default: '' },
+  subject: { type: String, required: true, trim: true },
+  academicLevel: { type: String, required: true, trim: true },
+  semester: { type: String, required: true, trim: true },
+  country: { type: String, trim: true, default: null },
+  items: [studyPathItemSchema],
+  status: { type: String, enum: ['draft', 'published'], default: 'draft' },
+  publishedAt: { type: Date, default: null },
+  createdBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+  updatedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User', default: null }
+}, { timestamps: true });
+
+studyPathSchema.index({ status: 1, subject: 1, academicLevel: 1, semester: 1 });
+studyPathSchema.index({ createdBy: 1, createdAt: -1 });
+studyPathSchema.index({ 'items.pdf': 1 });
+
+const StudyPath = mongoose.model('StudyPath', studyPathSchema);
+
+export default StudyPath;
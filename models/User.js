@@ -40,16 +40,6 @@ const userSchema = new Schema({
     trim: true,
     default: []
   }],
-  students: [{
-    name: { type: String, required: true },
-    email: { type: String, required: true, lowercase: true, trim: true },
-    phone: { type: String, required: true },
-    grade: { type: String, required: false, trim: true },
-    subjects: [{
-      name: { type: String, required: true, trim: true },
-      minLectures: { type: Number, required: true, min: 0 }
-    }]
-  }],
   meetings: [{
     _id: { type: Schema.Types.ObjectId, auto: true },
     title: { type: String, required: true },
@@ -58,14 +48,6 @@ const userSchema = new Schema({
     endTime: { type: String, required: true },
     reminded: { type: Boolean, default: false }  
   }],
-  lectures: [{
-    link: { type: String, required: true },
-    name: { type: String, required: true },
-    subject: { type: String, required: true },
-    studentEmail: { type: String, required: true, lowercase: true, trim: true },
-    createdAt: { type: Date, default: Date.now },
-    _id: { type: Schema.Types.ObjectId, auto: true }
-  }],
 lowLectureWeekCount: {
     type: Number,
     default: 0,
@@ -75,6 +57,10 @@ lowLectureWeekCount: {
     type: Date,
     default: null
   },
+  archivedAt: {
+    type: Date,
+    default: null
+  },
   resetToken: {
     type: String,
     default: null
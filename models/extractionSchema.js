@@ -0,0 +1,12 @@
+import mongoose from 'mongoose';
+
+// Progress of the background text/thumbnail extraction (utils/pdfExtraction.js)
+const extractionSchema = new mongoose.Schema({
+  status: { type: String, enum: ['pending', 'processing', 'completed', 'failed'], default: 'pending' },
+  attempts: { type: Number, default: 0 },
+  error: { type: String, default: null },
+  startedAt: { type: Date, default: null },
+  completedAt: { type: Date, default: null }
+}, { _id: false });
+
+export default extractionSchema;
@@ -1,4 +1,20 @@
 import mongoose from 'mongoose';
+import storedFileSchema from './storedFileSchema.js';
+import extractionSchema from './extractionSchema.js';
+import { normalizeArabic } from '../utils/arabicText.js';
+
+// One uploaded revision of the file. Entries are only ever appended; restoring an old
+// version appends a new entry pointing at the same stored file.
+const pdfVersionSchema = new mongoose.Schema({
+  version: { type: Number, required: true },
+  file: { type: storedFileSchema, required: true },
+  fileName: { type: String, required: true, trim: true },
+  mimeType: { type: String, required: true },
+  note: { type: String, trim: true, default: null },
+  restoredFrom: { type: Number, default: null },
+  uploadedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+  createdAt: { type: Date, default: Date.now }
+}, { _id: false });
 
 const pdfSchema = new mongoose.Schema({
   title: { type: String, required: true, trim: true },
@@ -8,13 +24,97 @@ const pdfSchema = new mongoose.Schema({
   semester: { type: String, required: true, trim: true },
   country: { type: String, required: true, trim: true },
   academicLevel: { type: String, required: true, trim: true },
-  fileData: { type: Buffer, required: true },
+  file: { type: storedFileSchema, required: true },
   fileName: { type: String, required: true, trim: true },
   mimeType: { type: String, required: true },
   uploadedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+  // file, fileName and mimeType above always mirror the current version
+  currentVersion: { type: Number, default: 1 },
+  versions: [pdfVersionSchema],
+  // public: anyone; volunteers: any signed-in account; restricted: the listed roles or leader groups; private: uploader only
+  visibility: {
+    level: { type: String, enum: ['public', 'volunteers', 'restricted', 'private'], default: 'private' },
+    roles: [{ type: String, enum: ['user', 'leader', 'admin'] }],
+    groups: [{ type: mongoose.Schema.Types.ObjectId, ref: 'User' }]
+  },
+  // Filled in by the background extraction job
+  pageCount: { type: Number, default: null },
+  thumbnail: { type: storedFileSchema, default: null },
+  textContent: { type: String, default: null, select: false },
+  extraction: { type: extractionSchema, default: () => ({}) },
+  // Usage counters kept by utils/pdfAnalytics.js; popularity is views plus downloads
+  viewCount: { type: Number, default: 0 },
+  downloadCount: { type: Number, default: 0 },
+  popularity: { type: Number, default: 0 },
+  lastAccessedAt: { type: Date, default: null },
+  // Normalized copies of the searchable fields (see utils/arabicText.js), kept in sync on save
+  search: {
+    title: { type: String, default: '' },
+    description: { type: String, default: '' },
+    creatorName: { type: String, default: '' },
+    subject: { type: String, default: '' },
+    content: { type: String, default: '', select: false }
+  },
   createdAt: { type: Date, default: Date.now }
 });
 
+// Indexed text is capped so very large documents don't bloat the text index
+export const MAX_SEARCH_CONTENT_LENGTH = 100000;
+
+export const buildSearchFields = (pdf) => ({
+  title: normalizeArabic(pdf.title),
+  description: normalizeArabic(pdf.description),
+  creatorName: normalizeArabic(pdf.creatorName),
+  subject: normalizeArabic(pdf.subject),
+  content: normalizeArabic(pdf.textContent).slice(0, MAX_SEARCH_CONTENT_LENGTH)
+});
+
+// New documents start their history with the uploaded file as version 1
+pdfSchema.pre('validate', function (next) {
+  if (this.isNew && this.versions.length === 0) {
+    this.versions.push({
+      version: 1,
+      file: this.file,
+      fileName: this.fileName,
+      mimeType: this.mimeType,
+      uploadedBy: this.uploadedBy,
+      createdAt: this.createdAt
+    });
+  }
+  next();
+});
+
+pdfSchema.pre('save', function (next) {
+  const fields = buildSearchFields(this);
+  for (const field of ['title', 'description', 'creatorName', 'subject']) {
+    if (this.isNew || this.isModified(field)) this.set(`search.${field}`, fields[field]);
+  }
+  // textContent is not selected by default, so only touch the indexed content when it was set
+  if (this.isNew || this.isModified('textContent')) this.set('search.content', fields.content);
+  next();
+});
+
+pdfSchema.index({ 'visibility.level': 1, createdAt: -1 });
+pdfSchema.index({ 'file.sha256': 1 });
+pdfSchema.index({ 'search.title': 1, subject: 1, academicLevel: 1 });
+pdfSchema.index({ popularity: -1, _id: -1 });
+pdfSchema.index(
+  {
+    'search.title': 'text',
+    'search.subject': 'text',
+    'search.creatorName': 'text',
+    'search.description': 'text',
+    'search.content': 'text'
+  },
+  {
+    name: 'pdf_search',
+    weights: { 'search.title': 10, 'search.subject': 5, 'search.creatorName': 4, 'search.description': 2, 'search.content': 1 },
+    // Text is pre-normalized; no language-specific stemming or stop words
+    default_language: 'none',
+    language_override: 'searchLanguage'
+  }
+);
+
 const PDF = mongoose.model('PDF', pdfSchema);
 
 export default PDF;
\ No newline at end of file
@@ -0,0 +1,13 @@
+import mongoose from 'mongoose';
+
+// Reference to a binary held by the file store (utils/fileStore.js). Documents never hold the bytes.
+const storedFileSchema = new mongoose.Schema({
+  driver: { type: String, enum: ['gridfs', 'local', 'cloudinary'], required: true },
+  key: { type: String, required: true },
+  size: { type: Number, required: true },
+  // Content hash computed while storing; null for files stored before hashing was added
+  sha256: { type: String, default: null },
+  url: { type: String, default: null }
+}, { _id: false });
+
+export default storedFileSchema;
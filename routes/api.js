@@ -1,7 +1,7 @@
 import express from 'express';
 import { hash, compare } from 'bcryptjs';
 import jwt from 'jsonwebtoken';
-const { sign, verify } = jwt;
+const { verify } = jwt;
 import JoinRequest from '../models/JoinRequest.js';
 import User from '../models/User.js';
 import mongoose from 'mongoose';
@@ -13,6 +13,31 @@ import sendEmail from '../utils/email.js';
 import validator from 'validator';
 import { v2 as cloudinary } from 'cloudinary';
 import crypto from 'crypto';
+import {
+  createSession,
+  rotateRefreshToken,
+  isSessionActive,
+  revokeSession,
+  revokeUserSessions,
+  listActiveSessions
+} from '../utils/sessionUtils.js';
+import requirePermission from '../middleware/permission.js';
+import { isMemberInScope, memberScopeFilter, getRolePermissions } from '../utils/permissions.js';
+import Student from '../models/Student.js';
+import Lecture from '../models/Lecture.js';
+import {
+  formatStudent,
+  getVolunteerStudents,
+  attachStudentNames,
+  assignStudent,
+  setEnrollments,
+  syncVolunteerStudents
+} from '../utils/studentUtils.js';
+import { getArchiveRetentionDays } from '../utils/archiveUtils.js';
+import { recordAudit } from '../utils/auditLog.js';
+import { awardHours, adjustHoursTo } from '../utils/hoursLedger.js';
+import { getVolunteerLectures, countDeliveredLectures } from '../utils/lectures.js';
+import { parseListQuery, paginateQuery } from '../utils/pagination.js';
 
 const router = express.Router();
 
@@ -53,7 +78,7 @@ const upload = multer({
 });
 
 // Middleware to verify JWT token
-const authMiddleware = (req, res, next) => {
+const authMiddleware = async (req, res, next) => {
   const token = req.header('Authorization')?.replace('Bearer ', '');
   if (!token) {
     console.error('لم يتم توفير رمز التوثيق');
@@ -61,8 +86,13 @@ const authMiddleware = (req, res, next) => {
   }
   try {
     const decoded = verify(token, process.env.JWT_SECRET);
+    if (!(await isSessionActive(decoded.sessionId))) {
+      console.error('الجلسة ملغاة أو منتهية:', decoded.sessionId);
+      return res.status(401).json({ message: 'انتهت الجلسة، يرجى تسجيل الدخول مرة أخرى' });
+    }
     req.userId = decoded.userId;
     req.userRole = decoded.role;
+    req.sessionId = decoded.sessionId;
     console.log('تم التحقق من التوكن:', { userId: req.userId, role: req.userRole });
     next();
   } catch (error) {
@@ -71,15 +101,6 @@ const authMiddleware = (req, res, next) => {
   }
 };
 
-// Admin middleware
-const adminMiddleware = (req, res, next) => {
-  if (req.userRole !== 'admin') {
-    console.error('محاولة وصول غير مصرح بها:', req.userId);
-    return res.status(403).json({ message: 'يجب أن تكون مسؤولاً للوصول إلى هذا الطريق' });
-  }
-  next();
-};
-
 // Submit a join request
 router.post('/join-requests', async (req, res) => {
   const session = await mongoose.startSession();
@@ -126,19 +147,33 @@ router.post('/join-requests', async (req, res) => {
   }
 });
 
-// Get all join requests
-router.get('/join-requests', authMiddleware, adminMiddleware, async (req, res) => {
+// Get join requests (paginated, filterable by status, name, email and date)
+router.get('/join-requests', authMiddleware, requirePermission('join_requests:read'), async (req, res) => {
   try {
-    const joinRequests = await JoinRequest.find();
-    console.log('تم جلب طلبات الانضمام:', joinRequests.length);
-    res.json(joinRequests);
+    const list = parseListQuery(req.query, {
+      sortFields: ['createdAt', 'name', 'email', 'status'],
+      filters: {
+        status: { field: 'status', type: 'exact', values: ['Pending', 'Approved', 'Rejected', 'Archived'] },
+        name: { field: 'name', type: 'contains' },
+        email: { field: 'email', type: 'contains' },
+        from: { field: 'createdAt', type: 'dateFrom' },
+        to: { field: 'createdAt', type: 'dateTo' }
+      }
+    });
+    if (list.error) {
+      return res.status(400).json({ message: list.error });
+    }
+
+    const { items, pagination } = await paginateQuery(JoinRequest, list);
+    console.log('تم جلب طلبات الانضمام:', items.length);
+    res.json({ success: true, joinRequests: items, pagination });
   } catch (error) {
     console.error('خطأ في جلب طلبات الانضمام:', error.message);
     res.status(500).json({ message: 'خطأ في الخادم', error: error.message });
   }
 });
 
-router.post('/join-requests/:id/approve', authMiddleware, adminMiddleware, async (req, res) => {
+router.post('/join-requests/:id/approve', authMiddleware, requirePermission('join_requests:review'), async (req, res) => {
   const session = await mongoose.startSession();
   session.startTransaction();
   try {
@@ -194,9 +229,7 @@ router.post('/join-requests/:id/approve', authMiddleware, adminMiddleware, async
       password: hashedPassword,
       numberOfStudents: 0,
       subjects: joinRequest.subjects || [],
-      students: [],
       meetings: [],
-      lectures: [],
       lectureCount: 0,
       role: 'user',
       profileImage: null,
@@ -223,6 +256,13 @@ router.post('/join-requests/:id/approve', authMiddleware, adminMiddleware, async
     // تأكيد المعاملة وإنهاء الجلسة
     await session.commitTransaction();
     session.endSession();
+    await recordAudit(req, {
+      action: 'join_request.approve',
+      targetType: 'JoinRequest',
+      targetId: joinRequest._id,
+      before: { status: 'Pending' },
+      after: { status: 'Approved', userId: user._id }
+    });
     res.json({
       message: 'تم الموافقة على الطلب وإنشاء الحساب وإرسال كلمة المرور عبر البريد الإلكتروني',
       email: user.email,
@@ -235,7 +275,7 @@ router.post('/join-requests/:id/approve', authMiddleware, adminMiddleware, async
   }
 });
 // Reject a join request
-router.post('/join-requests/:id/reject', authMiddleware, adminMiddleware, async (req, res) => {
+router.post('/join-requests/:id/reject', authMiddleware, requirePermission('join_requests:review'), async (req, res) => {
   try {
     const joinRequest = await JoinRequest.findById(req.params.id);
     if (!joinRequest) {
@@ -247,6 +287,13 @@ router.post('/join-requests/:id/reject', authMiddleware, adminMiddleware, async
 
     joinRequest.status = 'Rejected';
     await joinRequest.save();
+    await recordAudit(req, {
+      action: 'join_request.reject',
+      targetType: 'JoinRequest',
+      targetId: joinRequest._id,
+      before: { status: 'Pending' },
+      after: { status: 'Rejected' }
+    });
     console.log('تم رفض طلب الانضمام:', joinRequest._id);
     res.json({ message: 'تم رفض الطلب' });
   } catch (error) {
@@ -255,8 +302,8 @@ router.post('/join-requests/:id/reject', authMiddleware, adminMiddleware, async
   }
 });
 
-// Delete an approved member
-router.delete('/members/:id', authMiddleware, adminMiddleware, async (req, res) => {
+// Archive an approved member (deactivates the account; purged after the retention period)
+router.delete('/members/:id', authMiddleware, requirePermission('members:delete'), async (req, res) => {
   const session = await mongoose.startSession();
   session.startTransaction();
   try {
@@ -287,41 +334,157 @@ router.delete('/members/:id', authMiddleware, adminMiddleware, async (req, res)
       return res.status(404).json({ message: 'حساب المستخدم غير موجود' });
     }
 
-    // Delete profile image from Cloudinary if exists
-    if (user.profileImagePublicId) {
-      try {
-        await cloudinary.uploader.destroy(user.profileImagePublicId);
-        console.log('تم حذف الصورة من Cloudinary:', user.profileImagePublicId);
-      } catch (cloudinaryError) {
-        console.error('خطأ في حذف الصورة من Cloudinary:', cloudinaryError.message);
-      }
+    const archivedAt = new Date();
+    joinRequest.status = 'Archived';
+    joinRequest.archivedAt = archivedAt;
+    joinRequest.archivedBy = req.userId;
+    joinRequest.archiveReason = req.body?.reason || null;
+    user.archivedAt = archivedAt;
+
+    await Promise.all([joinRequest.save({ session }), user.save({ session })]);
+
+    await session.commitTransaction();
+    session.endSession();
+
+    // Block further access immediately
+    await revokeUserSessions(user._id, 'admin_revoked');
+    await recordAudit(req, {
+      action: 'member.archive',
+      targetType: 'JoinRequest',
+      targetId: joinRequest._id,
+      before: { status: 'Approved' },
+      after: { status: 'Archived', archiveReason: joinRequest.archiveReason }
+    });
+
+    console.log('تم أرشفة العضو:', { memberId, email: joinRequest.email });
+    res.json({
+      message: 'تم أرشفة العضو بنجاح',
+      archivedAt,
+      purgeAfter: new Date(archivedAt.getTime() + getArchiveRetentionDays() * 24 * 60 * 60 * 1000)
+    });
+  } catch (error) {
+    console.error('خطأ في أرشفة العضو:', error.message);
+    await session.abortTransaction();
+    session.endSession();
+    res.status(500).json({ message: 'خطأ في الخادم', error: error.message });
+  }
+});
+
+// Restore an archived member
+router.post('/members/:id/restore', authMiddleware, requirePermission('members:delete'), async (req, res) => {
+  const session = await mongoose.startSession();
+  session.startTransaction();
+  try {
+    const memberId = req.params.id;
+    if (!mongoose.Types.ObjectId.isValid(memberId)) {
+      await session.abortTransaction();
+      session.endSession();
+      return res.status(400).json({ message: 'معرف العضو غير صالح' });
+    }
+
+    const joinRequest = await JoinRequest.findById(memberId).session(session);
+    if (!joinRequest) {
+      await session.abortTransaction();
+      session.endSession();
+      return res.status(404).json({ message: 'العضو غير موجود' });
     }
 
-    await JoinRequest.deleteOne({ _id: memberId }).session(session);
-    await User.deleteOne({ email: joinRequest.email.toLowerCase().trim() }).session(session);
+    if (joinRequest.status !== 'Archived') {
+      await session.abortTransaction();
+      session.endSession();
+      return res.status(400).json({ message: 'العضو غير مؤرشف' });
+    }
+
+    const user = await User.findOne({ email: joinRequest.email.toLowerCase().trim() }).session(session);
+    if (!user) {
+      await session.abortTransaction();
+      session.endSession();
+      return res.status(404).json({ message: 'حساب المستخدم غير موجود' });
+    }
+
+    joinRequest.status = 'Approved';
+    joinRequest.archivedAt = null;
+    joinRequest.archivedBy = null;
+    joinRequest.archiveReason = null;
+    user.archivedAt = null;
+
+    await Promise.all([joinRequest.save({ session }), user.save({ session })]);
 
     await session.commitTransaction();
     session.endSession();
-    console.log('تم حذف العضو:', { memberId, email: joinRequest.email });
-    res.json({ message: 'تم حذف العضو بنجاح' });
+    await recordAudit(req, {
+      action: 'member.restore',
+      targetType: 'JoinRequest',
+      targetId: joinRequest._id,
+      before: { status: 'Archived' },
+      after: { status: 'Approved' }
+    });
+    console.log('تم استعادة العضو:', { memberId, email: joinRequest.email });
+    res.json({ message: 'تم استعادة العضو بنجاح' });
   } catch (error) {
-    console.error('خطأ في حذف العضو:', error.message);
+    console.error('خطأ في استعادة العضو:', error.message);
     await session.abortTransaction();
     session.endSession();
     res.status(500).json({ message: 'خطأ في الخادم', error: error.message });
   }
 });
 
-// Get all approved members with details
-router.get('/approved-members', authMiddleware, adminMiddleware, async (req, res) => {
+// Get archived members
+router.get('/archived-members', authMiddleware, requirePermission('members:delete'), async (req, res) => {
   try {
-    const approvedMembers = await JoinRequest.find({ status: 'Approved' });
-    const membersWithDetails = await Promise.all(approvedMembers.map(async (member) => {
-      const user = await User.findOne({ email: member.email.toLowerCase().trim() });
-      const lecturesWithStudentNames = user?.lectures.map(lecture => ({
-        ...lecture.toObject(),
-        studentName: user.students.find(s => s.email.toLowerCase() === lecture.studentEmail.toLowerCase())?.name || 'Unknown'
-      })) || [];
+    const archivedMembers = await JoinRequest.find({ status: 'Archived' })
+      .populate('archivedBy', 'email')
+      .sort({ archivedAt: -1 });
+
+    res.json(archivedMembers.map(member => ({
+      id: member._id,
+      name: member.name,
+      email: member.email,
+      phone: member.number,
+      volunteerHours: member.volunteerHours || 0,
+      archivedAt: member.archivedAt,
+      archivedBy: member.archivedBy ? member.archivedBy.email : null,
+      archiveReason: member.archiveReason,
+      purgeAfter: new Date(member.archivedAt.getTime() + getArchiveRetentionDays() * 24 * 60 * 60 * 1000)
+    })));
+  } catch (error) {
+    console.error('خطأ في جلب الأعضاء المؤرشفين:', error.message);
+    res.status(500).json({ message: 'خطأ في الخادم', error: error.message });
+  }
+});
+
+// Get approved members with details (paginated, filterable by name, email, subject and supervisor)
+router.get('/approved-members', authMiddleware, requirePermission('members:read'), async (req, res) => {
+  try {
+    const list = parseListQuery(req.query, {
+      sortFields: ['createdAt', 'name', 'email', 'volunteerHours'],
+      filters: {
+        name: { field: 'name', type: 'contains' },
+        email: { field: 'email', type: 'contains' },
+        subject: { field: 'subjects', type: 'contains' },
+        supervisor: { field: 'supervisor', type: 'objectId' }
+      }
+    });
+    if (list.error) {
+      return res.status(400).json({ message: list.error });
+    }
+
+    const scopeFilter = await memberScopeFilter(req.permissionScope, req.userId);
+    const { items: approvedMembers, pagination } = await paginateQuery(JoinRequest, list, { status: 'Approved', ...scopeFilter });
+
+    // Load the page's users, students and lectures in batches instead of per member
+    const users = await User.find({ email: { $in: approvedMembers.map(member => member.email.toLowerCase().trim()) } });
+    const userIds = users.map(user => user._id);
+    const allStudents = await Student.find({ volunteer: { $in: userIds } }).sort({ createdAt: 1 });
+    const allLectures = await attachStudentNames(await getVolunteerLectures(userIds));
+    const lectureCounts = await countDeliveredLectures(userIds);
+
+    const membersWithDetails = approvedMembers.map((member) => {
+      const user = users.find(candidate => candidate.email === member.email.toLowerCase().trim());
+      const students = user ? allStudents.filter(student => student.volunteer.equals(user._id)) : [];
+      const lecturesWithStudentNames = user
+        ? allLectures.filter(lecture => lecture.volunteerId === user._id.toString())
+        : [];
       return {
         id: member._id,
         name: member.name,
@@ -332,15 +495,15 @@ router.get('/approved-members', authMiddleware, adminMiddleware, async (req, res
         volunteerHours: member.volunteerHours || 0,
         numberOfStudents: user?.numberOfStudents || 0,
         subjects: user?.subjects || [],
-        students: user?.students || [],
+        students: students.map(formatStudent),
         meetings: user?.meetings || [],
         lectures: lecturesWithStudentNames,
-        lectureCount: user?.lectureCount || 0,
+        lectureCount: user ? lectureCounts.get(user._id.toString()) || 0 : 0,
         profileImage: user?.profileImage || null
       };
-    }));
+    });
     console.log('تم جلب الأعضاء المعتمدين:', membersWithDetails.length);
-    res.json(membersWithDetails);
+    res.json({ success: true, members: membersWithDetails, pagination });
   } catch (error) {
     console.error('خطأ في جلب الأعضاء المعتمدين:', error.message);
     res.status(500).json({ message: 'خطأ في الخادم', error: error.message });
@@ -348,17 +511,19 @@ router.get('/approved-members', authMiddleware, adminMiddleware, async (req, res
 });
 
 // Get member details by ID
-router.get('/members/:id', authMiddleware, async (req, res) => {
+router.get('/members/:id', authMiddleware, requirePermission('members:read'), async (req, res) => {
   try {
     const member = await JoinRequest.findById(req.params.id);
     if (!member) {
       return res.status(404).json({ message: 'العضو غير موجود' });
     }
+    if (!(await isMemberInScope(req.permissionScope, member, req.userId))) {
+      return res.status(403).json({ message: 'غير مصرح لك بعرض بيانات هذا العضو' });
+    }
     const user = await User.findOne({ email: member.email.toLowerCase().trim() });
-    const lecturesWithStudentNames = user?.lectures.map(lecture => ({
-      ...lecture.toObject(),
-      studentName: user.students.find(s => s.email.toLowerCase() === lecture.studentEmail.toLowerCase())?.name || 'Unknown'
-    })) || [];
+    const students = user ? await getVolunteerStudents(user._id) : [];
+    const lecturesWithStudentNames = user ? await attachStudentNames(await getVolunteerLectures([user._id])) : [];
+    const lectureCount = user ? (await countDeliveredLectures([user._id])).get(user._id.toString()) || 0 : 0;
     res.json({
       success: true, // إضافة حقل success لتتناسب مع JoinRequestResponse
       member: {
@@ -371,9 +536,9 @@ router.get('/members/:id', authMiddleware, async (req, res) => {
         volunteerHours: member.volunteerHours || 0,
         numberOfStudents: user?.numberOfStudents || 0,
         subjects: user?.subjects || [],
-        students: user?.students || [],
+        students: students.map(formatStudent),
         lectures: lecturesWithStudentNames,
-        lectureCount: user?.lectureCount || 0,
+        lectureCount,
         status: member.status,
         createdAt: member.createdAt,
         profileImage: user?.profileImage || null,
@@ -387,11 +552,11 @@ router.get('/members/:id', authMiddleware, async (req, res) => {
 });
 
 // Update member details
-router.put('/members/:id/update-details', authMiddleware, adminMiddleware, async (req, res) => {
+router.put('/members/:id/update-details', authMiddleware, requirePermission('members:update'), async (req, res) => {
   const session = await mongoose.startSession();
   session.startTransaction();
   try {
-    const { volunteerHours, numberOfStudents, students, subjects } = req.body;
+    const { volunteerHours, numberOfStudents, students, subjects, hoursReason } = req.body;
 
     if (
       volunteerHours === undefined ||
@@ -404,7 +569,7 @@ router.put('/members/:id/update-details', authMiddleware, adminMiddleware, async
       return res.status(400).json({ message: 'ساعات التطوع، عدد الطلاب، بيانات الطلاب، والمواد مطلوبة' });
     }
 
-    if (volunteerHours < 0 || numberOfStudents < 0) {
+    if (!Number.isFinite(Number(volunteerHours)) || volunteerHours < 0 || numberOfStudents < 0) {
       await session.abortTransaction();
       session.endSession();
       return res.status(400).json({ message: 'ساعات التطوع وعدد الطلاب يجب أن يكونا صفر أو أكثر' });
@@ -460,36 +625,42 @@ router.put('/members/:id/update-details', authMiddleware, adminMiddleware, async
       return res.status(404).json({ message: 'حساب المستخدم غير موجود' });
     }
 
-    // Fix invalid lectures by removing entries with missing or invalid studentEmail
-    if (Array.isArray(user.lectures)) {
-      const originalLectureCount = user.lectures.length;
-      user.lectures = user.lectures.filter(lecture => lecture.studentEmail && validator.isEmail(lecture.studentEmail));
-      const removedCount = originalLectureCount - user.lectures.length;
-      if (removedCount > 0) {
-        console.log('تمت إزالة محاضرات غير صالحة:', { userId: user._id, removedCount });
-        user.lectureCount = Math.max(0, user.lectureCount - removedCount);
-      }
-    }
+    const before = {
+      volunteerHours: member.volunteerHours,
+      numberOfStudents: user.numberOfStudents,
+      subjects: [...user.subjects],
+      students: (await getVolunteerStudents(user._id, session)).map(formatStudent)
+    };
 
-    member.volunteerHours = volunteerHours;
-    member.students = students.map(student => ({
-      ...student,
-      email: student.email.toLowerCase().trim()
-    }));
+    // Overwriting the total is recorded as a manual adjustment in the hours ledger
+    await adjustHoursTo(member, Number(volunteerHours), {
+      reason: hoursReason || 'تعديل من خلال تحديث بيانات العضو',
+      createdBy: req.userId
+    }, session);
     member.subjects = subjects;
 
     user.numberOfStudents = numberOfStudents;
-    user.students = students.map(student => ({
-      ...student,
-      email: student.email.toLowerCase().trim()
-    }));
     user.subjects = subjects;
 
+    const updatedStudents = await syncVolunteerStudents(user._id, students, session);
     await Promise.all([member.save({ session }), user.save({ session })]);
 
     await session.commitTransaction();
     session.endSession();
 
+    await recordAudit(req, {
+      action: 'member.update_details',
+      targetType: 'JoinRequest',
+      targetId: member._id,
+      before,
+      after: {
+        volunteerHours: member.volunteerHours,
+        numberOfStudents: user.numberOfStudents,
+        subjects: [...user.subjects],
+        students: updatedStudents.map(formatStudent)
+      }
+    });
+
     console.log('تم تحديث تفاصيل العضو:', { 
       memberId: member._id,
       volunteerHours, 
@@ -502,7 +673,7 @@ router.put('/members/:id/update-details', authMiddleware, adminMiddleware, async
       message: 'تم تحديث التفاصيل بنجاح',
       volunteerHours: member.volunteerHours,
       numberOfStudents: user.numberOfStudents,
-      students: user.students,
+      students: updatedStudents.map(formatStudent),
       subjects: user.subjects
     });
   } catch (error) {
@@ -514,7 +685,7 @@ router.put('/members/:id/update-details', authMiddleware, adminMiddleware, async
 });
 
 // Add a single student to a member
-router.post('/members/:id/add-student', authMiddleware, async (req, res) => {
+router.post('/members/:id/add-student', authMiddleware, requirePermission('students:create'), async (req, res) => {
   const session = await mongoose.startSession();
   session.startTransaction();
   try {
@@ -556,6 +727,11 @@ router.post('/members/:id/add-student', authMiddleware, async (req, res) => {
       session.endSession();
       return res.status(404).json({ message: 'العضو غير موجود' });
     }
+    if (!(await isMemberInScope(req.permissionScope, member, req.userId))) {
+      await session.abortTransaction();
+      session.endSession();
+      return res.status(403).json({ message: 'غير مصرح لك بإضافة طلاب لهذا العضو' });
+    }
     if (member.status !== 'Approved') {
       await session.abortTransaction();
       session.endSession();
@@ -571,17 +747,15 @@ router.post('/members/:id/add-student', authMiddleware, async (req, res) => {
 
     // التحقق من الحد الأقصى لعدد الطلاب (مثال: 50)
     const MAX_STUDENTS = 50;
-    if (user.students.length >= MAX_STUDENTS) {
+    const currentStudents = await getVolunteerStudents(user._id, session);
+    if (currentStudents.length >= MAX_STUDENTS) {
       await session.abortTransaction();
       session.endSession();
       return res.status(400).json({ message: `لا يمكن إضافة المزيد من الطلاب، الحد الأقصى ${MAX_STUDENTS}` });
     }
 
     const normalizedEmail = email.toLowerCase().trim();
-    if (!Array.isArray(user.students)) user.students = [];
-    if (!Array.isArray(member.students)) member.students = [];
-
-    if (user.students.some(student => student.email.toLowerCase() === normalizedEmail)) {
+    if (currentStudents.some(student => student.email === normalizedEmail)) {
       await session.abortTransaction();
       session.endSession();
       return res.status(400).json({ message: 'البريد الإلكتروني للطالب مستخدم بالفعل' });
@@ -598,18 +772,12 @@ router.post('/members/:id/add-student', authMiddleware, async (req, res) => {
       }
     }
 
-    const newStudent = { 
-      name, 
-      email: normalizedEmail, 
-      phone, 
-      grade, 
-      subjects: subjects ? subjects.map(subject => ({
-        name: subject.name.toLowerCase().trim(),
-        minLectures: subject.minLectures
-      })) : [] 
-    };
-    user.students.push(newStudent);
-    member.students.push(newStudent);
+    const newStudent = new Student({ name, email: normalizedEmail, phone, grade });
+    assignStudent(newStudent, user._id);
+    setEnrollments(newStudent, subjects ? subjects.map(subject => ({
+      name: subject.name.toLowerCase().trim(),
+      minLectures: subject.minLectures
+    })) : []);
     user.numberOfStudents = (user.numberOfStudents || 0) + 1;
 
     if (!Array.isArray(user.subjects)) user.subjects = [];
@@ -622,9 +790,13 @@ router.post('/members/:id/add-student', authMiddleware, async (req, res) => {
     }
 
     // تحديث ساعات التطوع
-    member.volunteerHours = (member.volunteerHours || 0) + 1;
+    await awardHours(member, 'student_onboarding', {
+      sourceId: newStudent._id,
+      academicLevel: grade,
+      createdBy: req.userId
+    }, session);
 
-    await Promise.all([member.save({ session }), user.save({ session })]);
+    await Promise.all([member.save({ session }), user.save({ session }), newStudent.save({ session })]);
 
     await session.commitTransaction();
     session.endSession();
@@ -637,7 +809,7 @@ router.post('/members/:id/add-student', authMiddleware, async (req, res) => {
 
     res.json({
       message: 'تم إضافة الطالب بنجاح',
-      student: newStudent,
+      student: formatStudent(newStudent),
       numberOfStudents: user.numberOfStudents,
       subjects: user.subjects
     });
@@ -678,26 +850,170 @@ router.post('/login', async (req, res) => {
       return res.status(400).json({ message: 'بيانات تسجيل الدخول غير صحيحة' });
     }
 
+    if (user.archivedAt) {
+      console.log('Login blocked for archived user:', normalizedEmail);
+      return res.status(403).json({ message: 'تم إيقاف هذا الحساب، يرجى التواصل مع الإدارة' });
+    }
+
     if (!process.env.JWT_SECRET) {
       console.error('JWT_SECRET is not defined');
       return res.status(500).json({ message: 'خطأ في إعدادات الخادم' });
     }
 
-    const token = sign(
-      { userId: user._id, role: user.role },
-      process.env.JWT_SECRET,
-      { expiresIn: '1h' }
-    );
-    console.log('Login successful, token generated for:', normalizedEmail);
-    res.json({ token, userId: user._id, role: user.role });
+    const { session, token, refreshToken } = await createSession(user, req);
+    console.log('Login successful, session created for:', normalizedEmail, session._id.toString());
+    res.json({ token, refreshToken, userId: user._id, role: user.role });
   } catch (error) {
     console.error('Login error:', error.message);
     res.status(500).json({ message: 'خطأ في الخادم', error: error.message });
   }
 });
 
+// Exchange a refresh token for a new access token (the refresh token is rotated)
+router.post('/token/refresh', async (req, res) => {
+  try {
+    const { refreshToken } = req.body;
+    if (!refreshToken) {
+      return res.status(400).json({ message: 'رمز التحديث مطلوب' });
+    }
+
+    const result = await rotateRefreshToken(refreshToken, (userId) => User.findOne({ _id: userId, archivedAt: null }));
+    if (result.error) {
+      console.log('Refresh token rejected:', result.error);
+      return res.status(401).json({ message: 'رمز التحديث غير صالح أو منتهي الصلاحية، يرجى تسجيل الدخول' });
+    }
+
+    res.json({
+      token: result.token,
+      refreshToken: result.refreshToken,
+      userId: result.user._id,
+      role: result.user.role
+    });
+  } catch (error) {
+    console.error('Refresh token error:', error.message);
+    res.status(500).json({ message: 'خطأ في الخادم', error: error.message });
+  }
+});
+
+// Logout (revokes the current session)
+router.post('/logout', authMiddleware, requirePermission('profile:manage'), async (req, res) => {
+  try {
+    await revokeSession(req.sessionId, 'logout');
+    console.log('تم تسجيل الخروج:', { userId: req.userId, sessionId: req.sessionId });
+    res.json({ message: 'تم تسجيل الخروج بنجاح' });
+  } catch (error) {
+    console.error('خطأ في تسجيل الخروج:', error.message);
+    res.status(500).json({ message: 'خطأ في الخادم', error: error.message });
+  }
+});
+
+// List the current user's active sessions
+router.get('/sessions', authMiddleware, requirePermission('profile:manage'), async (req, res) => {
+  try {
+    const sessions = await listActiveSessions(req.userId);
+    res.json({
+      success: true,
+      sessions: sessions.map(session => ({
+        id: session._id,
+        userAgent: session.userAgent,
+        ip: session.ip,
+        createdAt: session.createdAt,
+        lastUsedAt: session.lastUsedAt,
+        expiresAt: session.expiresAt,
+        current: session._id.toString() === req.sessionId
+      }))
+    });
+  } catch (error) {
+    console.error('خطأ في جلب الجلسات:', error.message);
+    res.status(500).json({ message: 'خطأ في الخادم', error: error.message });
+  }
+});
+
+// Revoke all of the current user's sessions except this one
+router.delete('/sessions', authMiddleware, requirePermission('profile:manage'), async (req, res) => {
+  try {
+    const result = await revokeUserSessions(req.userId, 'user_revoked', req.sessionId);
+    console.log('تم إلغاء الجلسات الأخرى:', { userId: req.userId, count: result.modifiedCount });
+    res.json({ message: 'تم إلغاء جميع الجلسات الأخرى بنجاح', revoked: result.modifiedCount });
+  } catch (error) {
+    console.error('خطأ في إلغاء الجلسات:', error.message);
+    res.status(500).json({ message: 'خطأ في الخادم', error: error.message });
+  }
+});
+
+// Revoke one of the current user's sessions
+router.delete('/sessions/:sessionId', authMiddleware, requirePermission('profile:manage'), async (req, res) => {
+  try {
+    const { sessionId } = req.params;
+    if (!mongoose.Types.ObjectId.isValid(sessionId)) {
+      return res.status(400).json({ message: 'معرف الجلسة غير صالح' });
+    }
+
+    const sessions = await listActiveSessions(req.userId);
+    if (!sessions.some(session => session._id.toString() === sessionId)) {
+      return res.status(404).json({ message: 'الجلسة غير موجودة' });
+    }
+
+    await revokeSession(sessionId, 'user_revoked');
+    console.log('تم إلغاء الجلسة:', { userId: req.userId, sessionId });
+    res.json({ message: 'تم إلغاء الجلسة بنجاح' });
+  } catch (error) {
+    console.error('خطأ في إلغاء الجلسة:', error.message);
+    res.status(500).json({ message: 'خطأ في الخادم', error: error.message });
+  }
+});
+
+// List a user's active sessions (admin)
+router.get('/admin/users/:userId/sessions', authMiddleware, requirePermission('sessions:manage'), async (req, res) => {
+  try {
+    const { userId } = req.params;
+    if (!mongoose.Types.ObjectId.isValid(userId)) {
+      return res.status(400).json({ message: 'معرف المستخدم غير صالح' });
+    }
+
+    const sessions = await listActiveSessions(userId);
+    res.json({
+      success: true,
+      sessions: sessions.map(session => ({
+        id: session._id,
+        userAgent: session.userAgent,
+        ip: session.ip,
+        createdAt: session.createdAt,
+        lastUsedAt: session.lastUsedAt,
+        expiresAt: session.expiresAt
+      }))
+    });
+  } catch (error) {
+    console.error('خطأ في جلب جلسات المستخدم:', error.message);
+    res.status(500).json({ message: 'خطأ في الخادم', error: error.message });
+  }
+});
+
+// Revoke all of a user's sessions (admin)
+router.delete('/admin/users/:userId/sessions', authMiddleware, requirePermission('sessions:manage'), async (req, res) => {
+  try {
+    const { userId } = req.params;
+    if (!mongoose.Types.ObjectId.isValid(userId)) {
+      return res.status(400).json({ message: 'معرف المستخدم غير صالح' });
+    }
+
+    const result = await revokeUserSessions(userId, 'admin_revoked');
+    await recordAudit(req, {
+      action: 'sessions.revoke_all',
+      targetType: 'User',
+      targetId: userId,
+      after: { revoked: result.modifiedCount }
+    });
+    console.log('تم إلغاء جلسات المستخدم بواسطة المسؤول:', { userId, adminId: req.userId, count: result.modifiedCount });
+    res.json({ message: 'تم إلغاء جميع جلسات المستخدم بنجاح', revoked: result.modifiedCount });
+  } catch (error) {
+    console.error('خطأ في إلغاء جلسات المستخدم:', error.message);
+    res.status(500).json({ message: 'خطأ في الخادم', error: error.message });
+  }
+});
+
 // Get user profile
-router.get('/profile', authMiddleware, async (req, res) => {
+router.get('/profile', authMiddleware, requirePermission('profile:manage'), async (req, res) => {
   try {
     const user = await User.findById(req.userId);
     if (!user) {
@@ -710,10 +1026,9 @@ router.get('/profile', authMiddleware, async (req, res) => {
     user.messages = user.messages.filter(message => message.displayUntil > currentDate);
     await user.save();
 
-    const lecturesWithStudentNames = user?.lectures.map(lecture => ({
-      ...lecture.toObject(),
-      studentName: user.students.find(s => s.email.toLowerCase() === lecture.studentEmail.toLowerCase())?.name || 'Unknown'
-    })) || [];
+    const students = (await getVolunteerStudents(user._id)).map(formatStudent);
+    const lecturesWithStudentNames = await attachStudentNames(await getVolunteerLectures([user._id]));
+    const lectureCount = (await countDeliveredLectures([user._id])).get(user._id.toString()) || 0;
 
     console.log('تم جلب الملف الشخصي:', {
       userId: req.userId,
@@ -731,10 +1046,10 @@ router.get('/profile', authMiddleware, async (req, res) => {
           profileImage: user.profileImage || null,
           numberOfStudents: user.numberOfStudents || 0,
           subjects: user.subjects || [],
-          students: user.students || [],
+          students,
           meetings: user.meetings || [],
           lectures: lecturesWithStudentNames,
-          lectureCount: user.lectureCount || 0,
+          lectureCount,
           messages: user.messages || []
         },
         joinRequest: joinRequest ? {
@@ -744,10 +1059,10 @@ router.get('/profile', authMiddleware, async (req, res) => {
           address: joinRequest.address,
           volunteerHours: joinRequest.volunteerHours || 0,
           status: joinRequest.status,
-          students: joinRequest.students || [],
+          students,
           subjects: joinRequest.subjects || [],
           lectures: lecturesWithStudentNames,
-          lectureCount: user.lectureCount || 0
+          lectureCount
         } : null
       }
     });
@@ -757,8 +1072,17 @@ router.get('/profile', authMiddleware, async (req, res) => {
   }
 });
 
+// Get the current user's capabilities
+router.get('/profile/permissions', authMiddleware, requirePermission('profile:manage'), (req, res) => {
+  res.json({
+    success: true,
+    role: req.userRole,
+    permissions: getRolePermissions(req.userRole)
+  });
+});
+
 // Update password
-router.put('/profile/password', authMiddleware, async (req, res) => {
+router.put('/profile/password', authMiddleware, requirePermission('profile:manage'), async (req, res) => {
   try {
     const { currentPassword, newPassword } = req.body;
     if (!currentPassword || !newPassword) {
@@ -780,6 +1104,7 @@ router.put('/profile/password', authMiddleware, async (req, res) => {
 
     user.password = await hash(newPassword, 10);
     await user.save();
+    await revokeUserSessions(user._id, 'password_changed', req.sessionId);
     res.json({ success: true, message: 'تم تحديث كلمة المرور بنجاح' });
   } catch (error) {
     console.error('خطأ في تحديث كلمة المرور:', error.message);
@@ -788,7 +1113,7 @@ router.put('/profile/password', authMiddleware, async (req, res) => {
 });
 
 // Upload profile image to Cloudinary
-router.post('/profile/image', authMiddleware, upload.single('profileImage'), async (req, res) => {
+router.post('/profile/image', authMiddleware, requirePermission('profile:manage'), upload.single('profileImage'), async (req, res) => {
   try {
     if (!req.file) {
       console.log('لم يتم تلقي أي ملف');
@@ -860,7 +1185,7 @@ router.post('/profile/image', authMiddleware, upload.single('profileImage'), asy
 });
 
 // Delete profile image
-router.delete('/profile/image', authMiddleware, async (req, res) => {
+router.delete('/profile/image', authMiddleware, requirePermission('profile:manage'), async (req, res) => {
   try {
     const user = await User.findById(req.userId);
     if (!user) {
@@ -890,7 +1215,7 @@ router.delete('/profile/image', authMiddleware, async (req, res) => {
 });
 
 // Add a meeting to calendar
-router.post('/profile/meetings', authMiddleware, async (req, res) => {
+router.post('/profile/meetings', authMiddleware, requirePermission('meetings:manage'), async (req, res) => {
   try {
     const { title, date, startTime, endTime } = req.body;
     if (!title || !date || !startTime || !endTime) {
@@ -930,7 +1255,7 @@ router.post('/profile/meetings', authMiddleware, async (req, res) => {
 });
 
 // Update a meeting
-router.put('/profile/meetings/:meetingId', authMiddleware, async (req, res) => {
+router.put('/profile/meetings/:meetingId', authMiddleware, requirePermission('meetings:manage'), async (req, res) => {
   try {
     const { title, date, startTime, endTime } = req.body;
     const meetingId = req.params.meetingId;
@@ -984,7 +1309,7 @@ router.put('/profile/meetings/:meetingId', authMiddleware, async (req, res) => {
 });
 
 // Delete a meeting
-router.delete('/profile/meetings/:meetingId', authMiddleware, async (req, res) => {
+router.delete('/profile/meetings/:meetingId', authMiddleware, requirePermission('meetings:manage'), async (req, res) => {
   try {
     const meetingId = req.params.meetingId;
     if (!mongoose.Types.ObjectId.isValid(meetingId)) {
@@ -1073,7 +1398,7 @@ router.post('/forgot-password', async (req, res) => {
 });
 
 // Manually send meeting reminder
-router.post('/profile/meetings/:meetingId/remind', authMiddleware, async (req, res) => {
+router.post('/profile/meetings/:meetingId/remind', authMiddleware, requirePermission('meetings:manage'), async (req, res) => {
   try {
     const meetingId = req.params.meetingId;
     if (!mongoose.Types.ObjectId.isValid(meetingId)) {
@@ -1112,7 +1437,7 @@ router.post('/profile/meetings/:meetingId/remind', authMiddleware, async (req, r
 
 
 // Send a message
-router.post('/admin/send-message', authMiddleware, adminMiddleware, async (req, res) => {
+router.post('/admin/send-message', authMiddleware, requirePermission('messages:manage'), async (req, res) => {
   try {
     const { userId, content, displayDays } = req.body;
     if (!userId || !content || !displayDays) {
@@ -1167,6 +1492,12 @@ router.post('/admin/send-message', authMiddleware, adminMiddleware, async (req,
 
     targetUser.messages = [newMessage];
     await targetUser.save();
+    await recordAudit(req, {
+      action: 'message.send',
+      targetType: 'User',
+      targetId: targetUser._id,
+      after: { messageId: newMessage._id, content, displayUntil }
+    });
 
     console.log('تم إرسال الرسالة:', {
       userId,
@@ -1192,7 +1523,7 @@ router.post('/admin/send-message', authMiddleware, adminMiddleware, async (req,
 });
 
 // Edit a message
-router.put('/admin/edit-message', authMiddleware, adminMiddleware, async (req, res) => {
+router.put('/admin/edit-message', authMiddleware, requirePermission('messages:manage'), async (req, res) => {
   try {
     const { userId, messageId, content, displayDays } = req.body;
     if (!userId || !messageId || !content || !displayDays) {
@@ -1223,12 +1554,20 @@ router.put('/admin/edit-message', authMiddleware, adminMiddleware, async (req, r
       return res.status(404).json({ message: 'الرسالة غير موجودة' });
     }
 
+    const before = { messageId: message._id, content: message.content, displayUntil: message.displayUntil };
     const displayUntil = new Date();
     displayUntil.setDate(displayUntil.getDate() + displayDays);
     message.content = content;
     message.displayUntil = displayUntil;
 
     await targetUser.save();
+    await recordAudit(req, {
+      action: 'message.edit',
+      targetType: 'User',
+      targetId: targetUser._id,
+      before,
+      after: { messageId: message._id, content, displayUntil }
+    });
 
     console.log('تم تعديل الرسالة:', { userId, messageId, email: joinRequest.email, content, displayUntil });
 
@@ -1240,7 +1579,7 @@ router.put('/admin/edit-message', authMiddleware, adminMiddleware, async (req, r
 });
 
 // Delete a message
-router.delete('/admin/delete-message', authMiddleware, adminMiddleware, async (req, res) => {
+router.delete('/admin/delete-message', authMiddleware, requirePermission('messages:manage'), async (req, res) => {
   try {
     const { userId, messageId } = req.body;
     if (!userId || !messageId) {
@@ -1265,8 +1604,15 @@ router.delete('/admin/delete-message', authMiddleware, adminMiddleware, async (r
       return res.status(404).json({ message: 'الرسالة غير موجودة' });
     }
 
+    const before = { messageId: message._id, content: message.content, displayUntil: message.displayUntil };
     targetUser.messages.pull(messageId);
     await targetUser.save();
+    await recordAudit(req, {
+      action: 'message.delete',
+      targetType: 'User',
+      targetId: targetUser._id,
+      before
+    });
 
     console.log('تم حذف الرسالة:', { userId, messageId, email: joinRequest.email });
 
@@ -1278,7 +1624,7 @@ router.delete('/admin/delete-message', authMiddleware, adminMiddleware, async (r
 });
 
 // Get a message by ID
-router.get('/admin/get-message/:userId/:messageId', authMiddleware, adminMiddleware, async (req, res) => {
+router.get('/admin/get-message/:userId/:messageId', authMiddleware, requirePermission('messages:manage'), async (req, res) => {
   try {
     const { userId, messageId } = req.params;
     if (!userId || !messageId) {
@@ -1325,9 +1671,10 @@ router.get('/admin/get-message/:userId/:messageId', authMiddleware, adminMiddlew
 });
 
 // Get members with low lecture counts
-router.get('/low-lecture-members', authMiddleware, adminMiddleware, async (req, res) => {
+router.get('/low-lecture-members', authMiddleware, requirePermission('lectures:monitor'), async (req, res) => {
   try {
-    const approvedMembers = await JoinRequest.find({ status: 'Approved' });
+    const scopeFilter = await memberScopeFilter(req.permissionScope, req.userId);
+    const approvedMembers = await JoinRequest.find({ status: 'Approved', ...scopeFilter });
     const lowLectureMembers = [];
 
     for (const member of approvedMembers) {
@@ -1335,11 +1682,13 @@ router.get('/low-lecture-members', authMiddleware, adminMiddleware, async (req,
       if (!user) continue;
 
       const lowLectureStudents = [];
-      for (const student of user.students) {
+      const students = await getVolunteerStudents(user._id);
+      const delivered = await Lecture.find({ volunteer: user._id, status: 'delivered' }).select('student subject').lean();
+      for (const student of students.map(formatStudent)) {
         const lowLectureSubjects = [];
         for (const subject of student.subjects) {
-          const lectureCount = user.lectures.filter(
-            lecture => lecture.studentEmail.toLowerCase() === student.email.toLowerCase() &&
+          const lectureCount = delivered.filter(
+            lecture => lecture.student.toString() === student._id.toString() &&
                       lecture.subject.toLowerCase() === subject.name.toLowerCase()
           ).length;
           if (lectureCount < subject.minLectures) {
@@ -1352,6 +1701,7 @@ router.get('/low-lecture-members', authMiddleware, adminMiddleware, async (req,
         }
         if (lowLectureSubjects.length > 0) {
           lowLectureStudents.push({
+            studentId: student._id,
             studentEmail: student.email,
             studentName: student.name,
             subjects: lowLectureSubjects
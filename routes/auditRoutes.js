@@ -0,0 +1,137 @@
+import express from 'express';
+import mongoose from 'mongoose';
+import AuditLog from '../models/AuditLog.js';
+import authMiddleware from '../middleware/auth.js';
+import requirePermission from '../middleware/permission.js';
+
+const router = express.Router();
+
+const FILTER_PARAMS = ['actor', 'action', 'targetType', 'targetId', 'from', 'to'];
+
+// Builds the Mongo filter from the query string (actor, action, targetType, targetId, from, to)
+const buildFilter = (query) => {
+  const param = FILTER_PARAMS.find(name => query[name] !== undefined && typeof query[name] !== 'string');
+  if (param) return { error: `قيمة المرشح ${param} غير صالحة` };
+
+  const filter = {};
+  if (query.actor) {
+    if (!mongoose.isValidObjectId(query.actor)) return { error: 'معرف المنفذ غير صالح' };
+    filter.actor = query.actor;
+  }
+  if (query.action) filter.action = query.action;
+  if (query.targetType) filter.targetType = query.targetType;
+  if (query.targetId) filter.targetId = query.targetId;
+  if (query.from || query.to) {
+    filter.createdAt = {};
+    if (query.from) {
+      const from = new Date(query.from);
+      if (isNaN(from.getTime())) return { error: 'تاريخ البداية غير صالح' };
+      filter.createdAt.$gte = from;
+    }
+    if (query.to) {
+      const to = new Date(query.to);
+      if (isNaN(to.getTime())) return { error: 'تاريخ النهاية غير صالح' };
+      filter.createdAt.$lte = to;
+    }
+  }
+  return { filter };
+};
+
+const formatLog = (log) => ({
+  id: log._id.toString(),
+  actor: log.actor ? { id: log.actor._id.toString(), email: log.actor.email } : null,
+  actorRole: log.actorRole,
+  action: log.action,
+  targetType: log.targetType,
+  targetId: log.targetId,
+  before: log.before,
+  after: log.after,
+  diff: log.diff,
+  ip: log.ip,
+  userAgent: log.userAgent,
+  createdAt: log.createdAt.toISOString()
+});
+
+// Cells starting with = + - @ are run as formulas by spreadsheet apps, so they are prefixed with '
+const csvEscape = (value) => {
+  if (value === null || value === undefined) return '';
+  const raw = typeof value === 'string' ? value : JSON.stringify(value);
+  const text = /^[=+\-@]/.test(raw) ? `'${raw}` : raw;
+  return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+// Query audit logs
+router.get('/', authMiddleware, requirePermission('audit:read'), async (req, res) => {
+  try {
+    const { filter, error } = buildFilter(req.query);
+    if (error) {
+      return res.status(400).json({ message: error });
+    }
+
+    const page = Math.max(1, parseInt(req.query.page, 10) || 1);
+    const limit = Math.min(100, Math.max(1, parseInt(req.query.limit, 10) || 20));
+
+    const [logs, total] = await Promise.all([
+      AuditLog.find(filter)
+        .populate('actor', 'email')
+        .sort({ createdAt: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit)
+        .lean(),
+      AuditLog.countDocuments(filter)
+    ]);
+
+    res.json({
+      success: true,
+      logs: logs.map(formatLog),
+      total,
+      page,
+      limit,
+      totalPages: Math.ceil(total / limit)
+    });
+  } catch (error) {
+    console.error('خطأ في جلب سجل التدقيق:', error.message);
+    res.status(500).json({ message: 'خطأ في الخادم', error: error.message });
+  }
+});
+
+// Export audit logs as CSV
+router.get('/export', authMiddleware, requirePermission('audit:read'), async (req, res) => {
+  try {
+    const { filter, error } = buildFilter(req.query);
+    if (error) {
+      return res.status(400).json({ message: error });
+    }
+
+    res.set({
+      'Content-Type': 'text/csv; charset=utf-8',
+      'Content-Disposition': `attachment; filename="audit-log-${new Date().toISOString().split('T')[0]}.csv"`
+    });
+    // BOM so Excel reads the Arabic content as UTF-8
+    res.write('\uFEFF');
+    res.write('createdAt,actorEmail,actorRole,action,targetType,targetId,ip,diff\n');
+
+    const cursor = AuditLog.find(filter).populate('actor', 'email').sort({ createdAt: -1 }).lean().cursor();
+    for await (const log of cursor) {
+      res.write([
+        log.createdAt.toISOString(),
+        log.actor?.email,
+        log.actorRole,
+        log.action,
+        log.targetType,
+        log.targetId,
+        log.ip,
+        log.diff
+      ].map(csvEscape).join(',') + '\n');
+    }
+    res.end();
+  } catch (error) {
+    console.error('خطأ في تصدير سجل التدقيق:', error.message);
+    if (res.headersSent) {
+      return res.end();
+    }
+    res.status(500).json({ message: 'خطأ في الخادم', error: error.message });
+  }
+});
+
+export default router;
@@ -0,0 +1,94 @@
+import express from 'express';
+import AwardRuleSet from '../models/AwardRuleSet.js';
+import authMiddleware from '../middleware/auth.js';
+import requirePermission from '../middleware/permission.js';
+import { recordAudit } from '../utils/auditLog.js';
+import { getActiveRuleSet, getRuleSetVersion, normalizeRules, formatRuleSet } from '../utils/awardRules.js';
+
+const router = express.Router();
+
+// Get the active award rules
+router.get('/', authMiddleware, requirePermission('award_rules:manage'), async (req, res) => {
+  try {
+    const ruleSet = await getActiveRuleSet();
+    res.json({ success: true, ruleSet });
+  } catch (error) {
+    console.error('خطأ في جلب قواعد الساعات:', error.message);
+    res.status(500).json({ message: 'خطأ في الخادم', error: error.message });
+  }
+});
+
+// List every saved version, newest first
+router.get('/versions', authMiddleware, requirePermission('award_rules:manage'), async (req, res) => {
+  try {
+    const ruleSets = await AwardRuleSet.find().sort({ version: -1 });
+    res.json({ success: true, versions: ruleSets.map(formatRuleSet) });
+  } catch (error) {
+    console.error('خطأ في جلب إصدارات قواعد الساعات:', error.message);
+    res.status(500).json({ message: 'خطأ في الخادم', error: error.message });
+  }
+});
+
+// Get a specific version (0 is the built-in defaults)
+router.get('/versions/:version', authMiddleware, requirePermission('award_rules:manage'), async (req, res) => {
+  try {
+    const version = parseInt(req.params.version, 10);
+    if (isNaN(version) || version < 0) {
+      return res.status(400).json({ message: 'رقم الإصدار غير صالح' });
+    }
+    const ruleSet = await getRuleSetVersion(version);
+    if (!ruleSet) {
+      return res.status(404).json({ message: 'الإصدار غير موجود' });
+    }
+    res.json({ success: true, ruleSet });
+  } catch (error) {
+    console.error('خطأ في جلب إصدار قواعد الساعات:', error.message);
+    res.status(500).json({ message: 'خطأ في الخادم', error: error.message });
+  }
+});
+
+// Publish a new version of the rules. Earlier versions are kept unchanged.
+router.post('/', authMiddleware, requirePermission('award_rules:manage'), async (req, res) => {
+  try {
+    const { rules, error } = normalizeRules(req.body.rules);
+    if (error) {
+      return res.status(400).json({ message: error });
+    }
+
+    const previous = await getActiveRuleSet();
+    const ruleSet = new AwardRuleSet({
+      version: previous.version + 1,
+      rules,
+      note: req.body.note || null,
+      createdBy: req.userId
+    });
+
+    try {
+      await ruleSet.save();
+    } catch (saveError) {
+      if (saveError.code === 11000) {
+        return res.status(409).json({ message: 'تم نشر إصدار آخر في نفس الوقت، حاول مرة أخرى' });
+      }
+      throw saveError;
+    }
+
+    await recordAudit(req, {
+      action: 'award_rules.publish',
+      targetType: 'AwardRuleSet',
+      targetId: ruleSet._id,
+      before: { version: previous.version, rules: previous.rules },
+      after: { version: ruleSet.version, rules: formatRuleSet(ruleSet).rules }
+    });
+
+    console.log('تم نشر إصدار جديد من قواعد الساعات:', { version: ruleSet.version, adminId: req.userId });
+    res.status(201).json({
+      message: 'تم نشر قواعد الساعات بنجاح',
+      ruleSet: formatRuleSet(ruleSet)
+    });
+  } catch (error) {
+    console.error('خطأ في نشر قواعد الساعات:', error.message);
+    res.status(500).json({ message: 'خطأ في الخادم', error: error.message });
+  }
+});
+
+export default router;
@@ -0,0 +1,273 @@
+import express from 'express';
+import mongoose from 'mongoose';
+import FacetValue from '../models/FacetValue.js';
+import authMiddleware, { optionalAuthMiddleware } from '../middleware/auth.js';
+import requirePermission from '../middleware/permission.js';
+import { getPermissionScope } from '../utils/permissions.js';
+import { recordAudit, snapshot } from '../utils/auditLog.js';
+import { loadViewer, visibilityFilter } from '../utils/pdfVisibility.js';
+import {
+  FACETS,
+  canonicalFacetValue,
+  normalizeFacetInput,
+  syncDocumentsToFacetValue,
+  countFacetUsage,
+  getFacetCounts,
+  formatFacetValue
+} from '../utils/facets.js';
+
+const router = express.Router();
+
+const AUDIT_FIELDS = ['facet', 'value', 'aliases', 'order', 'active'];
+
+const duplicateKeyMessage = 'القيمة أو أحد أسمائها البديلة مستخدم مسبقًا في هذا الحقل';
+
+// Vocabulary grouped by facet. Admins can include deactivated values with ?includeInactive=true.
+router.get('/', optionalAuthMiddleware, async (req, res) => {
+  try {
+    const filter = {};
+    if (req.query.facet !== undefined) {
+      if (!FACETS.includes(req.query.facet)) {
+        return res.status(400).json({ message: `الحقل يجب أن يكون أحد: ${FACETS.join(', ')}` });
+      }
+      filter.facet = req.query.facet;
+    }
+    const canManage = getPermissionScope(req.userRole, 'facets:manage') === 'all';
+    if (!(canManage && req.query.includeInactive === 'true')) {
+      filter.active = true;
+    }
+
+    const entries = await FacetValue.find(filter).sort({ order: 1, value: 1 });
+    const facets = Object.fromEntries(FACETS.map(facet => [facet, []]));
+    entries.forEach(entry => facets[entry.facet].push(formatFacetValue(entry)));
+
+    res.json({ success: true, facets });
+  } catch (error) {
+    console.error('خطأ في جلب قيم التصنيف:', error.message);
+    res.status(500).json({ message: 'خطأ في الخادم', error: error.message });
+  }
+});
+
+// Counts per facet value over the library the caller can see, for drill-down navigation.
+// Any facet given in the query narrows the counts; aliases are accepted.
+router.get('/counts', optionalAuthMiddleware, async (req, res) => {
+  try {
+    const selected = {};
+    for (const facet of FACETS) {
+      if (typeof req.query[facet] === 'string' && req.query[facet].trim()) {
+        selected[facet] = await canonicalFacetValue(facet, req.query[facet]);
+      }
+    }
+
+    const viewer = await loadViewer(req);
+    const { total, facets } = await getFacetCounts({ $and: [visibilityFilter(viewer), selected] });
+
+    res.json({ success: true, selected, total, facets });
+  } catch (error) {
+    console.error('خطأ في حساب أعداد التصنيف:', error.message);
+    res.status(500).json({ message: 'خطأ في الخادم', error: error.message });
+  }
+});
+
+// Add a value to the vocabulary. Existing records spelled like the value or its aliases are relabelled.
+router.post('/', authMiddleware, requirePermission('facets:manage'), async (req, res) => {
+  try {
+    const { fields, error } = normalizeFacetInput(req.body);
+    if (error) {
+      return res.status(400).json({ message: error });
+    }
+
+    const entry = new FacetValue({ ...fields, createdBy: req.userId });
+    try {
+      await entry.save();
+    } catch (saveError) {
+      if (saveError.code === 11000) {
+        return res.status(409).json({ message: duplicateKeyMessage });
+      }
+      throw saveError;
+    }
+
+    const relabelled = await syncDocumentsToFacetValue(entry);
+
+    await recordAudit(req, {
+      action: 'facet.create',
+      targetType: 'FacetValue',
+      targetId: entry._id,
+      after: snapshot(entry, AUDIT_FIELDS)
+    });
+
+    console.log('تمت إضافة قيمة تصنيف:', { facet: entry.facet, value: entry.value, relabelled });
+    res.status(201).json({
+      message: 'تمت إضافة القيمة بنجاح',
+      facetValue: formatFacetValue(entry),
+      relabelled
+    });
+  } catch (error) {
+    console.error('خطأ في إضافة قيمة التصنيف:', error.message);
+    res.status(500).json({ message: 'خطأ في الخادم', error: error.message });
+  }
+});
+
+// Rename, change aliases, reorder or (de)activate a value. Renames are applied to existing records.
+router.patch('/:id', authMiddleware, requirePermission('facets:manage'), async (req, res) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.id)) {
+      return res.status(400).json({ message: 'معرف القيمة غير صالح' });
+    }
+    const { fields, error } = normalizeFacetInput(req.body, { partial: true });
+    if (error) {
+      return res.status(400).json({ message: error });
+    }
+    if (fields.facet !== undefined) {
+      return res.status(400).json({ message: 'لا يمكن نقل قيمة إلى حقل آخر، أنشئ قيمة جديدة بدلًا من ذلك' });
+    }
+
+    const entry = await FacetValue.findById(req.params.id);
+    if (!entry) {
+      return res.status(404).json({ message: 'القيمة غير موجودة' });
+    }
+
+    const before = snapshot(entry, AUDIT_FIELDS);
+    const previousKeys = [...entry.keys];
+    entry.set(fields);
+    try {
+      await entry.save();
+    } catch (saveError) {
+      if (saveError.code === 11000) {
+        return res.status(409).json({ message: duplicateKeyMessage });
+      }
+      throw saveError;
+    }
+
+    const relabelled = await syncDocumentsToFacetValue(entry, previousKeys);
+
+    await recordAudit(req, {
+      action: 'facet.update',
+      targetType: 'FacetValue',
+      targetId: entry._id,
+      before,
+      after: snapshot(entry, AUDIT_FIELDS)
+    });
+
+    res.json({
+      message: 'تم تحديث القيمة بنجاح',
+      facetValue: formatFacetValue(entry),
+      relabelled
+    });
+  } catch (error) {
+    console.error('خطأ في تحديث قيمة التصنيف:', error.message);
+    res.status(500).json({ message: 'خطأ في الخادم', error: error.message });
+  }
+});
+
+// Fold another value of the same facet into this one: its name and aliases become aliases here
+// and its records are relabelled. Used to clean up duplicates such as "Grade 10" / "الصف العاشر".
+router.post('/:id/merge', authMiddleware, requirePermission('facets:manage'), async (req, res) => {
+  const session = await mongoose.startSession();
+  session.startTransaction();
+  let target, before, sourceKeys;
+  try {
+    const { sourceId } = req.body;
+    if (!mongoose.isValidObjectId(req.params.id) || !mongoose.isValidObjectId(sourceId)) {
+      await session.abortTransaction();
+      session.endSession();
+      return res.status(400).json({ message: 'معرف القيمة غير صالح' });
+    }
+    if (req.params.id === sourceId) {
+      await session.abortTransaction();
+      session.endSession();
+      return res.status(400).json({ message: 'لا يمكن دمج القيمة مع نفسها' });
+    }
+
+    let source;
+    [target, source] = await Promise.all([
+      FacetValue.findById(req.params.id).session(session),
+      FacetValue.findById(sourceId).session(session)
+    ]);
+    if (!target || !source) {
+      await session.abortTransaction();
+      session.endSession();
+      return res.status(404).json({ message: 'القيمة غير موجودة' });
+    }
+    if (target.facet !== source.facet) {
+      await session.abortTransaction();
+      session.endSession();
+      return res.status(400).json({ message: 'لا يمكن دمج قيم من حقول مختلفة' });
+    }
+
+    before = { target: snapshot(target, AUDIT_FIELDS), source: snapshot(source, AUDIT_FIELDS) };
+    sourceKeys = [...source.keys];
+    // The source goes first so its keys are free for the target under the unique index
+    await FacetValue.deleteOne({ _id: source._id }).session(session);
+    target.aliases = [...new Set([...target.aliases, source.value, ...source.aliases])];
+    await target.save({ session });
+    await session.commitTransaction();
+    session.endSession();
+  } catch (error) {
+    await session.abortTransaction();
+    session.endSession();
+    console.error('خطأ في دمج قيم التصنيف:', error.message);
+    return res.status(500).json({ message: 'خطأ في الخادم', error: error.message });
+  }
+
+  // The merge is committed. Relabelling runs outside the transaction; if it fails part way,
+  // saving the value again relabels the records left over.
+  try {
+    const relabelled = await syncDocumentsToFacetValue(target, sourceKeys);
+
+    await recordAudit(req, {
+      action: 'facet.merge',
+      targetType: 'FacetValue',
+      targetId: target._id,
+      before,
+      after: { target: snapshot(target, AUDIT_FIELDS), source: null }
+    });
+
+    console.log('تم دمج قيم التصنيف:', { facet: target.facet, into: target.value, from: before.source.value, relabelled });
+    res.json({
+      message: 'تم دمج القيمتين بنجاح',
+      facetValue: formatFacetValue(target),
+      relabelled
+    });
+  } catch (error) {
+    console.error('خطأ في تحديث السجلات بعد دمج قيم التصنيف:', error.message);
+    res.status(500).json({ message: 'تم دمج القيمتين لكن تعذر تحديث بعض السجلات', error: error.message });
+  }
+});
+
+// Remove an unused value. Values still on records must be deactivated or merged instead.
+router.delete('/:id', authMiddleware, requirePermission('facets:manage'), async (req, res) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.id)) {
+      return res.status(400).json({ message: 'معرف القيمة غير صالح' });
+    }
+    const entry = await FacetValue.findById(req.params.id);
+    if (!entry) {
+      return res.status(404).json({ message: 'القيمة غير موجودة' });
+    }
+
+    const usage = await countFacetUsage(entry.facet, entry.value);
+    if (usage > 0) {
+      return res.status(409).json({
+        message: `القيمة مستخدمة في ${usage} ملف/طلب/مسار، قم بإلغاء تفعيلها أو دمجها مع قيمة أخرى بدلًا من الحذف`,
+        usage
+      });
+    }
+
+    await FacetValue.deleteOne({ _id: entry._id });
+
+    await recordAudit(req, {
+      action: 'facet.delete',
+      targetType: 'FacetValue',
+      targetId: entry._id,
+      before: snapshot(entry, AUDIT_FIELDS)
+    });
+
+    res.json({ message: 'تم حذف القيمة بنجاح' });
+  } catch (error) {
+    console.error('خطأ في حذف قيمة التصنيف:', error.message);
+    res.status(500).json({ message: 'خطأ في الخادم', error: error.message });
+  }
+});
+
+export default router;
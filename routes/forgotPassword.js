@@ -4,6 +4,7 @@ import { hash } from 'bcryptjs';
 import User from '../models/User.js';
 import sendEmail from '../utils/email.js';
 import validator from 'validator';
+import { revokeUserSessions } from '../utils/sessionUtils.js';
 
 const router = express.Router();
 
@@ -82,6 +83,7 @@ router.post('/reset-password/:token', async (req, res) => {
     user.resetToken = null;
     user.tokenExpire = null;
     await user.save();
+    await revokeUserSessions(user._id, 'password_changed');
 
     console.log('تم إعادة تعيين كلمة المرور لـ:', user.email);
     res.json({ message: 'تم إعادة تعيين كلمة المرور بنجاح' });
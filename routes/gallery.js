@@ -3,6 +3,7 @@ import { addImage, editImage, deleteImage, getAllImages, getImageById } from '..
 import multer from 'multer';
 import path from 'path'; // إضافة هذا الاستيراد لإصلاح ReferenceError
 import authMiddleware from '../middleware/auth.js';
+import requirePermission from '../middleware/permission.js';
 
 const router = express.Router();
 
@@ -24,9 +25,9 @@ const upload = multer({
 });
 
 // Routes
-router.post('/images', authMiddleware, upload.single('image'), addImage);
-router.put('/images/:id', authMiddleware, upload.single('image'), editImage);
-router.delete('/images/:id', authMiddleware, deleteImage);
+router.post('/images', authMiddleware, requirePermission('gallery:upload'), upload.single('image'), addImage);
+router.put('/images/:id', authMiddleware, requirePermission('gallery:manage'), upload.single('image'), editImage);
+router.delete('/images/:id', authMiddleware, requirePermission('gallery:manage'), deleteImage);
 router.get('/images', getAllImages);
 router.get('/images/:id', getImageById);
 
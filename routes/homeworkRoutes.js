@@ -0,0 +1,355 @@
+import express from 'express';
+import mongoose from 'mongoose';
+import Homework from '../models/Homework.js';
+import Student from '../models/Student.js';
+import PDF from '../models/pdf.js';
+import Lecture from '../models/Lecture.js';
+import authMiddleware from '../middleware/auth.js';
+import requirePermission from '../middleware/permission.js';
+import { isStudentInScope } from '../utils/permissions.js';
+import { parseListQuery, paginateQuery } from '../utils/pagination.js';
+import { recordAudit } from '../utils/auditLog.js';
+import { loadViewer, canViewPdf } from '../utils/pdfVisibility.js';
+import { sendStoredFile } from '../utils/fileStore.js';
+import { getCurrentVersion } from '../utils/pdfVersions.js';
+import { recordPdfAccess } from '../utils/pdfAnalytics.js';
+import {
+  isOverdue,
+  overdueFilter,
+  hashHomeworkToken,
+  createHomeworkToken,
+  homeworkLink,
+  scopedVolunteerIds,
+  homeworkScopeFilter,
+  emailHomeworkLink,
+  formatHomework
+} from '../utils/homework.js';
+
+const router = express.Router();
+
+const MAX_NOTE_LENGTH = 2000;
+
+const note = (value) => (typeof value === 'string' && value.trim() ? value.trim().slice(0, MAX_NOTE_LENGTH) : null);
+
+// Homework the caller may see, by volunteer, student, subject or status. status=overdue lists open
+// assignments past their due date.
+router.get('/', authMiddleware, requirePermission('homework:manage'), async (req, res) => {
+  try {
+    const list = parseListQuery(req.query, {
+      sortFields: ['dueDate', 'createdAt', 'completedAt'],
+      defaultSort: 'dueDate',
+      filters: {
+        status: { field: 'status', type: 'exact', values: ['assigned', 'completed', 'cancelled', 'overdue'] },
+        student: { field: 'student', type: 'objectId' },
+        volunteer: { field: 'volunteer', type: 'objectId' },
+        subject: { field: 'subject', type: 'exact' }
+      }
+    });
+    if (list.error) {
+      return res.status(400).json({ message: list.error });
+    }
+    if (list.filter.status === 'overdue') {
+      Object.assign(list.filter, overdueFilter());
+    }
+
+    const scope = await homeworkScopeFilter(req.permissionScope, req.userId);
+    const { items, pagination } = await paginateQuery(Homework, list, scope, query => query
+      .populate('student', 'name email')
+      .populate('volunteer', 'email')
+      .populate('assignedBy', 'email'));
+
+    const now = new Date();
+    res.json({ success: true, homework: items.map(homework => formatHomework(homework, now)), pagination });
+  } catch (error) {
+    console.error('خطأ في جلب الواجبات:', error.message);
+    res.status(500).json({ message: 'خطأ في الخادم', error: error.message });
+  }
+});
+
+// Per student in scope: lectures given and homework progress for each subject, with the overdue
+// assignments listed. ?volunteer narrows to one volunteer's students; ?overdueOnly=true keeps only
+// students with something overdue.
+router.get('/overview', authMiddleware, requirePermission('homework:manage'), async (req, res) => {
+  try {
+    const studentFilter = { volunteer: { $ne: null } };
+    const volunteerIds = await scopedVolunteerIds(req.permissionScope, req.userId);
+    if (volunteerIds) {
+      studentFilter.volunteer = { $in: volunteerIds.map(id => new mongoose.Types.ObjectId(id)) };
+    }
+    if (req.query.volunteer !== undefined) {
+      if (!mongoose.isValidObjectId(req.query.volunteer)) {
+        return res.status(400).json({ message: 'معرف المتطوع غير صالح' });
+      }
+      if (volunteerIds && !volunteerIds.includes(req.query.volunteer)) {
+        return res.status(403).json({ message: 'غير مصرح لك بعرض طلاب هذا المتطوع' });
+      }
+      studentFilter.volunteer = new mongoose.Types.ObjectId(req.query.volunteer);
+    }
+
+    const students = await Student.find(studentFilter).populate('volunteer', 'email').sort({ name: 1 });
+    const studentIds = students.map(student => student._id);
+    const now = new Date();
+
+    const [lectureCounts, homeworkCounts, overdue] = await Promise.all([
+      Lecture.aggregate([
+        { $match: { student: { $in: studentIds }, status: 'delivered' } },
+        {
+          $group: {
+            _id: { student: '$student', subject: '$subject' },
+            lectures: { $sum: 1 },
+            lastLectureAt: { $max: '$scheduledAt' }
+          }
+        }
+      ]),
+      Homework.aggregate([
+        { $match: { student: { $in: studentIds }, status: { $ne: 'cancelled' } } },
+        {
+          $group: {
+            _id: { student: '$student', subject: '$subject' },
+            open: { $sum: { $cond: [{ $eq: ['$status', 'assigned'] }, 1, 0] } },
+            completed: { $sum: { $cond: [{ $eq: ['$status', 'completed'] }, 1, 0] } },
+            overdue: { $sum: { $cond: [{ $and: [{ $eq: ['$status', 'assigned'] }, { $lt: ['$dueDate', now] }] }, 1, 0] } }
+          }
+        }
+      ]),
+      Homework.find({ student: { $in: studentIds }, ...overdueFilter(now) }).sort({ dueDate: 1 })
+    ]);
+
+    const key = (student, subject) => `${student}|${subject}`;
+    const lecturesBy = new Map(lectureCounts.map(row => [key(row._id.student, row._id.subject), row]));
+    const homeworkBy = new Map(homeworkCounts.map(row => [key(row._id.student, row._id.subject), row]));
+
+    const overview = students.map(student => {
+      const id = student._id.toString();
+      const enrolled = student.enrollments.filter(enrollment => enrollment.active);
+      const subjects = [...new Set([
+        ...enrolled.map(enrollment => enrollment.subject),
+        ...lectureCounts.filter(row => row._id.student.toString() === id).map(row => row._id.subject),
+        ...homeworkCounts.filter(row => row._id.student.toString() === id).map(row => row._id.subject)
+      ])];
+      const studentOverdue = overdue.filter(homework => homework.student.toString() === id);
+
+      return {
+        id,
+        name: student.name,
+        grade: student.grade,
+        volunteer: student.volunteer ? { id: student.volunteer._id.toString(), email: student.volunteer.email } : null,
+        subjects: subjects.map(subject => {
+          const lectures = lecturesBy.get(key(id, subject));
+          const homework = homeworkBy.get(key(id, subject));
+          return {
+            subject,
+            minLectures: enrolled.find(enrollment => enrollment.subject === subject)?.minLectures ?? null,
+            lectures: lectures?.lectures || 0,
+            lastLectureAt: lectures?.lastLectureAt || null,
+            homework: {
+              open: homework?.open || 0,
+              completed: homework?.completed || 0,
+              overdue: homework?.overdue || 0
+            }
+          };
+        }),
+        overdue: studentOverdue.map(homework => formatHomework(homework, now))
+      };
+    }).filter(entry => req.query.overdueOnly !== 'true' || entry.overdue.length > 0);
+
+    res.json({
+      success: true,
+      students: overview,
+      totals: {
+        students: overview.length,
+        overdue: overview.reduce((sum, entry) => sum + entry.overdue.length, 0)
+      }
+    });
+  } catch (error) {
+    console.error('خطأ في جلب متابعة الواجبات:', error.message);
+    res.status(500).json({ message: 'خطأ في الخادم', error: error.message });
+  }
+});
+
+// Assign a PDF the caller can open to one of their students: { studentId, pdfId, subject, dueDate, note? }.
+// The subject must be one the student is enrolled in. The student is emailed a completion link,
+// which is also returned so the volunteer can share it another way.
+router.post('/', authMiddleware, requirePermission('homework:manage'), async (req, res) => {
+  try {
+    const { studentId, pdfId, subject } = req.body;
+    if (!mongoose.isValidObjectId(studentId) || !mongoose.isValidObjectId(pdfId) || typeof subject !== 'string' || !subject.trim() || !req.body.dueDate) {
+      return res.status(400).json({ message: 'الطالب، الملف، المادة وموعد التسليم مطلوبة' });
+    }
+    const dueDate = new Date(req.body.dueDate);
+    if (isNaN(dueDate.getTime())) {
+      return res.status(400).json({ message: 'موعد التسليم ليس تاريخًا صالحًا' });
+    }
+    if (dueDate < new Date()) {
+      return res.status(400).json({ message: 'موعد التسليم يجب أن يكون في المستقبل' });
+    }
+
+    const student = await Student.findById(studentId);
+    if (!student || !student.volunteer) {
+      return res.status(404).json({ message: 'الطالب غير موجود أو غير مسند لمتطوع' });
+    }
+    if (!(await isStudentInScope(req.permissionScope, student, req.userId))) {
+      return res.status(403).json({ message: 'غير مصرح لك بإسناد واجبات لهذا الطالب' });
+    }
+    const enrollment = student.enrollments.find(entry => entry.active && entry.subject === subject.trim());
+    if (!enrollment) {
+      return res.status(400).json({ message: 'الطالب غير مسجل في هذه المادة' });
+    }
+
+    const pdf = await PDF.findById(pdfId).select('title uploadedBy visibility');
+    const viewer = await loadViewer(req);
+    if (!pdf || !canViewPdf(pdf, viewer)) {
+      return res.status(404).json({ message: 'الملف غير موجود' });
+    }
+
+    const { token, tokenHash } = createHomeworkToken();
+    const homework = await Homework.create({
+      student: student._id,
+      volunteer: student.volunteer,
+      assignedBy: req.userId,
+      pdf: pdf._id,
+      pdfTitle: pdf.title,
+      subject: enrollment.subject,
+      dueDate,
+      note: note(req.body.note),
+      tokenHash
+    });
+
+    const link = homeworkLink(token);
+    await emailHomeworkLink(student, homework, link);
+
+    await recordAudit(req, {
+      action: 'homework.assign',
+      targetType: 'Homework',
+      targetId: homework._id,
+      after: { student: student._id, pdf: pdf._id, subject: homework.subject, dueDate }
+    });
+
+    console.log('تم إسناد واجب:', { id: homework._id, student: student._id, pdf: pdf._id, userId: req.userId });
+    res.status(201).json({
+      message: 'تم إسناد الواجب وإرسال الرابط للطالب',
+      homework: formatHomework(homework),
+      link
+    });
+  } catch (error) {
+    console.error('خطأ في إسناد الواجب:', error.message);
+    res.status(500).json({ message: 'خطأ في الخادم', error: error.message });
+  }
+});
+
+// Cancel an open assignment; its link stops working
+router.delete('/:id', authMiddleware, requirePermission('homework:manage'), async (req, res) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.id)) {
+      return res.status(400).json({ message: 'معرف الواجب غير صالح' });
+    }
+    const homework = await Homework.findOne({
+      _id: req.params.id,
+      ...(await homeworkScopeFilter(req.permissionScope, req.userId))
+    });
+    if (!homework) {
+      return res.status(404).json({ message: 'الواجب غير موجود' });
+    }
+    if (homework.status !== 'assigned') {
+      return res.status(400).json({ message: 'لا يمكن إلغاء واجب مكتمل أو ملغى' });
+    }
+
+    homework.status = 'cancelled';
+    await homework.save();
+
+    await recordAudit(req, {
+      action: 'homework.cancel',
+      targetType: 'Homework',
+      targetId: homework._id,
+      before: { status: 'assigned' },
+      after: { status: 'cancelled' }
+    });
+
+    res.json({ message: 'تم إلغاء الواجب', homework: formatHomework(homework) });
+  } catch (error) {
+    console.error('خطأ في إلغاء الواجب:', error.message);
+    res.status(500).json({ message: 'خطأ في الخادم', error: error.message });
+  }
+});
+
+// Student-facing routes, authorized by the link's token alone. Cancelled homework is not found.
+const findByToken = (token) => Homework.findOne({
+  tokenHash: hashHomeworkToken(String(token)),
+  status: { $ne: 'cancelled' }
+}).populate('student', 'name');
+
+router.get('/token/:token', async (req, res) => {
+  try {
+    const homework = await findByToken(req.params.token);
+    if (!homework) {
+      return res.status(404).json({ message: 'الرابط غير صالح أو لم يعد متاحًا' });
+    }
+
+    res.json({
+      success: true,
+      homework: {
+        studentName: homework.student?.name || null,
+        pdfTitle: homework.pdfTitle,
+        subject: homework.subject,
+        dueDate: homework.dueDate,
+        note: homework.note,
+        status: homework.status,
+        overdue: isOverdue(homework),
+        completedAt: homework.completedAt,
+        fileUrl: `/api/homework/token/${req.params.token}/file`
+      }
+    });
+  } catch (error) {
+    console.error('خطأ في جلب الواجب:', error.message);
+    res.status(500).json({ message: 'خطأ في الخادم', error: error.message });
+  }
+});
+
+// The assigned PDF, whatever its library visibility: the volunteer could see it when assigning
+router.get('/token/:token/file', async (req, res) => {
+  try {
+    const homework = await findByToken(req.params.token);
+    const pdf = homework ? await PDF.findById(homework.pdf) : null;
+    if (!pdf) {
+      return res.status(404).json({ message: 'الملف غير موجود' });
+    }
+
+    const version = getCurrentVersion(pdf);
+    sendStoredFile(req, res, version.file, {
+      contentType: version.mimeType,
+      fileName: version.fileName,
+      disposition: 'inline',
+      lastModified: version.createdAt,
+      cacheControl: 'private, no-cache',
+      errorMessage: 'خطأ في عرض الملف',
+      onServe: () => recordPdfAccess(req, pdf, { action: 'view', version: version.version })
+    });
+  } catch (error) {
+    console.error('خطأ في عرض ملف الواجب:', error.message);
+    res.status(500).json({ message: 'خطأ في عرض الملف', error: error.message });
+  }
+});
+
+// The student marks the homework done, optionally with a note for the volunteer
+router.post('/token/:token/complete', async (req, res) => {
+  try {
+    const homework = await findByToken(req.params.token);
+    if (!homework) {
+      return res.status(404).json({ message: 'الرابط غير صالح أو لم يعد متاحًا' });
+    }
+    if (homework.status === 'completed') {
+      return res.status(400).json({ message: 'تم تأكيد إنهاء هذا الواجب مسبقًا' });
+    }
+
+    homework.set({ status: 'completed', completedAt: new Date(), completionNote: note(req.body?.note) });
+    await homework.save();
+
+    console.log('تم إنهاء واجب:', { id: homework._id, late: homework.completedAt > homework.dueDate });
+    res.json({ message: 'تم تأكيد إنهاء الواجب، أحسنت!' });
+  } catch (error) {
+    console.error('خطأ في تأكيد إنهاء الواجب:', error.message);
+    res.status(500).json({ message: 'خطأ في الخادم', error: error.message });
+  }
+});
+
+export default router;
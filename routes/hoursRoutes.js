@@ -0,0 +1,154 @@
+import express from 'express';
+import mongoose from 'mongoose';
+import User from '../models/User.js';
+import JoinRequest from '../models/JoinRequest.js';
+import HoursEntry, { HOURS_ENTRY_TYPES } from '../models/HoursEntry.js';
+import authMiddleware from '../middleware/auth.js';
+import requirePermission from '../middleware/permission.js';
+import { isMemberInScope } from '../utils/permissions.js';
+import { recordAudit } from '../utils/auditLog.js';
+import { getHoursBalance, recordHours, formatHoursEntry } from '../utils/hoursLedger.js';
+
+const router = express.Router();
+
+// Returns a page of the member's ledger together with the computed balance
+const sendHistory = async (req, res, member) => {
+  if (req.query.type !== undefined && req.query.type !== '' && !HOURS_ENTRY_TYPES.includes(req.query.type)) {
+    return res.status(400).json({ message: `نوع السجل يجب أن يكون أحد: ${HOURS_ENTRY_TYPES.join(', ')}` });
+  }
+  const page = Math.max(1, parseInt(req.query.page, 10) || 1);
+  const limit = Math.min(100, Math.max(1, parseInt(req.query.limit, 10) || 20));
+  const filter = { member: member._id };
+  if (req.query.type) filter.type = req.query.type;
+
+  const [entries, total, balance] = await Promise.all([
+    HoursEntry.find(filter).sort({ createdAt: -1 }).skip((page - 1) * limit).limit(limit).lean(),
+    HoursEntry.countDocuments(filter),
+    getHoursBalance(member._id)
+  ]);
+
+  res.json({
+    success: true,
+    memberId: member._id,
+    name: member.name,
+    balance,
+    entries: entries.map(formatHoursEntry),
+    total,
+    page,
+    limit,
+    totalPages: Math.ceil(total / limit)
+  });
+};
+
+// Get the caller's own hours history
+router.get('/me', authMiddleware, requirePermission('hours:read'), async (req, res) => {
+  try {
+    const user = await User.findById(req.userId).select('email');
+    if (!user) {
+      return res.status(404).json({ message: 'المستخدم غير موجود' });
+    }
+    const member = await JoinRequest.findOne({ email: user.email, status: 'Approved' });
+    if (!member) {
+      return res.status(404).json({ message: 'طلب الانضمام غير موجود' });
+    }
+
+    await sendHistory(req, res, member);
+  } catch (error) {
+    console.error('خطأ في جلب سجل الساعات:', error.message);
+    res.status(500).json({ message: 'خطأ في الخادم', error: error.message });
+  }
+});
+
+// Get a member's hours history
+router.get('/members/:memberId', authMiddleware, requirePermission('hours:read'), async (req, res) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.memberId)) {
+      return res.status(400).json({ message: 'معرف العضو غير صالح' });
+    }
+    const member = await JoinRequest.findById(req.params.memberId);
+    if (!member) {
+      return res.status(404).json({ message: 'العضو غير موجود' });
+    }
+    if (!(await isMemberInScope(req.permissionScope, member, req.userId))) {
+      return res.status(403).json({ message: 'غير مصرح لك بعرض ساعات هذا العضو' });
+    }
+
+    await sendHistory(req, res, member);
+  } catch (error) {
+    console.error('خطأ في جلب سجل الساعات:', error.message);
+    res.status(500).json({ message: 'خطأ في الخادم', error: error.message });
+  }
+});
+
+// Add a manual adjustment (positive or negative) to a member's hours
+router.post('/members/:memberId/adjustments', authMiddleware, requirePermission('hours:adjust'), async (req, res) => {
+  const session = await mongoose.startSession();
+  session.startTransaction();
+  try {
+    const { reason } = req.body;
+    const hours = Number(req.body.hours);
+
+    if (!mongoose.isValidObjectId(req.params.memberId)) {
+      await session.abortTransaction();
+      session.endSession();
+      return res.status(400).json({ message: 'معرف العضو غير صالح' });
+    }
+    if (!Number.isFinite(hours) || hours === 0) {
+      await session.abortTransaction();
+      session.endSession();
+      return res.status(400).json({ message: 'عدد الساعات يجب أن يكون رقمًا غير صفري' });
+    }
+    if (!reason || typeof reason !== 'string' || !reason.trim()) {
+      await session.abortTransaction();
+      session.endSession();
+      return res.status(400).json({ message: 'سبب التعديل مطلوب' });
+    }
+
+    const member = await JoinRequest.findById(req.params.memberId).session(session);
+    if (!member) {
+      await session.abortTransaction();
+      session.endSession();
+      return res.status(404).json({ message: 'العضو غير موجود' });
+    }
+
+    const balanceBefore = await getHoursBalance(member._id, session);
+    if (balanceBefore + hours < 0) {
+      await session.abortTransaction();
+      session.endSession();
+      return res.status(400).json({ message: 'لا يمكن أن يصبح رصيد الساعات أقل من صفر', balance: balanceBefore });
+    }
+
+    const entry = await recordHours(member, {
+      type: 'manual_adjustment',
+      hours,
+      reason: reason.trim(),
+      createdBy: req.userId
+    }, session);
+    await member.save({ session });
+
+    await session.commitTransaction();
+    session.endSession();
+
+    await recordAudit(req, {
+      action: 'hours.adjust',
+      targetType: 'JoinRequest',
+      targetId: member._id,
+      before: { volunteerHours: balanceBefore },
+      after: { volunteerHours: member.volunteerHours, entryId: entry._id, reason: entry.reason }
+    });
+
+    console.log('تم تعديل ساعات العضو:', { memberId: member._id, hours, balance: member.volunteerHours });
+    res.status(201).json({
+      message: 'تم تعديل الساعات بنجاح',
+      entry: formatHoursEntry(entry),
+      balance: member.volunteerHours
+    });
+  } catch (error) {
+    console.error('خطأ في تعديل الساعات:', error.message);
+    await session.abortTransaction();
+    session.endSession();
+    res.status(500).json({ message: 'خطأ في الخادم', error: error.message });
+  }
+});
+
+export default router;
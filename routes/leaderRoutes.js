@@ -0,0 +1,273 @@
+import express from 'express';
+import mongoose from 'mongoose';
+import User from '../models/User.js';
+import JoinRequest from '../models/JoinRequest.js';
+import LowLectureReport from '../models/LowLectureReport.js';
+import authMiddleware from '../middleware/auth.js';
+import requirePermission from '../middleware/permission.js';
+import { checkLowLectureMembers } from './lectureRoutes.js';
+import { getPreviousWeekRange } from '../utils/weekUtils.js';
+import Student from '../models/Student.js';
+import { formatStudent, attachStudentNames } from '../utils/studentUtils.js';
+import { recordAudit } from '../utils/auditLog.js';
+import { getVolunteerLectures, countDeliveredLectures } from '../utils/lectures.js';
+
+const router = express.Router();
+
+// Resolves ":leaderId" (or "me") and enforces that leaders can only read their own group
+const resolveLeader = async (req, res, next) => {
+  const leaderId = req.params.leaderId === 'me' ? req.userId : req.params.leaderId;
+  if (!mongoose.Types.ObjectId.isValid(leaderId)) {
+    return res.status(400).json({ message: 'معرف القائد غير صالح' });
+  }
+  if (req.permissionScope !== 'all' && leaderId !== req.userId) {
+    return res.status(403).json({ message: 'غير مصرح لك بعرض مجموعة قائد آخر' });
+  }
+
+  try {
+    const leader = await User.findById(leaderId).select('email name role');
+    if (!leader || leader.role !== 'leader') {
+      return res.status(404).json({ message: 'القائد غير موجود' });
+    }
+    req.leader = leader;
+    next();
+  } catch (error) {
+    console.error('خطأ في جلب القائد:', error.message);
+    res.status(500).json({ message: 'خطأ في الخادم', error: error.message });
+  }
+};
+
+// Loads the leader's approved members together with their user accounts
+const loadGroup = async (leaderId) => {
+  const members = await JoinRequest.find({ supervisor: leaderId, status: 'Approved' }).sort({ name: 1 });
+  const users = await User.find({ email: { $in: members.map(member => member.email.toLowerCase().trim()) } });
+  return members.map(member => ({
+    member,
+    user: users.find(user => user.email === member.email.toLowerCase().trim()) || null
+  }));
+};
+
+// List leaders with their group sizes
+router.get('/', authMiddleware, requirePermission('groups:manage'), async (req, res) => {
+  try {
+    const leaders = await User.find({ role: 'leader' }).select('email name').lean();
+    const counts = await JoinRequest.aggregate([
+      { $match: { supervisor: { $in: leaders.map(leader => leader._id) }, status: 'Approved' } },
+      { $group: { _id: '$supervisor', count: { $sum: 1 } } }
+    ]);
+
+    res.json({
+      success: true,
+      leaders: leaders.map(leader => ({
+        id: leader._id,
+        name: leader.name || null,
+        email: leader.email,
+        membersCount: counts.find(count => count._id.toString() === leader._id.toString())?.count || 0
+      }))
+    });
+  } catch (error) {
+    console.error('خطأ في جلب القادة:', error.message);
+    res.status(500).json({ message: 'خطأ في الخادم', error: error.message });
+  }
+});
+
+// Assign approved members to a leader
+router.post('/:leaderId/members', authMiddleware, requirePermission('groups:manage'), resolveLeader, async (req, res) => {
+  try {
+    const { memberIds } = req.body;
+    if (!Array.isArray(memberIds) || memberIds.length === 0) {
+      return res.status(400).json({ message: 'قائمة معرفات الأعضاء مطلوبة' });
+    }
+    if (memberIds.some(id => !mongoose.Types.ObjectId.isValid(id))) {
+      return res.status(400).json({ message: 'أحد معرفات الأعضاء غير صالح' });
+    }
+
+    const ids = [...new Set(memberIds.map(String))];
+    const members = await JoinRequest.find({ _id: { $in: ids } });
+    if (members.length !== ids.length) {
+      return res.status(404).json({ message: 'بعض الأعضاء غير موجودين' });
+    }
+    const notApproved = members.filter(member => member.status !== 'Approved');
+    if (notApproved.length > 0) {
+      return res.status(400).json({
+        message: 'يجب أن يكون جميع الأعضاء قد تمت الموافقة عليهم',
+        members: notApproved.map(member => member.email)
+      });
+    }
+    if (members.some(member => member.email.toLowerCase().trim() === req.leader.email)) {
+      return res.status(400).json({ message: 'لا يمكن تعيين القائد مشرفًا على نفسه' });
+    }
+
+    const result = await JoinRequest.updateMany(
+      { _id: { $in: ids } },
+      { $set: { supervisor: req.leader._id } }
+    );
+
+    await recordAudit(req, {
+      action: 'group.assign_members',
+      targetType: 'User',
+      targetId: req.leader._id,
+      before: { supervisors: members.map(member => ({ memberId: member._id, supervisor: member.supervisor || null })) },
+      after: { memberIds: ids }
+    });
+
+    console.log('تم تعيين الأعضاء للقائد:', { leaderId: req.leader._id, count: result.modifiedCount });
+    res.json({ message: 'تم تعيين الأعضاء للقائد بنجاح', assigned: result.modifiedCount });
+  } catch (error) {
+    console.error('خطأ في تعيين الأعضاء للقائد:', error.message);
+    res.status(500).json({ message: 'خطأ في الخادم', error: error.message });
+  }
+});
+
+// Remove a member from a leader's group
+router.delete('/:leaderId/members/:memberId', authMiddleware, requirePermission('groups:manage'), resolveLeader, async (req, res) => {
+  try {
+    const { memberId } = req.params;
+    if (!mongoose.Types.ObjectId.isValid(memberId)) {
+      return res.status(400).json({ message: 'معرف العضو غير صالح' });
+    }
+
+    const result = await JoinRequest.updateOne(
+      { _id: memberId, supervisor: req.leader._id },
+      { $set: { supervisor: null } }
+    );
+    if (result.matchedCount === 0) {
+      return res.status(404).json({ message: 'العضو غير موجود في مجموعة هذا القائد' });
+    }
+
+    await recordAudit(req, {
+      action: 'group.remove_member',
+      targetType: 'JoinRequest',
+      targetId: memberId,
+      before: { supervisor: req.leader._id },
+      after: { supervisor: null }
+    });
+
+    console.log('تم إزالة العضو من مجموعة القائد:', { leaderId: req.leader._id, memberId });
+    res.json({ message: 'تم إزالة العضو من المجموعة بنجاح' });
+  } catch (error) {
+    console.error('خطأ في إزالة العضو من المجموعة:', error.message);
+    res.status(500).json({ message: 'خطأ في الخادم', error: error.message });
+  }
+});
+
+// Get a leader's group members
+router.get('/:leaderId/members', authMiddleware, requirePermission('groups:read'), resolveLeader, async (req, res) => {
+  try {
+    const group = await loadGroup(req.leader._id);
+    const lectureCounts = await countDeliveredLectures(group.filter(({ user }) => user).map(({ user }) => user._id));
+    res.json({
+      success: true,
+      members: group.map(({ member, user }) => ({
+        id: member._id,
+        name: member.name,
+        email: member.email,
+        phone: member.number,
+        volunteerHours: member.volunteerHours || 0,
+        numberOfStudents: user?.numberOfStudents || 0,
+        subjects: user?.subjects || [],
+        lectureCount: user ? lectureCounts.get(user._id.toString()) || 0 : 0,
+        profileImage: user?.profileImage || null
+      }))
+    });
+  } catch (error) {
+    console.error('خطأ في جلب أعضاء المجموعة:', error.message);
+    res.status(500).json({ message: 'خطأ في الخادم', error: error.message });
+  }
+});
+
+// Get the lectures of a leader's group, with their status
+router.get('/:leaderId/lectures', authMiddleware, requirePermission('groups:read'), resolveLeader, async (req, res) => {
+  try {
+    const group = (await loadGroup(req.leader._id)).filter(({ user }) => user);
+    const lectures = await attachStudentNames(await getVolunteerLectures(group.map(({ user }) => user._id)));
+    const memberOf = (lecture) => group.find(({ user }) => user._id.toString() === lecture.volunteerId).member;
+
+    res.json({
+      success: true,
+      lectures: lectures.map(lecture => ({ ...lecture, memberId: memberOf(lecture)._id, memberName: memberOf(lecture).name }))
+    });
+  } catch (error) {
+    console.error('خطأ في جلب محاضرات المجموعة:', error.message);
+    res.status(500).json({ message: 'خطأ في الخادم', error: error.message });
+  }
+});
+
+// Get the students taught by a leader's group
+router.get('/:leaderId/students', authMiddleware, requirePermission('groups:read'), resolveLeader, async (req, res) => {
+  try {
+    const group = await loadGroup(req.leader._id);
+    const volunteers = group.filter(({ user }) => user);
+    const assigned = await Student.find({ volunteer: { $in: volunteers.map(({ user }) => user._id) } });
+    const students = assigned.map(student => {
+      const { member } = volunteers.find(({ user }) => user._id.equals(student.volunteer));
+      return {
+        ...formatStudent(student),
+        memberId: member._id,
+        memberName: member.name
+      };
+    });
+
+    res.json({ success: true, students });
+  } catch (error) {
+    console.error('خطأ في جلب طلاب المجموعة:', error.message);
+    res.status(500).json({ message: 'خطأ في الخادم', error: error.message });
+  }
+});
+
+// Get the low lecture status of a leader's group for the previous week
+router.get('/:leaderId/low-lecture-members', authMiddleware, requirePermission('groups:read'), resolveLeader, async (req, res) => {
+  try {
+    const { weekStart, weekEnd } = getPreviousWeekRange();
+    const report = await LowLectureReport.findOne({ weekStart }).lean();
+    let members;
+    if (report) {
+      members = report.members;
+    } else {
+      const result = await checkLowLectureMembers(false);
+      members = result.members;
+    }
+
+    const group = await loadGroup(req.leader._id);
+    const groupEmails = group.map(({ member }) => member.email.toLowerCase().trim());
+    const groupMembers = members.filter(member => groupEmails.includes(member.email.toLowerCase().trim()));
+
+    res.json({
+      success: true,
+      message: groupMembers.length > 0
+        ? `Found ${groupMembers.length} members with low lecture counts`
+        : 'All members meet the minimum weekly lecture requirements',
+      members: groupMembers,
+      weekStart: weekStart.toISOString(),
+      weekEnd: weekEnd.toISOString()
+    });
+  } catch (error) {
+    console.error('خطأ في جلب حالة المحاضرات للمجموعة:', error.message);
+    res.status(500).json({ message: 'خطأ في الخادم', error: error.message });
+  }
+});
+
+// Get the meetings of a leader's group
+router.get('/:leaderId/meetings', authMiddleware, requirePermission('groups:read'), resolveLeader, async (req, res) => {
+  try {
+    const group = await loadGroup(req.leader._id);
+    const meetings = group.flatMap(({ member, user }) => (user?.meetings || []).map(meeting => ({
+      _id: meeting._id,
+      title: meeting.title,
+      date: meeting.date.toISOString().split('T')[0],
+      startTime: meeting.startTime,
+      endTime: meeting.endTime,
+      reminded: meeting.reminded,
+      memberId: member._id,
+      memberName: member.name
+    })));
+    meetings.sort((a, b) => a.date.localeCompare(b.date) || a.startTime.localeCompare(b.startTime));
+
+    res.json({ success: true, meetings });
+  } catch (error) {
+    console.error('خطأ في جلب مواعيد المجموعة:', error.message);
+    res.status(500).json({ message: 'خطأ في الخادم', error: error.message });
+  }
+});
+
+export default router;
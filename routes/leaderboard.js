@@ -1,6 +1,7 @@
 import express from 'express';
 import { addUserToLeaderboard, getLeaderboard, editUserInLeaderboard, deleteUserFromLeaderboard } from '../controllers/leaderboardController.js';
 import authMiddleware from '../middleware/auth.js';
+import requirePermission from '../middleware/permission.js';
 import multer from 'multer';
 
 const router = express.Router();
@@ -18,15 +19,15 @@ const upload = multer({
 });
 
 // Add a user to the leaderboard by email
-router.post('/add', authMiddleware, upload.single('image'), addUserToLeaderboard);
+router.post('/add', authMiddleware, requirePermission('leaderboard:manage'), upload.single('image'), addUserToLeaderboard);
 
 // Get the leaderboard
 router.get('/', getLeaderboard);
 
 // Edit a user in the leaderboard
-router.put('/edit', authMiddleware, upload.single('image'), editUserInLeaderboard);
+router.put('/edit', authMiddleware, requirePermission('leaderboard:manage'), upload.single('image'), editUserInLeaderboard);
 
 // Delete a user from the leaderboard
-router.delete('/remove', authMiddleware, deleteUserFromLeaderboard);
+router.delete('/remove', authMiddleware, requirePermission('leaderboard:manage'), deleteUserFromLeaderboard);
 
 export default router;
\ No newline at end of file
@@ -1,12 +1,23 @@
 import express from 'express';
-import { uploadLectureRequest, getPendingLectureRequests, approveOrRejectLectureRequest, getLectureFile } from '../controllers/lectureRequestController.js';
+import {
+  uploadLectureRequest,
+  getPendingLectureRequests,
+  getMyLectureRequests,
+  getLectureRequest,
+  reviewLectureRequest,
+  resubmitLectureRequest,
+  getLectureFile,
+  downloadLectureFile,
+  getLectureThumbnail
+} from '../controllers/lectureRequestController.js';
 import authMiddleware from '../middleware/auth.js';
-import adminMiddleware from '../middleware/admin.js';
+import requirePermission from '../middleware/permission.js';
 import multer from 'multer';
+import { fileStoreStorage } from '../utils/fileStore.js';
 
 const router = express.Router();
 
-const storage = multer.memoryStorage();
+const storage = fileStoreStorage();
 const fileFilter = (req, file, cb) => {
   const isValid = file.mimetype === 'application/pdf' && /\.pdf$/.test(file.originalname.toLowerCase());
   if (isValid) {
@@ -19,12 +30,17 @@ const fileFilter = (req, file, cb) => {
 const upload = multer({ 
   storage, 
   fileFilter,
-  limits: { fileSize: 10 * 1024 * 1024 }
+  limits: { fileSize: 50 * 1024 * 1024 }
 });
 
-router.post('/upload', authMiddleware, upload.single('pdfFile'), uploadLectureRequest);
-router.get('/pending', authMiddleware, adminMiddleware, getPendingLectureRequests);
-router.post('/:id/action', authMiddleware, adminMiddleware, approveOrRejectLectureRequest);
-router.get('/:id/file', authMiddleware, getLectureFile);
+router.post('/upload', authMiddleware, requirePermission('lecture_requests:create'), upload.single('pdfFile'), uploadLectureRequest);
+router.get('/pending', authMiddleware, requirePermission('pdf:approve'), getPendingLectureRequests);
+router.get('/mine', authMiddleware, requirePermission('lecture_requests:create'), getMyLectureRequests);
+router.post('/:id/action', authMiddleware, requirePermission('pdf:approve'), reviewLectureRequest);
+router.post('/:id/resubmit', authMiddleware, requirePermission('lecture_requests:create'), upload.single('pdfFile'), resubmitLectureRequest);
+router.get('/:id/file', authMiddleware, requirePermission('lecture_requests:read'), getLectureFile);
+router.get('/:id/download', authMiddleware, requirePermission('lecture_requests:read'), downloadLectureFile);
+router.get('/:id/thumbnail', authMiddleware, requirePermission('lecture_requests:read'), getLectureThumbnail);
+router.get('/:id', authMiddleware, requirePermission('lecture_requests:read'), getLectureRequest);
 
 export default router;
\ No newline at end of file
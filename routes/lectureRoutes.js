@@ -1,17 +1,29 @@
 import express from 'express';
 import jwt from 'jsonwebtoken';
 import User from '../models/User.js';
+import Lecture, { LECTURE_STATUSES } from '../models/Lecture.js';
 import JoinRequest from '../models/JoinRequest.js';
 import Notification from '../models/Notification.js';
+import Student from '../models/Student.js';
 import LowLectureReport from '../models/LowLectureReport.js';
 import validator from 'validator';
 import mongoose from 'mongoose';
 import cron from 'node-cron';
+import sendEmail from '../utils/email.js';
+import { isSessionActive } from '../utils/sessionUtils.js';
+import requirePermission from '../middleware/permission.js';
+import { memberScopeFilter } from '../utils/permissions.js';
+import { getPreviousWeekRange } from '../utils/weekUtils.js';
+import { formatStudent, getVolunteerStudents, attachStudentNames } from '../utils/studentUtils.js';
+import { recordAudit } from '../utils/auditLog.js';
+import { reverseHours } from '../utils/hoursLedger.js';
+import { normalizeLectureDetails, syncLectureHours, formatLecture } from '../utils/lectures.js';
+import { parseListQuery, paginateQuery } from '../utils/pagination.js';
 
 const router = express.Router();
 
 // Middleware to verify JWT token
-const authMiddleware = (req, res, next) => {
+const authMiddleware = async (req, res, next) => {
   const token = req.header('Authorization')?.replace('Bearer ', '');
   if (!token) {
     console.error('No authentication token provided');
@@ -19,8 +31,13 @@ const authMiddleware = (req, res, next) => {
   }
   try {
     const decoded = jwt.verify(token, process.env.JWT_SECRET);
+    if (!(await isSessionActive(decoded.sessionId))) {
+      console.error('Session revoked or expired:', decoded.sessionId);
+      return res.status(401).json({ message: 'Session expired, please log in again' });
+    }
     req.userId = decoded.userId;
     req.userRole = decoded.role;
+    req.sessionId = decoded.sessionId;
     console.log('Token verified:', { userId: req.userId, role: req.userRole });
     next();
   } catch (error) {
@@ -29,27 +46,71 @@ const authMiddleware = (req, res, next) => {
   }
 };
 
-// Admin middleware
-const adminMiddleware = (req, res, next) => {
-  if (req.userRole !== 'admin') {
-    console.error('Unauthorized access attempt:', req.userId);
-    return res.status(403).json({ message: 'You must be an admin to access this route' });
-  }
-  next();
+// Restrict low lecture report members to the caller's permission scope
+const filterMembersByScope = async (members, req) => {
+  if (req.permissionScope === 'all') return members;
+  const scopeFilter = await memberScopeFilter(req.permissionScope, req.userId);
+  const scopedMembers = await JoinRequest.find(scopeFilter).select('email').lean();
+  const emails = scopedMembers.map(member => member.email.toLowerCase().trim());
+  return members.filter(member => emails.includes(member.email.toLowerCase().trim()));
 };
 
-// Add a lecture
-router.post('/', authMiddleware, async (req, res) => {
+// List the caller's lectures (admins may pass a volunteer)
+router.get('/', authMiddleware, requirePermission('lectures:create'), async (req, res) => {
+  try {
+    const list = parseListQuery(req.query, {
+      sortFields: ['scheduledAt', 'createdAt'],
+      defaultSort: '-scheduledAt',
+      filters: {
+        status: { field: 'status', type: 'exact', values: LECTURE_STATUSES },
+        subject: { field: 'subject', type: 'exact' },
+        student: { field: 'student', type: 'objectId' },
+        from: { field: 'scheduledAt', type: 'dateFrom' },
+        to: { field: 'scheduledAt', type: 'dateTo' }
+      }
+    });
+    if (list.error) {
+      return res.status(400).json({ success: false, message: list.error });
+    }
+
+    let volunteer = req.userId;
+    if (req.query.volunteer !== undefined && req.permissionScope === 'all') {
+      if (!mongoose.Types.ObjectId.isValid(req.query.volunteer)) {
+        return res.status(400).json({ success: false, message: 'Invalid volunteer ID' });
+      }
+      volunteer = req.query.volunteer;
+    }
+
+    const { items: lectures, pagination } = await paginateQuery(
+      Lecture,
+      list,
+      { volunteer: new mongoose.Types.ObjectId(volunteer) },
+      query => query.lean()
+    );
+
+    res.json({
+      success: true,
+      lectures: await attachStudentNames(lectures.map(formatLecture)),
+      pagination
+    });
+  } catch (error) {
+    console.error('Error fetching lectures:', error.message);
+    res.status(500).json({ success: false, message: 'Server error', error: error.message });
+  }
+});
+
+// Add a lecture. Lectures are recorded as delivered unless a status of "scheduled" is given.
+router.post('/', authMiddleware, requirePermission('lectures:create'), async (req, res) => {
   const session = await mongoose.startSession();
   session.startTransaction();
   try {
-    const { link, name, subject, studentEmail } = req.body;
+    const { link, name, subject, studentId, studentEmail } = req.body;
 
     // Validate input
-    if (!link || !name || !subject || !studentEmail) {
+    if (!link || !name || !subject || (!studentId && !studentEmail)) {
       await session.abortTransaction();
       session.endSession();
-      return res.status(400).json({ message: 'Lecture link, name, subject, and student email are required' });
+      return res.status(400).json({ message: 'Lecture link, name, subject, and student ID or email are required' });
     }
     if (!validator.isURL(link, { require_protocol: true })) {
       await session.abortTransaction();
@@ -66,13 +127,33 @@ router.post('/', authMiddleware, async (req, res) => {
       session.endSession();
       return res.status(400).json({ message: 'Subject name must be between 1 and 100 characters' });
     }
-    if (!validator.isEmail(studentEmail)) {
+    if (studentId && !mongoose.Types.ObjectId.isValid(studentId)) {
+      await session.abortTransaction();
+      session.endSession();
+      return res.status(400).json({ message: 'Invalid student ID' });
+    }
+    if (!studentId && !validator.isEmail(studentEmail)) {
       await session.abortTransaction();
       session.endSession();
       return res.status(400).json({ message: 'Invalid student email' });
     }
+    const status = req.body.status ?? 'delivered';
+    if (!['scheduled', 'delivered'].includes(status)) {
+      await session.abortTransaction();
+      session.endSession();
+      return res.status(400).json({ message: 'New lectures must be scheduled or delivered' });
+    }
+    const { fields, error } = normalizeLectureDetails({
+      scheduledAt: new Date(),
+      ...req.body,
+      status
+    });
+    if (error) {
+      await session.abortTransaction();
+      session.endSession();
+      return res.status(400).json({ message: error });
+    }
 
-    const normalizedStudentEmail = studentEmail.toLowerCase().trim();
     const user = await User.findById(req.userId).session(session);
     if (!user) {
       await session.abortTransaction();
@@ -81,11 +162,16 @@ router.post('/', authMiddleware, async (req, res) => {
       return res.status(404).json({ message: 'User not found' });
     }
 
-    // Check if student exists (case-insensitive)
-    if (!Array.isArray(user.students) || !user.students.some(s => s.email.toLowerCase().trim() === normalizedStudentEmail)) {
+    // Check the student is currently assigned to this volunteer
+    const student = await Student.findOne(
+      studentId
+        ? { _id: studentId, volunteer: user._id }
+        : { email: studentEmail.toLowerCase().trim(), volunteer: user._id }
+    ).session(session);
+    if (!student) {
       await session.abortTransaction();
       session.endSession();
-      console.error('Student not found in user’s students list:', normalizedStudentEmail);
+      console.error('Student not found in user’s students list:', studentId || studentEmail);
       return res.status(400).json({ message: 'Student not found' });
     }
 
@@ -97,62 +183,70 @@ router.post('/', authMiddleware, async (req, res) => {
       return res.status(404).json({ message: 'Join request not found' });
     }
 
-    // Initialize lectures array if undefined
-    if (!Array.isArray(user.lectures)) user.lectures = [];
-
     // Create lecture
-    const lecture = {
+    const lecture = new Lecture({
+      volunteer: user._id,
+      student: student._id,
+      studentEmail: student.email,
       link,
       name,
       subject,
-      studentEmail: normalizedStudentEmail,
-      createdAt: new Date()
-    };
-    user.lectures.push(lecture);
-    user.lectureCount = (user.lectureCount || 0) + 1;
-    joinRequest.volunteerHours = (joinRequest.volunteerHours || 0) + 2;
+      ...fields
+    });
+    await lecture.save({ session });
+
+    // Only delivered lectures earn hours and satisfy the weekly minimums
+    if (lecture.status === 'delivered') {
+      await syncLectureHours(lecture, joinRequest, {
+        academicLevel: student.grade,
+        reason: 'Lecture recorded',
+        createdBy: req.userId
+      }, session);
+
+      // Delete related low lecture count notifications
+      await Notification.deleteMany(
+        {
+          userId: req.userId,
+          type: 'low_lecture_count_per_subject',
+          'lectureDetails.subject': subject,
+          'lectureDetails.studentId': student._id
+        },
+        { session }
+      );
 
-    // Delete related low lecture count notifications
-    await Notification.deleteMany(
-      {
+      // Create notification
+      const notification = new Notification({
         userId: req.userId,
-        type: 'low_lecture_count_per_subject',
-        'lectureDetails.subject': subject,
-        'lectureDetails.studentEmail': normalizedStudentEmail
-      },
-      { session }
-    );
-
-    // Create notification
-    const notification = new Notification({
-      userId: req.userId,
-      message: `New lecture added by ${user.email}: ${name} (${subject}) - ${link}`,
-      type: 'lecture_added',
-      lectureDetails: { link, name, subject, studentEmail: normalizedStudentEmail }
-    });
-    await notification.save({ session });
+        message: `New lecture added by ${user.email}: ${name} (${subject}) - ${link}`,
+        type: 'lecture_added',
+        lectureDetails: { link, name, subject, studentId: student._id, studentEmail: student.email }
+      });
+      await notification.save({ session });
 
-    // Save changes
-    await Promise.all([user.save({ session }), joinRequest.save({ session })]);
+      await joinRequest.save({ session });
+    }
 
     await session.commitTransaction();
     session.endSession();
 
+    const lectureCount = await Lecture.countDocuments({ volunteer: user._id, status: 'delivered' });
+
     console.log('Lecture added successfully:', {
       userId: req.userId,
-      link,
+      lectureId: lecture._id.toString(),
       name,
       subject,
-      studentEmail: normalizedStudentEmail,
-      lectureCount: user.lectureCount,
+      status: lecture.status,
+      studentId: student._id.toString(),
+      lectureCount,
       volunteerHours: joinRequest.volunteerHours
     });
 
     res.json({
       success: true,
       message: 'Lecture added successfully',
-      lecture,
-      lectureCount: user.lectureCount,
+      lecture: formatLecture(lecture),
+      lectureCount,
       volunteerHours: joinRequest.volunteerHours
     });
   } catch (error) {
@@ -163,8 +257,117 @@ router.post('/', authMiddleware, async (req, res) => {
   }
 });
 
+// Update a lecture's schedule, outcome or details. Hours follow the status: delivering a lecture
+// awards them for its duration, and moving it away from delivered takes them back.
+router.patch('/:lectureId', authMiddleware, requirePermission('lectures:create'), async (req, res) => {
+  const session = await mongoose.startSession();
+  session.startTransaction();
+  try {
+    const { lectureId } = req.params;
+    if (!mongoose.Types.ObjectId.isValid(lectureId)) {
+      await session.abortTransaction();
+      session.endSession();
+      return res.status(400).json({ success: false, message: 'Invalid lecture ID' });
+    }
+
+    const lecture = await Lecture.findById(lectureId).session(session);
+    if (!lecture || (req.permissionScope !== 'all' && lecture.volunteer.toString() !== req.userId)) {
+      await session.abortTransaction();
+      session.endSession();
+      console.error('Lecture not found:', lectureId);
+      return res.status(404).json({ success: false, message: 'Lecture not found' });
+    }
+
+    const { link, name } = req.body;
+    if (link !== undefined && !validator.isURL(String(link), { require_protocol: true })) {
+      await session.abortTransaction();
+      session.endSession();
+      return res.status(400).json({ success: false, message: 'Invalid lecture link' });
+    }
+    if (name !== undefined && !validator.isLength(String(name), { min: 1, max: 100 })) {
+      await session.abortTransaction();
+      session.endSession();
+      return res.status(400).json({ success: false, message: 'Lecture name must be between 1 and 100 characters' });
+    }
+    const { fields, error } = normalizeLectureDetails(req.body, lecture);
+    if (error) {
+      await session.abortTransaction();
+      session.endSession();
+      return res.status(400).json({ success: false, message: error });
+    }
+
+    const before = formatLecture(lecture);
+    lecture.set({
+      ...fields,
+      ...(link !== undefined && { link: String(link) }),
+      ...(name !== undefined && { name: String(name).trim() }),
+      updatedBy: req.userId
+    });
+
+    // Hours only change when the lecture is (or was) delivered and its status or length changed
+    const hoursChanged = lecture.isModified('status') || (lecture.status === 'delivered' && lecture.isModified('durationMinutes'));
+    let joinRequest = null;
+    if (hoursChanged) {
+      const user = await User.findById(lecture.volunteer).select('email').session(session);
+      joinRequest = user && await JoinRequest.findOne({ email: user.email.toLowerCase().trim() }).session(session);
+      if (!joinRequest) {
+        await session.abortTransaction();
+        session.endSession();
+        console.error('Join request not found for lecture volunteer:', lecture.volunteer.toString());
+        return res.status(404).json({ success: false, message: 'Join request not found' });
+      }
+
+      const student = await Student.findById(lecture.student).select('grade').session(session);
+      await syncLectureHours(lecture, joinRequest, {
+        academicLevel: student?.grade || null,
+        reason: `Lecture ${lecture.status === 'delivered' ? 'updated' : `marked as ${lecture.status}`}`,
+        createdBy: req.userId
+      }, session);
+      await joinRequest.save({ session });
+
+      if (lecture.status === 'delivered') {
+        await Notification.deleteMany(
+          {
+            userId: lecture.volunteer,
+            type: 'low_lecture_count_per_subject',
+            'lectureDetails.subject': lecture.subject,
+            'lectureDetails.studentId': lecture.student
+          },
+          { session }
+        );
+      }
+    }
+
+    await lecture.save({ session });
+
+    await session.commitTransaction();
+    session.endSession();
+
+    await recordAudit(req, {
+      action: 'lecture.update',
+      targetType: 'Lecture',
+      targetId: lecture._id,
+      before,
+      after: formatLecture(lecture)
+    });
+
+    console.log('Lecture updated successfully:', { lectureId, status: lecture.status, hoursChanged });
+    res.json({
+      success: true,
+      message: 'Lecture updated successfully',
+      lecture: formatLecture(lecture),
+      ...(joinRequest && { volunteerHours: joinRequest.volunteerHours })
+    });
+  } catch (error) {
+    console.error('Error updating lecture:', error.message);
+    await session.abortTransaction();
+    session.endSession();
+    res.status(500).json({ success: false, message: 'Server error', error: error.message });
+  }
+});
+
 // Delete a lecture
-router.delete('/:lectureId', authMiddleware, adminMiddleware, async (req, res) => {
+router.delete('/:lectureId', authMiddleware, requirePermission('lectures:delete'), async (req, res) => {
   const session = await mongoose.startSession();
   session.startTransaction();
   try {
@@ -179,20 +382,20 @@ router.delete('/:lectureId', authMiddleware, adminMiddleware, async (req, res) =
       });
     }
 
-    const user = await User.findOne({ 'lectures._id': lectureId }).session(session);
-    if (!user) {
+    const lecture = await Lecture.findById(lectureId).session(session);
+    if (!lecture) {
       await session.abortTransaction();
       session.endSession();
       console.error('Lecture not found:', lectureId);
       return res.status(404).json({ message: 'Lecture not found' });
     }
 
-    const lecture = user.lectures.id(lectureId);
-    if (!lecture) {
+    const user = await User.findById(lecture.volunteer).session(session);
+    if (!user) {
       await session.abortTransaction();
       session.endSession();
-      console.error('Lecture not found:', lectureId);
-      return res.status(404).json({ message: 'Lecture not found' });
+      console.error('User not found for lecture:', lectureId);
+      return res.status(404).json({ message: 'User not found' });
     }
 
     const joinRequest = await JoinRequest.findOne({ email: user.email.toLowerCase().trim() }).session(session);
@@ -203,20 +406,36 @@ router.delete('/:lectureId', authMiddleware, adminMiddleware, async (req, res) =
       return res.status(404).json({ message: 'Join request not found' });
     }
 
-    user.lectures.pull(lectureId);
-    user.lectureCount = Math.max(0, (user.lectureCount || 1) - 1);
-    joinRequest.volunteerHours = Math.max(0, (joinRequest.volunteerHours || 2) - 2);
+    const hoursBefore = joinRequest.volunteerHours;
+    await Lecture.deleteOne({ _id: lecture._id }, { session });
+    // Only the hours this lecture actually earned are taken back
+    await reverseHours(joinRequest, {
+      type: 'lecture',
+      sourceId: lecture._id,
+      reason: 'Lecture deleted',
+      createdBy: req.userId
+    }, session);
 
-    await Promise.all([user.save({ session }), joinRequest.save({ session })]);
+    await joinRequest.save({ session });
 
     await session.commitTransaction();
     session.endSession();
 
-    console.log('Lecture deleted successfully:', { lectureId, userId: user._id, lectureCount: user.lectureCount });
+    await recordAudit(req, {
+      action: 'lecture.delete',
+      targetType: 'Lecture',
+      targetId: lecture._id,
+      before: { lecture: formatLecture(lecture), volunteerHours: hoursBefore },
+      after: { lecture: null, volunteerHours: joinRequest.volunteerHours }
+    });
+
+    const lectureCount = await Lecture.countDocuments({ volunteer: user._id, status: 'delivered' });
+
+    console.log('Lecture deleted successfully:', { lectureId, userId: user._id, lectureCount });
     res.json({
       success: true,
       message: 'Lecture deleted successfully',
-      lectureCount: user.lectureCount,
+      lectureCount,
       volunteerHours: joinRequest.volunteerHours
     });
   } catch (error) {
@@ -228,7 +447,7 @@ router.delete('/:lectureId', authMiddleware, adminMiddleware, async (req, res) =
 });
 
 // Delete low lecture member
-router.delete('/low-lecture-members/:id', authMiddleware, adminMiddleware, async (req, res) => {
+router.delete('/low-lecture-members/:id', authMiddleware, requirePermission('reports:manage'), async (req, res) => {
   const session = await mongoose.startSession();
   session.startTransaction();
   try {
@@ -245,22 +464,8 @@ router.delete('/low-lecture-members/:id', authMiddleware, adminMiddleware, async
       });
     }
 
-    // Calculate the previous week (Saturday to Friday) to align with GET endpoint
-    const now = new Date();
-    const dayOfWeek = now.getDay();
-    let daysToPreviousSaturday = (dayOfWeek + 1) % 7;
-    if (daysToPreviousSaturday === 0) daysToPreviousSaturday = 7;
-
-    const previousSaturday = new Date(now);
-    previousSaturday.setDate(now.getDate() - daysToPreviousSaturday);
-
-    const weekStart = new Date(previousSaturday);
-    weekStart.setDate(previousSaturday.getDate() - 7);
-    weekStart.setHours(0, 0, 0, 0);
-
-    const weekEnd = new Date(previousSaturday);
-    weekEnd.setDate(previousSaturday.getDate() - 1);
-    weekEnd.setHours(23, 59, 59, 999);
+    // Calculate the previous week (Saturday to Friday)
+    const { weekStart, weekEnd } = getPreviousWeekRange();
 
     console.log('Attempting to find report for week:', { weekStart: weekStart.toISOString(), weekEnd: weekEnd.toISOString() });
 
@@ -317,6 +522,14 @@ router.delete('/low-lecture-members/:id', authMiddleware, adminMiddleware, async
     await session.commitTransaction();
     session.endSession();
 
+    await recordAudit(req, {
+      action: 'low_lecture_report.remove_member',
+      targetType: 'LowLectureReport',
+      targetId: report._id,
+      before: { membersWithLowLectures: initialLength },
+      after: { membersWithLowLectures: report.members.length, removedMemberId: id }
+    });
+
     console.log(`Member ${id} successfully removed from LowLectureReport for week starting ${weekStart.toISOString()}`);
     return res.status(200).json({
       success: true,
@@ -363,6 +576,14 @@ router.delete('/low-lecture-members/:id', authMiddleware, adminMiddleware, async
       await session.commitTransaction();
       session.endSession();
 
+      await recordAudit(req, {
+        action: 'low_lecture_report.remove_member',
+        targetType: 'LowLectureReport',
+        targetId: report._id,
+        before: { membersWithLowLectures: initialLength },
+        after: { membersWithLowLectures: report.members.length, removedMemberId: id }
+      });
+
       console.log(`Member ${id} successfully removed from LowLectureReport for week starting ${weekStart.toISOString()}`);
       return res.status(200).json({
         success: true,
@@ -386,26 +607,12 @@ router.delete('/low-lecture-members/:id', authMiddleware, adminMiddleware, async
 });
 
 // Get low lecture members
-router.get('/low-lecture-members', authMiddleware, adminMiddleware, async (req, res) => {
+router.get('/low-lecture-members', authMiddleware, requirePermission('lectures:monitor'), async (req, res) => {
   const session = await mongoose.startSession();
   session.startTransaction();
   try {
     // Calculate the previous week (Saturday to Friday)
-    const now = new Date();
-    const dayOfWeek = now.getDay();
-    let daysToPreviousSaturday = (dayOfWeek + 1) % 7;
-    if (daysToPreviousSaturday === 0) daysToPreviousSaturday = 7;
-
-    const previousSaturday = new Date(now);
-    previousSaturday.setDate(now.getDate() - daysToPreviousSaturday);
-    
-    const weekStart = new Date(previousSaturday);
-    weekStart.setDate(previousSaturday.getDate() - 7);
-    weekStart.setHours(0, 0, 0, 0);
-
-    const weekEnd = new Date(previousSaturday);
-    weekEnd.setDate(previousSaturday.getDate() - 1);
-    weekEnd.setHours(23, 59, 59, 999);
+    const { weekStart, weekEnd } = getPreviousWeekRange();
 
     console.log('Fetching report for week:', { weekStart: weekStart.toISOString(), weekEnd: weekEnd.toISOString() });
 
@@ -445,19 +652,20 @@ router.get('/low-lecture-members', authMiddleware, adminMiddleware, async (req,
 
     await session.commitTransaction();
     session.endSession();
-    console.log('Returning low lecture report:', { weekStart: weekStart.toISOString(), memberCount: report.members.length });
+    const members = await filterMembersByScope(report.members, req);
+    console.log('Returning low lecture report:', { weekStart: weekStart.toISOString(), memberCount: members.length });
 
     return res.json({
       success: true,
-      message: report.members.length > 0 
-        ? `Found ${report.members.length} members with low lecture counts`
+      message: members.length > 0 
+        ? `Found ${members.length} members with low lecture counts`
         : 'All members meet the minimum weekly lecture requirements',
-      members: report.members,
+      members,
       debug: {
         totalUsersProcessed: report.totalUsersProcessed,
         weekStart: report.weekStart.toISOString(),
         weekEnd: report.weekEnd.toISOString(),
-        membersWithLowLectures: report.membersWithLowLectures
+        membersWithLowLectures: members.length
       }
     });
   } catch (error) {
@@ -473,31 +681,17 @@ router.get('/low-lecture-members', authMiddleware, adminMiddleware, async (req,
 });
 
 // Function to check low lecture members
-async function checkLowLectureMembers(isCronJob = false, session = null) {
+export async function checkLowLectureMembers(isCronJob = false, session = null) {
   const localSession = session || await mongoose.startSession();
   if (!session) localSession.startTransaction();
   try {
-    const users = await User.find({ role: 'user' }).session(localSession);
+    const users = await User.find({ role: 'user', archivedAt: null }).session(localSession);
     console.log('📊 Found users with role "user":', users.length);
     
     const lowLectureMembers = [];
     
-    // Calculate the previous week: Saturday to Friday
-    const now = new Date();
-    const dayOfWeek = now.getDay();
-    let daysToPreviousSaturday = (dayOfWeek + 1) % 7;
-    if (daysToPreviousSaturday === 0) daysToPreviousSaturday = 7;
-
-    const previousSaturday = new Date(now);
-    previousSaturday.setDate(now.getDate() - daysToPreviousSaturday);
-    
-    const weekStart = new Date(previousSaturday);
-    weekStart.setDate(previousSaturday.getDate() - 7);
-    weekStart.setHours(0, 0, 0, 0);
-    
-    const weekEnd = new Date(previousSaturday);
-    weekEnd.setDate(previousSaturday.getDate() - 1);
-    weekEnd.setHours(23, 59, 59, 999);
+    // Calculate the previous week (Saturday to Friday)
+    const { weekStart, weekEnd } = getPreviousWeekRange();
 
     console.log('📅 Checking lectures from:', weekStart.toISOString(), 'to', weekEnd.toISOString());
 
@@ -519,8 +713,9 @@ async function checkLowLectureMembers(isCronJob = false, session = null) {
         continue;
       }
 
-      // Ensure students array exists and is valid
-      if (!Array.isArray(user.students) || user.students.length === 0) {
+      // Load the students currently assigned to this volunteer
+      const students = (await getVolunteerStudents(user._id, localSession)).map(formatStudent);
+      if (students.length === 0) {
         console.log('⏩ Skipping user - No students:', { userId: user._id.toString(), email: user.email });
         if (isCronJob && user.lowLectureWeekCount > 0) {
           user.lowLectureWeekCount = 0;
@@ -530,11 +725,17 @@ async function checkLowLectureMembers(isCronJob = false, session = null) {
         continue;
       }
 
-      console.log('👥 User has students:', user.students.length);
+      console.log('👥 User has students:', students.length);
       const userUnderTargetStudents = [];
 
+      // This week's lectures of every status are listed in the report; only delivered ones count
+      const weekLectures = await Lecture.find({
+        volunteer: user._id,
+        scheduledAt: { $gte: weekStart, $lte: weekEnd }
+      }).sort({ scheduledAt: 1 }).session(localSession);
+
       // Process each student
-      for (const student of user.students) {
+      for (const student of students) {
         console.log(`🎓 Processing student:`, {
           studentEmail: student.email,
           studentName: student.name,
@@ -557,15 +758,11 @@ async function checkLowLectureMembers(isCronJob = false, session = null) {
             studentEmail: student.email
           });
 
-          // Ensure lectures array exists
-          if (!Array.isArray(user.lectures)) user.lectures = [];
-
-          // Count lectures for this student and subject in the last week
-          const lectureCount = user.lectures.filter(lecture => {
-            const matchesTimeFrame = lecture.createdAt >= weekStart && lecture.createdAt <= weekEnd;
-            const matchesStudent = lecture.studentEmail?.toLowerCase().trim() === student.email.toLowerCase().trim();
+          // Count delivered lectures for this student and subject in the last week
+          const lectureCount = weekLectures.filter(lecture => {
+            const matchesStudent = lecture.student.toString() === student._id.toString();
             const matchesSubject = lecture.subject === subject.name;
-            return matchesTimeFrame && matchesStudent && matchesSubject;
+            return lecture.status === 'delivered' && matchesStudent && matchesSubject;
           }).length;
 
           console.log(`📊 Lecture count for ${student.name} in ${subject.name}:`, {
@@ -588,7 +785,7 @@ async function checkLowLectureMembers(isCronJob = false, session = null) {
                 userId: user._id,
                 type: 'low_lecture_count_per_subject',
                 'lectureDetails.subject': subject.name,
-                'lectureDetails.studentEmail': student.email.toLowerCase().trim()
+                'lectureDetails.studentId': student._id
               }).session(localSession);
 
               if (!notificationExists) {
@@ -605,6 +802,7 @@ async function checkLowLectureMembers(isCronJob = false, session = null) {
                   message: `Weekly lectures for student ${student.name} in subject ${subject.name} are below the minimum (${lectureCount}/${subject.minLectures})`,
                   type: 'low_lecture_count_per_subject',
                   lectureDetails: {
+                    studentId: student._id,
                     studentEmail: student.email.toLowerCase().trim(),
                     subject: subject.name,
                     minLectures: subject.minLectures,
@@ -620,6 +818,7 @@ async function checkLowLectureMembers(isCronJob = false, session = null) {
         // If this student has subjects under target
         if (studentUnderTargetSubjects.length > 0) {
           userUnderTargetStudents.push({
+            studentId: student._id,
             studentName: student.name || 'Name not available',
             studentEmail: student.email.toLowerCase().trim(),
             academicLevel: student.academicLevel || 'غير محدد',
@@ -646,12 +845,16 @@ async function checkLowLectureMembers(isCronJob = false, session = null) {
           email: user.email,
           lowLectureWeekCount: user.lowLectureWeekCount,
           underTargetStudents: userUnderTargetStudents,
-          lectures: user.lectures.map(lecture => ({
+          lectures: weekLectures.map(lecture => ({
             _id: lecture._id.toString(),
             name: lecture.name,
             subject: lecture.subject,
+            studentId: lecture.student,
             studentEmail: lecture.studentEmail,
             link: lecture.link,
+            status: lecture.status,
+            scheduledAt: lecture.scheduledAt.toISOString(),
+            durationMinutes: lecture.durationMinutes,
             createdAt: lecture.createdAt.toISOString()
           }))
         });
@@ -730,12 +933,25 @@ async function checkLowLectureMembers(isCronJob = false, session = null) {
 }
 
 // Get notifications
-router.get('/notifications', authMiddleware, async (req, res) => {
+router.get('/notifications', authMiddleware, requirePermission('notifications:manage'), async (req, res) => {
   try {
-    const notifications = await Notification.find({ userId: req.userId })
-      .populate('userId', 'email')
-      .sort({ createdAt: -1 })
-      .lean();
+    const list = parseListQuery(req.query, {
+      sortFields: ['createdAt'],
+      filters: {
+        read: { field: 'read', type: 'boolean' },
+        type: { field: 'type', type: 'exact' }
+      }
+    });
+    if (list.error) {
+      return res.status(400).json({ success: false, message: list.error });
+    }
+
+    const { items: notifications, pagination } = await paginateQuery(
+      Notification,
+      list,
+      { userId: req.userId },
+      query => query.populate('userId', 'email').lean()
+    );
 
     console.log('Notifications fetched for user:', { userId: req.userId, count: notifications.length });
 
@@ -753,7 +969,8 @@ router.get('/notifications', authMiddleware, async (req, res) => {
         createdAt: notification.createdAt.toISOString(),
         read: notification.read,
         lectureDetails: notification.lectureDetails
-      }))
+      })),
+      pagination
     });
   } catch (error) {
     console.error('Error fetching notifications:', error.message);
@@ -766,7 +983,7 @@ router.get('/notifications', authMiddleware, async (req, res) => {
 });
 
 // Mark notifications as read
-router.post('/notifications/mark-read', authMiddleware, async (req, res) => {
+router.post('/notifications/mark-read', authMiddleware, requirePermission('notifications:manage'), async (req, res) => {
   try {
     const result = await Notification.updateMany(
       { userId: req.userId, read: false },
@@ -807,7 +1024,7 @@ router.post('/notifications/mark-read', authMiddleware, async (req, res) => {
 });
 
 // Delete a specific notification
-router.delete('/notifications/:id', authMiddleware, async (req, res) => {
+router.delete('/notifications/:id', authMiddleware, requirePermission('notifications:manage'), async (req, res) => {
   try {
     const notificationId = req.params.id;
     if (!mongoose.Types.ObjectId.isValid(notificationId)) {
@@ -836,12 +1053,61 @@ router.delete('/notifications/:id', authMiddleware, async (req, res) => {
   }
 });
 
+// Email each leader a digest of the low lecture members in their own group
+async function sendLeaderDigests(lowLectureMembers, weekStart, weekEnd) {
+  const leaders = await User.find({ role: 'leader' }).select('email name').lean();
+  console.log('Sending leader digests:', { leaders: leaders.length });
+
+  for (const leader of leaders) {
+    const group = await JoinRequest.find({ supervisor: leader._id, status: 'Approved' }).select('email').lean();
+    if (group.length === 0) {
+      console.log('Skipping leader digest - empty group:', leader.email);
+      continue;
+    }
+
+    const groupEmails = group.map(member => member.email.toLowerCase().trim());
+    const groupMembers = lowLectureMembers.filter(member => groupEmails.includes(member.email.toLowerCase().trim()));
+
+    const memberList = groupMembers.map(member => `
+      <li>
+        <strong>${member.name}</strong> (${member.email})
+        <ul>
+          ${member.underTargetStudents.map(student => `
+            <li>${student.studentName}: ${student.underTargetSubjects.map(subject => `${subject.name} (${subject.deliveredLectures}/${subject.minLectures})`).join('، ')}</li>
+          `).join('')}
+        </ul>
+      </li>
+    `).join('');
+
+    try {
+      await sendEmail({
+        to: leader.email,
+        subject: 'الملخص الأسبوعي لمجموعتك',
+        html: `
+          <h2>الملخص الأسبوعي لمجموعتك</h2>
+          <p>مرحبًا ${leader.name || ''}،</p>
+          <p>الفترة: ${weekStart.toISOString().split('T')[0]} - ${weekEnd.toISOString().split('T')[0]}</p>
+          <p>عدد أعضاء المجموعة: ${group.length}</p>
+          ${groupMembers.length > 0
+            ? `<p>الأعضاء الذين لم يحققوا الحد الأدنى من المحاضرات (${groupMembers.length}):</p><ul>${memberList}</ul>`
+            : '<p>جميع أعضاء مجموعتك حققوا الحد الأدنى من المحاضرات هذا الأسبوع.</p>'}
+          <p>تحياتنا،<br>فريق قطرة غيث</p>
+        `
+      });
+    } catch (error) {
+      console.error('Failed to send leader digest:', { leader: leader.email, error: error.message });
+    }
+  }
+}
+
 // Schedule the weekly check
 cron.schedule('0 0 * * 6', async () => {
   console.log('Starting weekly low lecture check...');
   try {
-    await checkLowLectureMembers(true);
+    const result = await checkLowLectureMembers(true);
     console.log('Weekly check completed successfully.');
+    const { weekStart, weekEnd } = getPreviousWeekRange();
+    await sendLeaderDigests(result.members, weekStart, weekEnd);
   } catch (error) {
     console.error('Error in weekly cron job:', error);
   }
@@ -1,14 +1,32 @@
 import express from 'express';
 import PDF from '../models/pdf.js';
-import authMiddleware from '../middleware/auth.js';
+import LectureRequest from '../models/LectureRequest.js';
+import authMiddleware, { optionalAuthMiddleware } from '../middleware/auth.js';
+import requirePermission from '../middleware/permission.js';
 import mongoose from 'mongoose';
 import multer from 'multer';
+import os from 'os';
+import path from 'path';
+import fs from 'fs';
+import { parseListQuery, paginateQuery } from '../utils/pagination.js';
+import { fileStoreStorage, sendStoredFile, removeFile } from '../utils/fileStore.js';
+import { recordAudit, snapshot } from '../utils/auditLog.js';
+import { loadViewer, canViewPdf, visibilityFilter, normalizeVisibility, formatVisibility } from '../utils/pdfVisibility.js';
+import { normalizeArabic } from '../utils/arabicText.js';
+import { queueExtraction } from '../utils/pdfExtraction.js';
+import { resolveFacets, resolveFacetValue, FACETS } from '../utils/facets.js';
+import { findExactDuplicate, describeDuplicate } from '../utils/duplicates.js';
+import { runLibraryImport } from '../utils/libraryImport.js';
+import { screenUpload } from '../utils/quarantine.js';
+import { removePdfFromStudyPaths } from '../utils/studyPaths.js';
+import { recordPdfAccess, parseStatsQuery, getDocumentStats, getSubjectStats, getUploaderStats } from '../utils/pdfAnalytics.js';
+import { getVersionHistory, findVersion, getCurrentVersion, addPdfVersion, formatVersion, removeFileIfUnreferenced } from '../utils/pdfVersions.js';
 
 // Initialize router
 const router = express.Router();
 
-// Configure Multer for file uploads
-const storage = multer.memoryStorage();
+// Configure Multer to stream uploads into the file store
+const storage = fileStoreStorage();
 const fileFilter = (req, file, cb) => {
   console.log('Multer file filter:', file.originalname, file.mimetype);
   const isValid = file.mimetype === 'application/pdf' && /\.pdf$/.test(file.originalname.toLowerCase());
@@ -22,11 +40,53 @@ const fileFilter = (req, file, cb) => {
 const upload = multer({ 
   storage, 
   fileFilter,
-  limits: { fileSize: 10 * 1024 * 1024 } // Limit file size to 10MB
+  limits: { fileSize: 50 * 1024 * 1024 } // Limit file size to 50MB
+});
+
+// Bulk imports are spooled to a temporary file; the PDFs inside go to the file store
+const importUpload = multer({
+  dest: path.join(os.tmpdir(), 'qatra-imports'),
+  fileFilter: (req, file, cb) => {
+    if (/\.zip$/.test(file.originalname.toLowerCase())) {
+      cb(null, true);
+    } else {
+      cb(new Error('يجب أن يكون ملف الاستيراد بصيغة ZIP'), false);
+    }
+  },
+  limits: { fileSize: 500 * 1024 * 1024 }
+});
+
+const LIST_FIELDS = 'title description creatorName subject semester country academicLevel fileName uploadedBy visibility currentVersion pageCount thumbnail extraction viewCount downloadCount popularity createdAt';
+
+const METADATA_FIELDS = ['title', 'description', 'creatorName', ...FACETS];
+
+// Uploaders manage their own PDFs; admins manage all
+const managedPdfFilter = (req) => (req.permissionScope === 'all' ? { _id: req.params.id } : { _id: req.params.id, uploadedBy: req.userId });
+
+// Shapes a PDF (with uploadedBy populated) to match the frontend Pdf interface
+const formatPdf = (pdf) => ({
+  id: pdf._id.toString(),
+  title: pdf.title,
+  description: pdf.description,
+  creatorName: pdf.creatorName,
+  subject: pdf.subject,
+  semester: pdf.semester,
+  country: pdf.country,
+  academicLevel: pdf.academicLevel,
+  fileName: pdf.fileName,
+  uploadedBy: pdf.uploadedBy ? pdf.uploadedBy.email : 'Unknown',
+  visibility: formatVisibility(pdf.visibility),
+  version: pdf.currentVersion || 1,
+  pageCount: pdf.pageCount ?? null,
+  thumbnailUrl: pdf.thumbnail ? `/api/pdf/thumbnail/${pdf._id}` : null,
+  extractionStatus: pdf.extraction?.status || 'pending',
+  viewCount: pdf.viewCount || 0,
+  downloadCount: pdf.downloadCount || 0,
+  createdAt: pdf.createdAt.toISOString(),
 });
 
 // Upload PDF
-router.post('/upload', authMiddleware, upload.single('pdfFile'), async (req, res) => {
+router.post('/upload', authMiddleware, requirePermission('pdf:upload'), upload.single('pdfFile'), async (req, res) => {
   console.log('POST /api/pdf/upload called', {
     body: req.body,
     file: req.file ? { originalname: req.file.originalname, mimetype: req.file.mimetype } : null
@@ -37,24 +97,64 @@ router.post('/upload', authMiddleware, upload.single('pdfFile'), async (req, res
     }
     const { title, description, creatorName, subject, semester, country, academicLevel } = req.body;
     if (!title || !description || !creatorName || !subject || !semester || !country || !academicLevel) {
+      await removeFile(req.file.storedFile).catch(() => {});
       return res.status(400).json({ message: 'جميع الحقول (العنوان، الوصف، اسم المنشئ، المادة، الفصل الدراسي، الدولة، المرحلة الدراسية) مطلوبة' });
     }
 
+    // Country, level, semester and subject must come from the library vocabulary (aliases are accepted)
+    const facets = await resolveFacets(req.body);
+    if (facets.error) {
+      await removeFile(req.file.storedFile).catch(() => {});
+      return res.status(400).json({ message: facets.error });
+    }
+
+    // Identical files are turned away with a pointer to the copy that already exists
+    const duplicate = await findExactDuplicate(req.file.storedFile.sha256);
+    if (duplicate) {
+      await removeFile(req.file.storedFile).catch(() => {});
+      const viewer = await loadViewer(req);
+      return res.status(409).json({
+        message: 'هذا الملف موجود بالفعل في المكتبة أو بانتظار المراجعة',
+        duplicate: describeDuplicate(duplicate, { viewer, userId: req.userId, role: req.userRole })
+      });
+    }
+
+    // Uploaders choose between private and all volunteers; only admins can publish publicly on upload
+    const level = req.body.visibility || 'private';
+    const allowedLevels = req.permissionScope === 'all' ? ['private', 'volunteers', 'public'] : ['private', 'volunteers'];
+    if (!allowedLevels.includes(level)) {
+      await removeFile(req.file.storedFile).catch(() => {});
+      return res.status(400).json({ message: `مستوى الظهور يجب أن يكون أحد: ${allowedLevels.join(', ')}` });
+    }
+
+    // Structure, active content and malware checks; suspicious files are held for an admin
+    const held = await screenUpload(req, res, {
+      target: 'pdf',
+      fields: { title, description, creatorName, ...facets.values, visibility: { level } }
+    });
+    if (held) return;
+
     const pdf = new PDF({
       title,
       description,
       creatorName,
-      subject,
-      semester,
-      country,
-      academicLevel,
-      fileData: req.file.buffer,
+      ...facets.values,
+      file: req.file.storedFile,
       fileName: req.file.originalname,
       mimeType: req.file.mimetype,
-      uploadedBy: req.userId
+      uploadedBy: req.userId,
+      visibility: { level }
     });
 
-    await pdf.save();
+    try {
+      await pdf.save();
+    } catch (saveError) {
+      await removeFile(req.file.storedFile).catch(() => {});
+      throw saveError;
+    }
+    // Page count, text and thumbnail are filled in by a background job
+    queueExtraction('PDF', pdf._id);
+
     res.status(201).json({
       message: 'تم رفع ملف PDF بنجاح',
       pdf: {
@@ -68,6 +168,8 @@ router.post('/upload', authMiddleware, upload.single('pdfFile'), async (req, res
         academicLevel: pdf.academicLevel,
         fileName: pdf.fileName,
         uploadedBy: pdf.uploadedBy.toString(),
+        visibility: formatVisibility(pdf.visibility),
+        extractionStatus: pdf.extraction.status,
         createdAt: pdf.createdAt
       }
     });
@@ -80,31 +182,83 @@ router.post('/upload', authMiddleware, upload.single('pdfFile'), async (req, res
   }
 });
 
-// List PDFs
-router.get('/list', async (req, res) => {
+// Bulk import from a ZIP with PDFs and a manifest.json/manifest.csv (see utils/libraryImport.js).
+// With dryRun=true every row is validated and reported but nothing is stored.
+router.post('/import', authMiddleware, requirePermission('pdf:import'), importUpload.single('archive'), async (req, res) => {
+  console.log('POST /api/pdf/import called', { userId: req.userId, file: req.file?.originalname, dryRun: req.query.dryRun || req.body?.dryRun });
+  if (!req.file) {
+    return res.status(400).json({ message: 'يرجى اختيار ملف ZIP للاستيراد' });
+  }
   try {
-    const pdfs = await PDF.find()
-      .select('title description creatorName subject semester country academicLevel fileName uploadedBy createdAt')
-      .populate('uploadedBy', 'email'); // Optionally populate user email
-
-    // Map the PDFs to match the frontend Pdf interface
-    const pdfList = pdfs.map(pdf => ({
-      id: pdf._id.toString(),
-      title: pdf.title,
-      description: pdf.description,
-      creatorName: pdf.creatorName,
-      subject: pdf.subject,
-      semester: pdf.semester,
-      country: pdf.country,
-      academicLevel: pdf.academicLevel,
-      fileName: pdf.fileName,
-      uploadedBy: pdf.uploadedBy ? pdf.uploadedBy.email : 'Unknown', 
-      createdAt: pdf.createdAt.toISOString(),
-    }));
+    const dryRun = req.query.dryRun === 'true' || req.body.dryRun === 'true';
+    const { report, error } = await runLibraryImport(req.file.path, {
+      dryRun,
+      userId: req.userId,
+      defaults: {
+        creatorName: req.body.creatorName,
+        visibility: req.body.visibility || 'volunteers'
+      }
+    });
+    if (error) {
+      return res.status(400).json({ message: error });
+    }
+
+    if (report.imported > 0) {
+      await recordAudit(req, {
+        action: 'pdf.bulk_import',
+        targetType: 'PDF',
+        after: {
+          archive: req.file.originalname,
+          imported: report.imported,
+          failed: report.failed,
+          pdfIds: report.rows.filter(row => row.pdfId).map(row => row.pdfId)
+        }
+      });
+    }
+
+    console.log('PDF import finished:', { dryRun, total: report.total, imported: report.imported, failed: report.failed });
+    res.status(dryRun || report.imported === 0 ? 200 : 201).json({
+      message: dryRun
+        ? `معاينة الاستيراد: ${report.valid} صالح و${report.failed} به أخطاء`
+        : `تم استيراد ${report.imported} ملف، وفشل ${report.failed}`,
+      report
+    });
+  } catch (error) {
+    console.error('PDF import error:', { message: error.message, stack: error.stack });
+    res.status(500).json({ message: 'خطأ في استيراد الملفات، لم يتم حفظ أي ملف', error: error.message });
+  } finally {
+    await fs.promises.unlink(req.file.path).catch(() => {});
+  }
+});
+
+// List PDFs the caller may see (paginated, filterable by subject, semester, country, academic level, title and uploader;
+// sort=-popularity puts the most viewed and downloaded first)
+router.get('/list', optionalAuthMiddleware, async (req, res) => {
+  try {
+    const list = parseListQuery(req.query, {
+      sortFields: ['createdAt', 'title', 'subject', 'semester', 'academicLevel', 'popularity', 'viewCount', 'downloadCount'],
+      filters: {
+        subject: { field: 'subject', type: 'exact' },
+        semester: { field: 'semester', type: 'exact' },
+        country: { field: 'country', type: 'exact' },
+        academicLevel: { field: 'academicLevel', type: 'exact' },
+        title: { field: 'title', type: 'contains' },
+        uploadedBy: { field: 'uploadedBy', type: 'objectId' }
+      }
+    });
+    if (list.error) {
+      return res.status(400).json({ message: list.error });
+    }
+
+    const viewer = await loadViewer(req);
+    const { items: pdfs, pagination } = await paginateQuery(PDF, list, visibilityFilter(viewer), query => query
+      .select(LIST_FIELDS)
+      .populate('uploadedBy', 'email')); // Optionally populate user email
 
     res.json({
       message: 'تم جلب قائمة ملفات PDF بنجاح',
-      pdfs: pdfList,
+      pdfs: pdfs.map(formatPdf),
+      pagination,
     });
   } catch (error) {
     console.error('خطأ في جلب قائمة ملفات PDF:', error);
@@ -112,20 +266,104 @@ router.get('/list', async (req, res) => {
   }
 });
 
+// Search the library by title, description, creator, subject and file text, ranked by relevance.
+// Arabic spelling variants are normalized on both the query and the indexed text.
+router.get('/search', optionalAuthMiddleware, async (req, res) => {
+  try {
+    const terms = normalizeArabic(typeof req.query.q === 'string' ? req.query.q : '');
+    if (!terms) {
+      return res.status(400).json({ message: 'نص البحث مطلوب' });
+    }
+
+    const list = parseListQuery(req.query, {
+      sortFields: ['relevance'],
+      defaultSort: 'relevance',
+      filters: {
+        country: { field: 'country', type: 'exact' },
+        academicLevel: { field: 'academicLevel', type: 'exact' },
+        semester: { field: 'semester', type: 'exact' },
+        subject: { field: 'subject', type: 'exact' }
+      }
+    });
+    if (list.error) {
+      return res.status(400).json({ message: list.error });
+    }
+    if (list.cursor) {
+      return res.status(400).json({ message: 'نتائج البحث تدعم الترقيم بالصفحات فقط' });
+    }
+
+    const viewer = await loadViewer(req);
+    const filter = { $text: { $search: terms }, $and: [visibilityFilter(viewer), list.filter] };
+    const [pdfs, total] = await Promise.all([
+      PDF.find(filter, { score: { $meta: 'textScore' } })
+        .select(LIST_FIELDS)
+        .populate('uploadedBy', 'email')
+        .sort({ score: { $meta: 'textScore' }, createdAt: -1 })
+        .skip((list.page - 1) * list.limit)
+        .limit(list.limit),
+      PDF.countDocuments(filter)
+    ]);
+
+    res.json({
+      message: 'تم البحث في المكتبة بنجاح',
+      query: terms,
+      pdfs: pdfs.map(pdf => ({ ...formatPdf(pdf), score: pdf.get('score') })),
+      pagination: {
+        total,
+        limit: list.limit,
+        page: list.page,
+        totalPages: Math.ceil(total / list.limit),
+        sort: 'relevance',
+        hasMore: list.page * list.limit < total,
+        nextCursor: null
+      }
+    });
+  } catch (error) {
+    console.error('خطأ في البحث في المكتبة:', error);
+    res.status(500).json({ message: 'خطأ في الخادم', error: error.message });
+  }
+});
+
+// Usage statistics from recorded views and downloads, most used first. All accept ?from, ?to, ?action,
+// ?subject, ?academicLevel, ?uploadedBy and ?limit; totals cover every matching event.
+const sendStats = (getStats) => async (req, res) => {
+  try {
+    const query = parseStatsQuery(req.query);
+    if (query.error) {
+      return res.status(400).json({ message: query.error });
+    }
+    res.json({ success: true, ...(await getStats(query)) });
+  } catch (error) {
+    console.error('خطأ في جلب إحصائيات الاستخدام:', error.message);
+    res.status(500).json({ message: 'خطأ في الخادم', error: error.message });
+  }
+};
+
+router.get('/stats/documents', authMiddleware, requirePermission('pdf:analytics'), sendStats(getDocumentStats));
+router.get('/stats/subjects', authMiddleware, requirePermission('pdf:analytics'), sendStats(getSubjectStats));
+router.get('/stats/uploaders', authMiddleware, requirePermission('pdf:analytics'), sendStats(getUploaderStats));
 
 // Delete PDF
-router.delete('/:id', authMiddleware, async (req, res) => {
+router.delete('/:id', authMiddleware, requirePermission('pdf:delete'), async (req, res) => {
   console.log('DELETE /api/pdf/:id called', { id: req.params.id, userId: req.userId });
   try {
     if (!mongoose.isValidObjectId(req.params.id)) {
       return res.status(400).json({ message: 'معرف الملف غير صالح' });
     }
-    const pdf = await PDF.findOne({ _id: req.params.id, uploadedBy: req.userId });
+    const pdf = await PDF.findOne(managedPdfFilter(req));
     if (!pdf) {
       console.log('PDF not found for ID:', req.params.id);
       return res.status(404).json({ message: 'الملف غير موجود' });
     }
     await PDF.deleteOne({ _id: req.params.id });
+    await removePdfFromStudyPaths(pdf._id);
+    const files = [pdf.file, pdf.thumbnail, ...getVersionHistory(pdf).map(entry => entry.file)].filter(Boolean);
+    const uniqueFiles = [...new Map(files.map(file => [`${file.driver}:${file.key}`, file])).values()];
+    for (const file of uniqueFiles) {
+      await removeFileIfUnreferenced(file).catch(error => {
+        console.error('Failed to remove PDF file from store:', { id: req.params.id, key: file.key, error: error.message });
+      });
+    }
     console.log('PDF deleted from database:', req.params.id);
     res.status(200).json({ message: 'تم حذف الملف بنجاح' });
   } catch (error) {
@@ -139,24 +377,41 @@ router.delete('/:id', authMiddleware, async (req, res) => {
   }
 });
 
-// View PDF
-router.get('/view/:id', authMiddleware, async (req, res) => {
-  console.log('GET /api/pdf/view/:id called', { id: req.params.id, userId: req.userId });
+// Streams a PDF the caller may see (Range and conditional GET supported); anonymous callers only get public documents.
+// With a :version parameter an older version is served instead of the current one.
+const sendPdf = (disposition) => async (req, res) => {
+  console.log(`GET /api/pdf/${disposition === 'inline' ? 'view' : 'download'}/:id called`, { id: req.params.id, userId: req.userId });
   try {
     if (!mongoose.isValidObjectId(req.params.id)) {
       return res.status(400).json({ message: 'معرف الملف غير صالح' });
     }
-    const pdf = await PDF.findOne({ _id: req.params.id, uploadedBy: req.userId });
-    if (!pdf) {
-      console.log('PDF not found for ID:', req.params.id);
+    const pdf = await PDF.findById(req.params.id);
+    const viewer = await loadViewer(req);
+    if (!pdf || !canViewPdf(pdf, viewer)) {
+      console.log('PDF not found or not visible for ID:', req.params.id);
+      // Without a session we can't tell whether signing in would help
+      if (pdf && !viewer) {
+        return res.status(401).json({ message: 'الوصول مرفوض، يرجى تسجيل الدخول' });
+      }
       return res.status(404).json({ message: 'الملف غير موجود' });
     }
 
-    res.set({
-      'Content-Type': pdf.mimeType,
-      'Content-Disposition': `inline; filename="${encodeURIComponent(pdf.fileName)}"`
+    const version = req.params.version === undefined ? getCurrentVersion(pdf) : findVersion(pdf, Number(req.params.version));
+    if (!version) {
+      return res.status(404).json({ message: 'النسخة غير موجودة' });
+    }
+
+    sendStoredFile(req, res, version.file, {
+      contentType: version.mimeType,
+      fileName: version.fileName,
+      disposition,
+      lastModified: version.createdAt,
+      // Shared caches may only keep documents anyone can see; everything is revalidated via ETag
+      cacheControl: pdf.visibility?.level === 'public' ? 'public, no-cache' : 'private, no-cache',
+      errorMessage: 'خطأ في عرض الملف',
+      // Revalidations answered with 304 are not new accesses
+      onServe: () => recordPdfAccess(req, pdf, { action: disposition === 'inline' ? 'view' : 'download', version: version.version })
     });
-    res.send(pdf.fileData);
   } catch (error) {
     console.error('View PDF error:', {
       message: error.message,
@@ -166,6 +421,276 @@ router.get('/view/:id', authMiddleware, async (req, res) => {
     });
     res.status(500).json({ message: 'خطأ في عرض الملف', error: error.message });
   }
+};
+
+// View PDF
+router.get('/view/:id', optionalAuthMiddleware, sendPdf('inline'));
+
+// Download PDF
+router.get('/download/:id', optionalAuthMiddleware, sendPdf('attachment'));
+
+// View or download an older version
+router.get('/:id/versions/:version/view', optionalAuthMiddleware, sendPdf('inline'));
+router.get('/:id/versions/:version/download', optionalAuthMiddleware, sendPdf('attachment'));
+
+// Version history, newest first
+router.get('/:id/versions', optionalAuthMiddleware, async (req, res) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.id)) {
+      return res.status(400).json({ message: 'معرف الملف غير صالح' });
+    }
+    const pdf = await PDF.findById(req.params.id).populate('versions.uploadedBy', 'email');
+    const viewer = await loadViewer(req);
+    if (!pdf || !canViewPdf(pdf, viewer)) {
+      return res.status(404).json({ message: 'الملف غير موجود' });
+    }
+
+    const currentVersion = pdf.currentVersion || 1;
+    res.json({
+      message: 'تم جلب نسخ الملف بنجاح',
+      currentVersion,
+      versions: [...getVersionHistory(pdf)].reverse().map(entry => formatVersion(entry, currentVersion))
+    });
+  } catch (error) {
+    console.error('Get PDF versions error:', error.message);
+    res.status(500).json({ message: 'خطأ في الخادم', error: error.message });
+  }
+});
+
+// Upload a new version of an existing PDF. A changelog note is required.
+router.post('/:id/versions', authMiddleware, requirePermission('pdf:edit'), upload.single('pdfFile'), async (req, res) => {
+  console.log('POST /api/pdf/:id/versions called', { id: req.params.id, userId: req.userId });
+  try {
+    if (!req.file) {
+      return res.status(400).json({ message: 'يرجى اختيار ملف PDF للرفع' });
+    }
+    const note = typeof req.body.note === 'string' ? req.body.note.trim() : '';
+    if (!mongoose.isValidObjectId(req.params.id) || !note) {
+      await removeFile(req.file.storedFile).catch(() => {});
+      return res.status(400).json({
+        message: !note ? 'يرجى كتابة ملاحظة توضح التغييرات في هذه النسخة' : 'معرف الملف غير صالح'
+      });
+    }
+
+    const pdf = await PDF.findOne(managedPdfFilter(req));
+    if (!pdf) {
+      await removeFile(req.file.storedFile).catch(() => {});
+      return res.status(404).json({ message: 'الملف غير موجود' });
+    }
+    if (await screenUpload(req, res, { target: 'pdf_version', targetId: pdf._id, fields: { note } })) return;
+
+    const previousVersion = pdf.currentVersion || 1;
+    const replaced = addPdfVersion(pdf, {
+      file: req.file.storedFile,
+      fileName: req.file.originalname,
+      mimeType: req.file.mimetype,
+      note,
+      uploadedBy: req.userId
+    });
+    try {
+      await pdf.save();
+    } catch (saveError) {
+      await removeFile(req.file.storedFile).catch(() => {});
+      throw saveError;
+    }
+    queueExtraction('PDF', pdf._id);
+    for (const file of replaced) {
+      await removeFileIfUnreferenced(file).catch(error => {
+        console.error('Failed to remove replaced file from store:', { id: pdf._id, key: file.key, error: error.message });
+      });
+    }
+
+    await recordAudit(req, {
+      action: 'pdf.version_upload',
+      targetType: 'PDF',
+      targetId: pdf._id,
+      before: { version: previousVersion },
+      after: { version: pdf.currentVersion, fileName: pdf.fileName, note }
+    });
+
+    res.status(201).json({
+      message: 'تم رفع النسخة الجديدة بنجاح',
+      version: formatVersion(getCurrentVersion(pdf), pdf.currentVersion)
+    });
+  } catch (error) {
+    console.error('Upload PDF version error:', { message: error.message, stack: error.stack });
+    res.status(500).json({ message: 'خطأ في الخادم', error: error.message });
+  }
+});
+
+// Make an older version current again. History is kept: the restore is added as a new version.
+router.post('/:id/versions/:version/restore', authMiddleware, requirePermission('pdf:edit'), async (req, res) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.id)) {
+      return res.status(400).json({ message: 'معرف الملف غير صالح' });
+    }
+    const pdf = await PDF.findOne(managedPdfFilter(req));
+    if (!pdf) {
+      return res.status(404).json({ message: 'الملف غير موجود' });
+    }
+
+    const source = findVersion(pdf, Number(req.params.version));
+    if (!source) {
+      return res.status(404).json({ message: 'النسخة غير موجودة' });
+    }
+    const previousVersion = pdf.currentVersion || 1;
+    if (source.version === previousVersion) {
+      return res.status(400).json({ message: 'هذه النسخة هي النسخة الحالية بالفعل' });
+    }
+
+    const note = typeof req.body.note === 'string' && req.body.note.trim()
+      ? req.body.note.trim()
+      : `استعادة النسخة ${source.version}`;
+    const replaced = addPdfVersion(pdf, {
+      file: source.file,
+      fileName: source.fileName,
+      mimeType: source.mimeType,
+      note,
+      restoredFrom: source.version,
+      uploadedBy: req.userId
+    });
+    await pdf.save();
+    queueExtraction('PDF', pdf._id);
+    for (const file of replaced) {
+      await removeFileIfUnreferenced(file).catch(error => {
+        console.error('Failed to remove replaced file from store:', { id: pdf._id, key: file.key, error: error.message });
+      });
+    }
+
+    await recordAudit(req, {
+      action: 'pdf.version_restore',
+      targetType: 'PDF',
+      targetId: pdf._id,
+      before: { version: previousVersion },
+      after: { version: pdf.currentVersion, restoredFrom: source.version, note }
+    });
+
+    res.json({
+      message: 'تمت استعادة النسخة بنجاح',
+      version: formatVersion(getCurrentVersion(pdf), pdf.currentVersion)
+    });
+  } catch (error) {
+    console.error('Restore PDF version error:', error.message);
+    res.status(500).json({ message: 'خطأ في الخادم', error: error.message });
+  }
+});
+
+// Edit title, description, creator and facets. Facets go through the vocabulary like uploads do.
+router.patch('/:id', authMiddleware, requirePermission('pdf:edit'), async (req, res) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.id)) {
+      return res.status(400).json({ message: 'معرف الملف غير صالح' });
+    }
+
+    const updates = {};
+    for (const field of ['title', 'description', 'creatorName']) {
+      if (req.body[field] === undefined) continue;
+      if (typeof req.body[field] !== 'string' || !req.body[field].trim()) {
+        return res.status(400).json({ message: `الحقل ${field} لا يمكن أن يكون فارغًا` });
+      }
+      updates[field] = req.body[field].trim();
+    }
+    for (const facet of FACETS) {
+      if (req.body[facet] === undefined) continue;
+      const { value, error } = await resolveFacetValue(facet, req.body[facet]);
+      if (error) {
+        return res.status(400).json({ message: error });
+      }
+      updates[facet] = value;
+    }
+    if (Object.keys(updates).length === 0) {
+      return res.status(400).json({ message: `يرجى إرسال حقل واحد على الأقل من: ${METADATA_FIELDS.join(', ')}` });
+    }
+
+    const pdf = await PDF.findOne(managedPdfFilter(req));
+    if (!pdf) {
+      return res.status(404).json({ message: 'الملف غير موجود' });
+    }
+
+    const before = snapshot(pdf, METADATA_FIELDS);
+    pdf.set(updates);
+    await pdf.save();
+
+    await recordAudit(req, {
+      action: 'pdf.update',
+      targetType: 'PDF',
+      targetId: pdf._id,
+      before,
+      after: snapshot(pdf, METADATA_FIELDS)
+    });
+
+    await pdf.populate('uploadedBy', 'email');
+    res.json({ message: 'تم تحديث بيانات الملف بنجاح', pdf: formatPdf(pdf) });
+  } catch (error) {
+    console.error('Update PDF error:', error.message);
+    res.status(500).json({ message: 'خطأ في الخادم', error: error.message });
+  }
+});
+
+// First-page preview generated by the extraction job
+router.get('/thumbnail/:id', optionalAuthMiddleware, async (req, res) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.id)) {
+      return res.status(400).json({ message: 'معرف الملف غير صالح' });
+    }
+    const pdf = await PDF.findById(req.params.id).select('uploadedBy visibility thumbnail extraction');
+    const viewer = await loadViewer(req);
+    if (!pdf || !canViewPdf(pdf, viewer)) {
+      return res.status(404).json({ message: 'الملف غير موجود' });
+    }
+    if (!pdf.thumbnail) {
+      return res.status(404).json({ message: 'الصورة المصغرة غير متوفرة بعد' });
+    }
+
+    sendStoredFile(req, res, pdf.thumbnail, {
+      contentType: 'image/png',
+      lastModified: pdf.extraction?.completedAt,
+      cacheControl: pdf.visibility?.level === 'public' ? 'public, max-age=86400' : 'private, max-age=86400',
+      errorMessage: 'خطأ في عرض الصورة المصغرة'
+    });
+  } catch (error) {
+    console.error('PDF thumbnail error:', error.message);
+    res.status(500).json({ message: 'خطأ في عرض الصورة المصغرة', error: error.message });
+  }
+});
+
+// Change who can see a PDF
+router.patch('/:id/visibility', authMiddleware, requirePermission('pdf:visibility'), async (req, res) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.id)) {
+      return res.status(400).json({ message: 'معرف الملف غير صالح' });
+    }
+    const { visibility, error } = await normalizeVisibility(req.body);
+    if (error) {
+      return res.status(400).json({ message: error });
+    }
+
+    const pdf = await PDF.findById(req.params.id);
+    if (!pdf) {
+      return res.status(404).json({ message: 'الملف غير موجود' });
+    }
+
+    const before = formatVisibility(pdf.visibility);
+    pdf.visibility = visibility;
+    await pdf.save();
+
+    await recordAudit(req, {
+      action: 'pdf.visibility',
+      targetType: 'PDF',
+      targetId: pdf._id,
+      before,
+      after: formatVisibility(pdf.visibility)
+    });
+
+    console.log('PDF visibility updated:', { id: pdf._id, level: pdf.visibility.level });
+    res.json({
+      message: 'تم تحديث ظهور الملف بنجاح',
+      visibility: formatVisibility(pdf.visibility)
+    });
+  } catch (error) {
+    console.error('Update PDF visibility error:', error.message);
+    res.status(500).json({ message: 'خطأ في الخادم', error: error.message });
+  }
 });
 
 export default router;
\ No newline at end of file
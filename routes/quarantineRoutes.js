@@ -0,0 +1,179 @@
+import express from 'express';
+import mongoose from 'mongoose';
+import QuarantinedUpload, { QUARANTINE_TARGETS } from '../models/QuarantinedUpload.js';
+import authMiddleware from '../middleware/auth.js';
+import requirePermission from '../middleware/permission.js';
+import { parseListQuery, paginateQuery } from '../utils/pagination.js';
+import { sendStoredFile, removeFile } from '../utils/fileStore.js';
+import { recordAudit, snapshot } from '../utils/auditLog.js';
+import { releaseQuarantinedUpload, formatQuarantinedUpload } from '../utils/quarantine.js';
+
+const router = express.Router();
+
+const RELEASE_MESSAGES = {
+  pdf: 'تمت إضافة الملف إلى المكتبة',
+  lecture_request: 'تم تحويل الملف إلى طلب بانتظار المراجعة',
+  pdf_version: 'تمت إضافة الملف كنسخة جديدة',
+  lecture_request_resubmission: 'تمت إضافة الملف كنسخة معدلة من الطلب، بانتظار المراجعة'
+};
+
+const AUDIT_FIELDS = ['target', 'targetId', 'fileName', 'findings', 'status', 'reviewNote', 'releasedId'];
+
+const reviewNote = (body) => (typeof body?.note === 'string' && body.note.trim() ? body.note.trim() : null);
+
+// Atomically moves a quarantined upload that is still waiting for a decision to `status`, so two
+// admins can't act on it at once. Returns the entry as it was before; sends the error response otherwise.
+const claimOpenEntry = async (req, res, status) => {
+  if (!mongoose.isValidObjectId(req.params.id)) {
+    res.status(400).json({ message: 'معرف الملف غير صالح' });
+    return null;
+  }
+  const entry = await QuarantinedUpload.findOneAndUpdate(
+    { _id: req.params.id, status: 'quarantined' },
+    { $set: { status } }
+  );
+  if (!entry) {
+    const exists = await QuarantinedUpload.exists({ _id: req.params.id });
+    res.status(exists ? 400 : 404).json({ message: exists ? 'تمت مراجعة هذا الملف مسبقًا' : 'الملف غير موجود' });
+    return null;
+  }
+  return entry;
+};
+
+// Review list of held uploads, newest first. ?status=released|deleted shows past decisions.
+router.get('/', authMiddleware, requirePermission('uploads:quarantine'), async (req, res) => {
+  try {
+    const list = parseListQuery({ status: 'quarantined', ...req.query }, {
+      sortFields: ['createdAt', 'fileName'],
+      filters: {
+        status: { field: 'status', type: 'exact', values: ['quarantined', 'released', 'deleted'] },
+        target: { field: 'target', type: 'exact', values: QUARANTINE_TARGETS },
+        finding: { field: 'findings.code', type: 'exact' },
+        uploadedBy: { field: 'uploadedBy', type: 'objectId' }
+      }
+    });
+    if (list.error) {
+      return res.status(400).json({ message: list.error });
+    }
+
+    const { items, pagination } = await paginateQuery(QuarantinedUpload, list, {}, query => query
+      .populate('uploadedBy', 'email')
+      .populate('reviewedBy', 'email'));
+
+    res.json({ success: true, uploads: items.map(formatQuarantinedUpload), pagination });
+  } catch (error) {
+    console.error('خطأ في جلب الملفات المحجوزة:', error.message);
+    res.status(500).json({ message: 'خطأ في الخادم', error: error.message });
+  }
+});
+
+// The held file itself, always as an opaque download so a browser never renders it
+router.get('/:id/download', authMiddleware, requirePermission('uploads:quarantine'), async (req, res) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.id)) {
+      return res.status(400).json({ message: 'معرف الملف غير صالح' });
+    }
+    const entry = await QuarantinedUpload.findById(req.params.id);
+    if (!entry || entry.status === 'deleted') {
+      return res.status(404).json({ message: 'الملف غير موجود' });
+    }
+
+    res.setHeader('X-Content-Type-Options', 'nosniff');
+    await sendStoredFile(req, res, entry.file, {
+      contentType: 'application/octet-stream',
+      fileName: entry.fileName,
+      disposition: 'attachment',
+      lastModified: entry.createdAt,
+      cacheControl: 'private, no-store',
+      errorMessage: 'الملف غير موجود في التخزين'
+    });
+  } catch (error) {
+    console.error('خطأ في تنزيل الملف المحجوز:', error.message);
+    if (!res.headersSent) {
+      res.status(500).json({ message: 'خطأ في الخادم', error: error.message });
+    }
+  }
+});
+
+// Accept the file despite the findings: it is applied as the upload it was meant to be
+router.post('/:id/release', authMiddleware, requirePermission('uploads:quarantine'), async (req, res) => {
+  try {
+    const entry = await claimOpenEntry(req, res, 'releasing');
+    if (!entry) return;
+
+    const before = snapshot(entry, AUDIT_FIELDS);
+    let released;
+    try {
+      released = await releaseQuarantinedUpload(entry);
+    } catch (releaseError) {
+      await QuarantinedUpload.updateOne({ _id: entry._id, status: 'releasing' }, { $set: { status: 'quarantined' } });
+      throw releaseError;
+    }
+    const { doc, status, error } = released;
+    if (error) {
+      await QuarantinedUpload.updateOne({ _id: entry._id, status: 'releasing' }, { $set: { status: 'quarantined' } });
+      return res.status(status).json({ message: error });
+    }
+
+    entry.set({
+      status: 'released',
+      reviewedBy: req.userId,
+      reviewedAt: new Date(),
+      reviewNote: reviewNote(req.body),
+      releasedId: doc._id
+    });
+    await entry.save();
+
+    await recordAudit(req, {
+      action: 'upload.quarantine_release',
+      targetType: 'QuarantinedUpload',
+      targetId: entry._id,
+      before,
+      after: snapshot(entry, AUDIT_FIELDS)
+    });
+
+    console.log('تم الإفراج عن ملف محجوز:', { id: entry._id, target: entry.target, releasedId: doc._id });
+    res.json({
+      message: RELEASE_MESSAGES[entry.target],
+      upload: formatQuarantinedUpload(entry)
+    });
+  } catch (error) {
+    console.error('خطأ في الإفراج عن الملف المحجوز:', error.message);
+    res.status(500).json({ message: 'خطأ في الخادم', error: error.message });
+  }
+});
+
+// Discard the file. The record stays for the audit trail.
+router.delete('/:id', authMiddleware, requirePermission('uploads:quarantine'), async (req, res) => {
+  try {
+    const entry = await claimOpenEntry(req, res, 'deleted');
+    if (!entry) return;
+
+    const before = snapshot(entry, AUDIT_FIELDS);
+    entry.set({
+      status: 'deleted',
+      reviewedBy: req.userId,
+      reviewedAt: new Date(),
+      reviewNote: reviewNote(req.body)
+    });
+    await entry.save();
+    await removeFile(entry.file).catch(error => {
+      console.error('Failed to remove quarantined file from store:', { id: entry._id, key: entry.file.key, error: error.message });
+    });
+
+    await recordAudit(req, {
+      action: 'upload.quarantine_delete',
+      targetType: 'QuarantinedUpload',
+      targetId: entry._id,
+      before,
+      after: snapshot(entry, AUDIT_FIELDS)
+    });
+
+    res.json({ message: 'تم حذف الملف المحجوز', upload: formatQuarantinedUpload(entry) });
+  } catch (error) {
+    console.error('خطأ في حذف الملف المحجوز:', error.message);
+    res.status(500).json({ message: 'خطأ في الخادم', error: error.message });
+  }
+});
+
+export default router;
@@ -0,0 +1,210 @@
+import express from 'express';
+import mongoose from 'mongoose';
+import Student from '../models/Student.js';
+import User from '../models/User.js';
+import JoinRequest from '../models/JoinRequest.js';
+import sendEmail from '../utils/email.js';
+import authMiddleware from '../middleware/auth.js';
+import requirePermission from '../middleware/permission.js';
+import { isStudentInScope } from '../utils/permissions.js';
+import { formatStudent, assignStudent } from '../utils/studentUtils.js';
+import { recordAudit } from '../utils/auditLog.js';
+
+const router = express.Router();
+
+// Transfer students (with their subject targets) from one volunteer to another.
+// Lectures already delivered stay attributed to the original volunteer.
+router.post('/transfer', authMiddleware, requirePermission('students:transfer'), async (req, res) => {
+  const session = await mongoose.startSession();
+  session.startTransaction();
+  try {
+    const { fromMemberId, toMemberId, studentIds, reason } = req.body;
+    if (!fromMemberId || !toMemberId || !Array.isArray(studentIds) || studentIds.length === 0) {
+      await session.abortTransaction();
+      session.endSession();
+      return res.status(400).json({ message: 'العضو الحالي، العضو الجديد، وقائمة الطلاب مطلوبة' });
+    }
+    if (![fromMemberId, toMemberId, ...studentIds].every(id => mongoose.isValidObjectId(id))) {
+      await session.abortTransaction();
+      session.endSession();
+      return res.status(400).json({ message: 'أحد المعرفات غير صالح' });
+    }
+    if (fromMemberId === toMemberId) {
+      await session.abortTransaction();
+      session.endSession();
+      return res.status(400).json({ message: 'لا يمكن نقل الطلاب إلى نفس العضو' });
+    }
+
+    const [fromMember, toMember] = await Promise.all([
+      JoinRequest.findById(fromMemberId).session(session),
+      JoinRequest.findById(toMemberId).session(session)
+    ]);
+    if (!fromMember || !toMember) {
+      await session.abortTransaction();
+      session.endSession();
+      return res.status(404).json({ message: 'العضو غير موجود' });
+    }
+    if (toMember.status !== 'Approved') {
+      await session.abortTransaction();
+      session.endSession();
+      return res.status(400).json({ message: 'يجب أن يكون العضو الجديد قد تمت الموافقة عليه' });
+    }
+
+    const [fromUser, toUser] = await Promise.all([
+      User.findOne({ email: fromMember.email.toLowerCase().trim() }).session(session),
+      User.findOne({ email: toMember.email.toLowerCase().trim() }).session(session)
+    ]);
+    if (!fromUser || !toUser) {
+      await session.abortTransaction();
+      session.endSession();
+      return res.status(404).json({ message: 'حساب المستخدم غير موجود' });
+    }
+
+    const ids = [...new Set(studentIds.map(String))];
+    const students = await Student.find({ _id: { $in: ids }, volunteer: fromUser._id }).session(session);
+    if (students.length !== ids.length) {
+      await session.abortTransaction();
+      session.endSession();
+      return res.status(404).json({ message: 'بعض الطلاب غير موجودين لدى العضو الحالي' });
+    }
+
+    const duplicates = await Student.find({
+      volunteer: toUser._id,
+      email: { $in: students.map(student => student.email) }
+    }).session(session);
+    if (duplicates.length > 0) {
+      await session.abortTransaction();
+      session.endSession();
+      return res.status(400).json({
+        message: 'بعض الطلاب مسجلون بالفعل لدى العضو الجديد',
+        students: duplicates.map(student => student.email)
+      });
+    }
+
+    for (const student of students) {
+      assignStudent(student, toUser._id, reason || 'transfer');
+      await student.save({ session });
+    }
+
+    // Carry the subjects over so the new volunteer can log lectures for them
+    const transferredSubjects = students.flatMap(student => student.enrollments.filter(e => e.active).map(e => e.subject));
+    toUser.subjects = [...new Set([...(toUser.subjects || []), ...transferredSubjects])];
+    toMember.subjects = [...new Set([...(toMember.subjects || []), ...transferredSubjects])];
+    toUser.numberOfStudents = (toUser.numberOfStudents || 0) + students.length;
+    fromUser.numberOfStudents = Math.max(0, (fromUser.numberOfStudents || 0) - students.length);
+
+    await Promise.all([
+      fromUser.save({ session }),
+      toUser.save({ session }),
+      toMember.save({ session })
+    ]);
+
+    await session.commitTransaction();
+    session.endSession();
+
+    // One entry per student so each can be found by its own ID
+    for (const student of students) {
+      await recordAudit(req, {
+        action: 'students.transfer',
+        targetType: 'Student',
+        targetId: student._id,
+        before: { volunteer: fromUser._id },
+        after: { volunteer: toUser._id, reason: reason || null }
+      });
+    }
+
+    console.log('تم نقل الطلاب:', {
+      from: fromUser.email,
+      to: toUser.email,
+      students: students.map(student => student._id.toString()),
+      adminId: req.userId
+    });
+
+    const studentList = students.map(student => `- ${student.name} (${student.enrollments.filter(e => e.active).map(e => `${e.subject}: ${e.minLectures}`).join('، ')})`).join('\n');
+    const emails = [
+      sendEmail({
+        to: fromUser.email,
+        subject: 'تم نقل طلاب من قائمتك',
+        text: `مرحبًا ${fromMember.name},\n\nتم نقل الطلاب التاليين إلى المتطوع ${toMember.name}:\n${studentList}\n\nستبقى المحاضرات التي قدمتها مسجلة باسمك.\n\nتحياتنا,\nفريق الإدارة`
+      }),
+      sendEmail({
+        to: toUser.email,
+        subject: 'تم إضافة طلاب جدد إلى قائمتك',
+        text: `مرحبًا ${toMember.name},\n\nتم نقل الطلاب التاليين إليك من المتطوع ${fromMember.name}:\n${studentList}\n\nيرجى التواصل معهم لمتابعة المحاضرات.\n\nتحياتنا,\nفريق الإدارة`
+      }),
+      ...students.map(student => sendEmail({
+        to: student.email,
+        subject: 'تغيير المتطوع المسؤول عنك',
+        text: `مرحبًا ${student.name},\n\nنود إعلامك بأن المتطوع ${toMember.name} (${toUser.email}) أصبح مسؤولًا عن محاضراتك بدلًا من ${fromMember.name}.\n\nتحياتنا,\nفريق قطرة غيث`
+      }))
+    ];
+    const results = await Promise.allSettled(emails);
+    const failedEmails = results.filter(result => result.status === 'rejected').length;
+    if (failedEmails > 0) {
+      console.error('فشل إرسال بعض رسائل النقل:', failedEmails);
+    }
+
+    res.json({
+      message: 'تم نقل الطلاب بنجاح',
+      students: students.map(formatStudent),
+      from: { id: fromMember._id, numberOfStudents: fromUser.numberOfStudents },
+      to: { id: toMember._id, numberOfStudents: toUser.numberOfStudents },
+      failedEmails
+    });
+  } catch (error) {
+    console.error('خطأ في نقل الطلاب:', error.message);
+    await session.abortTransaction();
+    session.endSession();
+    res.status(500).json({ message: 'خطأ في الخادم', error: error.message });
+  }
+});
+
+// Get a student with their enrollments and volunteer assignment history
+router.get('/:id', authMiddleware, requirePermission('students:read'), async (req, res) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.id)) {
+      return res.status(400).json({ message: 'معرف الطالب غير صالح' });
+    }
+
+    const student = await Student.findById(req.params.id)
+      .populate('volunteer', 'email name')
+      .populate('assignments.volunteer', 'email name')
+      .populate('studyPaths.studyPath', 'title status');
+    if (!student) {
+      return res.status(404).json({ message: 'الطالب غير موجود' });
+    }
+    if (!(await isStudentInScope(req.permissionScope, { volunteer: student.volunteer?._id }, req.userId))) {
+      return res.status(403).json({ message: 'غير مصرح لك بعرض بيانات هذا الطالب' });
+    }
+
+    res.json({
+      success: true,
+      student: {
+        ...formatStudent(student),
+        volunteer: student.volunteer ? { id: student.volunteer._id, email: student.volunteer.email, name: student.volunteer.name || null } : null,
+        enrollments: student.enrollments,
+        assignments: student.assignments.map(assignment => ({
+          volunteer: assignment.volunteer ? { id: assignment.volunteer._id, email: assignment.volunteer.email } : null,
+          assignedAt: assignment.assignedAt,
+          unassignedAt: assignment.unassignedAt,
+          reason: assignment.reason
+        })),
+        studyPaths: student.studyPaths
+          .filter(entry => !entry.removedAt && entry.studyPath)
+          .map(entry => ({
+            id: entry.studyPath._id,
+            title: entry.studyPath.title,
+            status: entry.studyPath.status,
+            assignedAt: entry.assignedAt,
+            note: entry.note
+          })),
+        createdAt: student.createdAt
+      }
+    });
+  } catch (error) {
+    console.error('خطأ في جلب بيانات الطالب:', error.message);
+    res.status(500).json({ message: 'خطأ في الخادم', error: error.message });
+  }
+});
+
+export default router;
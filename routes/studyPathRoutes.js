@@ -0,0 +1,365 @@
+import express from 'express';
+import mongoose from 'mongoose';
+import StudyPath from '../models/StudyPath.js';
+import Student from '../models/Student.js';
+import authMiddleware from '../middleware/auth.js';
+import requirePermission from '../middleware/permission.js';
+import { isStudentInScope } from '../utils/permissions.js';
+import { parseListQuery, paginateQuery } from '../utils/pagination.js';
+import { recordAudit, snapshot } from '../utils/auditLog.js';
+import { loadViewer } from '../utils/pdfVisibility.js';
+import {
+  normalizeStudyPathInput,
+  canManageStudyPath,
+  studyPathAccessFilter,
+  checkPublishable,
+  formatStudyPathSummary,
+  formatStudyPath
+} from '../utils/studyPaths.js';
+
+const router = express.Router();
+
+const AUDIT_FIELDS = ['title', 'description', 'subject', 'academicLevel', 'semester', 'country', 'items', 'status'];
+
+// Loads a path the caller manages; sends the error response and returns null otherwise
+const findManagedPath = async (req, res) => {
+  if (!mongoose.isValidObjectId(req.params.id)) {
+    res.status(400).json({ message: 'معرف المسار غير صالح' });
+    return null;
+  }
+  const path = await StudyPath.findById(req.params.id);
+  if (!path) {
+    res.status(404).json({ message: 'المسار غير موجود' });
+    return null;
+  }
+  if (!canManageStudyPath(path, req)) {
+    res.status(403).json({ message: 'غير مصرح لك بتعديل هذا المسار' });
+    return null;
+  }
+  return path;
+};
+
+// Active assignment filter for students following the path
+const activeAssignment = (pathId) => ({ studyPath: pathId, removedAt: null });
+
+// Study paths the caller can open (published ones, plus drafts they manage), filterable by facet and status
+router.get('/', authMiddleware, requirePermission('study_paths:read'), async (req, res) => {
+  try {
+    const list = parseListQuery(req.query, {
+      sortFields: ['createdAt', 'updatedAt', 'publishedAt', 'title'],
+      filters: {
+        subject: { field: 'subject', type: 'exact' },
+        academicLevel: { field: 'academicLevel', type: 'exact' },
+        semester: { field: 'semester', type: 'exact' },
+        country: { field: 'country', type: 'exact' },
+        status: { field: 'status', type: 'exact', values: ['draft', 'published'] },
+        createdBy: { field: 'createdBy', type: 'objectId' },
+        title: { field: 'title', type: 'contains' }
+      }
+    });
+    if (list.error) {
+      return res.status(400).json({ message: list.error });
+    }
+
+    const { items, pagination } = await paginateQuery(StudyPath, list, studyPathAccessFilter(req), query => query
+      .populate('createdBy', 'email'));
+
+    res.json({ success: true, studyPaths: items.map(formatStudyPathSummary), pagination });
+  } catch (error) {
+    console.error('خطأ في جلب المسارات الدراسية:', error.message);
+    res.status(500).json({ message: 'خطأ في الخادم', error: error.message });
+  }
+});
+
+// One path with its ordered steps
+router.get('/:id', authMiddleware, requirePermission('study_paths:read'), async (req, res) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.id)) {
+      return res.status(400).json({ message: 'معرف المسار غير صالح' });
+    }
+    const path = await StudyPath.findOne({ $and: [{ _id: req.params.id }, studyPathAccessFilter(req)] })
+      .populate('createdBy', 'email');
+    if (!path) {
+      return res.status(404).json({ message: 'المسار غير موجود' });
+    }
+
+    const viewer = await loadViewer(req);
+    res.json({ success: true, studyPath: await formatStudyPath(path, viewer) });
+  } catch (error) {
+    console.error('خطأ في جلب المسار الدراسي:', error.message);
+    res.status(500).json({ message: 'خطأ في الخادم', error: error.message });
+  }
+});
+
+// Create a draft path. items: [{ pdf, note?, prerequisites?: [pdfId of an earlier step] }] in study order.
+router.post('/', authMiddleware, requirePermission('study_paths:manage'), async (req, res) => {
+  try {
+    const { fields, error } = await normalizeStudyPathInput(req.body);
+    if (error) {
+      return res.status(400).json({ message: error });
+    }
+
+    const path = await StudyPath.create({ ...fields, createdBy: req.userId });
+
+    await recordAudit(req, {
+      action: 'study_path.create',
+      targetType: 'StudyPath',
+      targetId: path._id,
+      after: snapshot(path, AUDIT_FIELDS)
+    });
+
+    console.log('تم إنشاء مسار دراسي:', { id: path._id, title: path.title, userId: req.userId });
+    res.status(201).json({ message: 'تم إنشاء المسار بنجاح', studyPath: formatStudyPathSummary(path) });
+  } catch (error) {
+    console.error('خطأ في إنشاء المسار الدراسي:', error.message);
+    res.status(500).json({ message: 'خطأ في الخادم', error: error.message });
+  }
+});
+
+// Edit details or replace the steps. A published path must stay publishable.
+router.patch('/:id', authMiddleware, requirePermission('study_paths:manage'), async (req, res) => {
+  try {
+    const path = await findManagedPath(req, res);
+    if (!path) return;
+
+    const { fields, error } = await normalizeStudyPathInput(req.body, { partial: true });
+    if (error) {
+      return res.status(400).json({ message: error });
+    }
+
+    const before = snapshot(path, AUDIT_FIELDS);
+    path.set({ ...fields, updatedBy: req.userId });
+    if (path.status === 'published') {
+      const reason = await checkPublishable(path);
+      if (reason) {
+        return res.status(400).json({ message: reason });
+      }
+    }
+    await path.save();
+
+    await recordAudit(req, {
+      action: 'study_path.update',
+      targetType: 'StudyPath',
+      targetId: path._id,
+      before,
+      after: snapshot(path, AUDIT_FIELDS)
+    });
+
+    res.json({ message: 'تم تحديث المسار بنجاح', studyPath: formatStudyPathSummary(path) });
+  } catch (error) {
+    console.error('خطأ في تحديث المسار الدراسي:', error.message);
+    res.status(500).json({ message: 'خطأ في الخادم', error: error.message });
+  }
+});
+
+// Publish a draft so every volunteer can see and assign it
+router.post('/:id/publish', authMiddleware, requirePermission('study_paths:manage'), async (req, res) => {
+  try {
+    const path = await findManagedPath(req, res);
+    if (!path) return;
+    if (path.status === 'published') {
+      return res.status(400).json({ message: 'المسار منشور بالفعل' });
+    }
+
+    const reason = await checkPublishable(path);
+    if (reason) {
+      return res.status(400).json({ message: reason });
+    }
+
+    path.set({ status: 'published', publishedAt: new Date(), updatedBy: req.userId });
+    await path.save();
+
+    await recordAudit(req, {
+      action: 'study_path.publish',
+      targetType: 'StudyPath',
+      targetId: path._id,
+      before: { status: 'draft' },
+      after: { status: 'published' }
+    });
+
+    res.json({ message: 'تم نشر المسار بنجاح', studyPath: formatStudyPathSummary(path) });
+  } catch (error) {
+    console.error('خطأ في نشر المسار الدراسي:', error.message);
+    res.status(500).json({ message: 'خطأ في الخادم', error: error.message });
+  }
+});
+
+// Back to draft. Existing assignments are kept; no new ones can be made until it is published again.
+router.post('/:id/unpublish', authMiddleware, requirePermission('study_paths:manage'), async (req, res) => {
+  try {
+    const path = await findManagedPath(req, res);
+    if (!path) return;
+    if (path.status !== 'published') {
+      return res.status(400).json({ message: 'المسار غير منشور' });
+    }
+
+    path.set({ status: 'draft', updatedBy: req.userId });
+    await path.save();
+
+    await recordAudit(req, {
+      action: 'study_path.unpublish',
+      targetType: 'StudyPath',
+      targetId: path._id,
+      before: { status: 'published' },
+      after: { status: 'draft' }
+    });
+
+    res.json({ message: 'تم إلغاء نشر المسار', studyPath: formatStudyPathSummary(path) });
+  } catch (error) {
+    console.error('خطأ في إلغاء نشر المسار الدراسي:', error.message);
+    res.status(500).json({ message: 'خطأ في الخادم', error: error.message });
+  }
+});
+
+// Delete a path. Students following it keep the assignment in their history as removed.
+router.delete('/:id', authMiddleware, requirePermission('study_paths:manage'), async (req, res) => {
+  try {
+    const path = await findManagedPath(req, res);
+    if (!path) return;
+
+    await StudyPath.deleteOne({ _id: path._id });
+    await Student.updateMany(
+      { studyPaths: { $elemMatch: activeAssignment(path._id) } },
+      { $set: { 'studyPaths.$[assignment].removedAt': new Date() } },
+      { arrayFilters: [{ 'assignment.studyPath': path._id, 'assignment.removedAt': null }] }
+    );
+
+    await recordAudit(req, {
+      action: 'study_path.delete',
+      targetType: 'StudyPath',
+      targetId: path._id,
+      before: snapshot(path, AUDIT_FIELDS)
+    });
+
+    res.json({ message: 'تم حذف المسار بنجاح' });
+  } catch (error) {
+    console.error('خطأ في حذف المسار الدراسي:', error.message);
+    res.status(500).json({ message: 'خطأ في الخادم', error: error.message });
+  }
+});
+
+// Students in the caller's scope who follow the path
+router.get('/:id/assignments', authMiddleware, requirePermission('study_paths:assign'), async (req, res) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.id)) {
+      return res.status(400).json({ message: 'معرف المسار غير صالح' });
+    }
+
+    const students = await Student.find({ studyPaths: { $elemMatch: activeAssignment(req.params.id) } })
+      .select('name email grade volunteer studyPaths')
+      .populate('studyPaths.assignedBy', 'email');
+    const visible = [];
+    for (const student of students) {
+      if (await isStudentInScope(req.permissionScope, student, req.userId)) {
+        const assignment = student.studyPaths.find(entry => entry.studyPath.toString() === req.params.id && !entry.removedAt);
+        visible.push({
+          id: student._id.toString(),
+          name: student.name,
+          email: student.email,
+          grade: student.grade,
+          assignedBy: assignment.assignedBy?.email || null,
+          assignedAt: assignment.assignedAt,
+          note: assignment.note
+        });
+      }
+    }
+
+    res.json({ success: true, students: visible });
+  } catch (error) {
+    console.error('خطأ في جلب الطلاب المسند إليهم المسار:', error.message);
+    res.status(500).json({ message: 'خطأ في الخادم', error: error.message });
+  }
+});
+
+// Assign a published path to some of the caller's students: { studentIds: [...], note? }
+router.post('/:id/assignments', authMiddleware, requirePermission('study_paths:assign'), async (req, res) => {
+  try {
+    const { studentIds } = req.body;
+    const note = typeof req.body.note === 'string' && req.body.note.trim() ? req.body.note.trim() : null;
+    if (!mongoose.isValidObjectId(req.params.id)) {
+      return res.status(400).json({ message: 'معرف المسار غير صالح' });
+    }
+    if (!Array.isArray(studentIds) || studentIds.length === 0 || !studentIds.every(id => mongoose.isValidObjectId(id))) {
+      return res.status(400).json({ message: 'قائمة الطلاب مطلوبة ويجب أن تحتوي على معرفات صالحة' });
+    }
+
+    const path = await StudyPath.findOne({ _id: req.params.id, status: 'published' });
+    if (!path) {
+      return res.status(404).json({ message: 'المسار غير موجود أو غير منشور' });
+    }
+
+    const ids = [...new Set(studentIds.map(String))];
+    const students = await Student.find({ _id: { $in: ids } }).select('volunteer');
+    if (students.length !== ids.length) {
+      return res.status(404).json({ message: 'بعض الطلاب غير موجودين' });
+    }
+    for (const student of students) {
+      if (!(await isStudentInScope(req.permissionScope, student, req.userId))) {
+        return res.status(403).json({ message: 'غير مصرح لك بإسناد مسارات لبعض هؤلاء الطلاب' });
+      }
+    }
+
+    // Students already following the path are left as they are
+    const assigned = [];
+    const alreadyAssigned = [];
+    for (const student of students) {
+      const result = await Student.updateOne(
+        { _id: student._id, studyPaths: { $not: { $elemMatch: activeAssignment(path._id) } } },
+        { $push: { studyPaths: { studyPath: path._id, assignedBy: req.userId, assignedAt: new Date(), note } } }
+      );
+      (result.modifiedCount > 0 ? assigned : alreadyAssigned).push(student._id.toString());
+    }
+
+    if (assigned.length > 0) {
+      await recordAudit(req, {
+        action: 'study_path.assign',
+        targetType: 'StudyPath',
+        targetId: path._id,
+        after: { students: assigned, note }
+      });
+    }
+
+    res.json({ message: 'تم إسناد المسار للطلاب بنجاح', assigned, alreadyAssigned });
+  } catch (error) {
+    console.error('خطأ في إسناد المسار الدراسي:', error.message);
+    res.status(500).json({ message: 'خطأ في الخادم', error: error.message });
+  }
+});
+
+// Stop a student following the path
+router.delete('/:id/assignments/:studentId', authMiddleware, requirePermission('study_paths:assign'), async (req, res) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.id) || !mongoose.isValidObjectId(req.params.studentId)) {
+      return res.status(400).json({ message: 'المعرف غير صالح' });
+    }
+
+    const student = await Student.findById(req.params.studentId).select('volunteer studyPaths');
+    if (!student) {
+      return res.status(404).json({ message: 'الطالب غير موجود' });
+    }
+    if (!(await isStudentInScope(req.permissionScope, student, req.userId))) {
+      return res.status(403).json({ message: 'غير مصرح لك بتعديل مسارات هذا الطالب' });
+    }
+    const assignment = student.studyPaths.find(entry => entry.studyPath.toString() === req.params.id && !entry.removedAt);
+    if (!assignment) {
+      return res.status(404).json({ message: 'المسار غير مسند لهذا الطالب' });
+    }
+
+    assignment.removedAt = new Date();
+    await student.save();
+
+    await recordAudit(req, {
+      action: 'study_path.unassign',
+      targetType: 'StudyPath',
+      targetId: req.params.id,
+      before: { student: student._id.toString() }
+    });
+
+    res.json({ message: 'تم إلغاء إسناد المسار للطالب' });
+  } catch (error) {
+    console.error('خطأ في إلغاء إسناد المسار الدراسي:', error.message);
+    res.status(500).json({ message: 'خطأ في الخادم', error: error.message });
+  }
+});
+
+export default router;
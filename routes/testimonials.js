@@ -1,11 +1,13 @@
 import express from 'express';
 import authMiddleware from '../middleware/auth.js';
+import requirePermission from '../middleware/permission.js';
 import mongoose from 'mongoose';
 import multer from 'multer';
 import path from 'path';
 import fs from 'fs/promises';
 import Testimonial from '../models/testimonials.js';
 import cloudinary from 'cloudinary';
+import { parseListQuery, paginateQuery } from '../utils/pagination.js';
 
 const router = express.Router();
 
@@ -26,7 +28,7 @@ const fileFilter = (req, file, cb) => {
 const upload = multer({ storage, fileFilter });
 
 // Create Testimonial
-router.post('/create', authMiddleware, upload.single('image'), async (req, res) => {
+router.post('/create', authMiddleware, requirePermission('testimonials:create'), upload.single('image'), async (req, res) => {
   try {
     if (!req.file) {
       return res.status(400).json({ message: 'يرجى اختيار صورة للرفع' });
@@ -74,10 +76,21 @@ router.post('/create', authMiddleware, upload.single('image'), async (req, res)
   }
 });
 
-// Get All Testimonials (Public Access)
+// Get Testimonials (Public Access, paginated, filterable by rating and major)
 router.get('/list', async (req, res) => {
   try {
-    const testimonials = await Testimonial.find(); // Fetch all testimonials, no user filter
+    const list = parseListQuery(req.query, {
+      sortFields: ['createdAt', 'rating', 'name'],
+      filters: {
+        rating: { field: 'rating', type: 'number' },
+        major: { field: 'major', type: 'contains' }
+      }
+    });
+    if (list.error) {
+      return res.status(400).json({ message: list.error });
+    }
+
+    const { items: testimonials, pagination } = await paginateQuery(Testimonial, list); // No user filter
     res.status(200).json({
       message: 'تم جلب الشهادات بنجاح',
       testimonials: testimonials.map(testimonial => ({
@@ -89,7 +102,8 @@ router.get('/list', async (req, res) => {
         reviewText: testimonial.reviewText,
         uploadedBy: testimonial.uploadedBy,
         createdAt: testimonial.createdAt
-      }))
+      })),
+      pagination
     });
   } catch (error) {
     console.error('List Testimonials error:', error);
@@ -98,7 +112,7 @@ router.get('/list', async (req, res) => {
 });
 
 // Update Testimonial
-router.put('/edit/:id', authMiddleware, upload.single('image'), async (req, res) => {
+router.put('/edit/:id', authMiddleware, requirePermission('testimonials:manage'), upload.single('image'), async (req, res) => {
   try {
     if (!mongoose.isValidObjectId(req.params.id)) {
       return res.status(400).json({ message: 'معرف الشهادة غير صالح' });
@@ -111,7 +125,8 @@ router.put('/edit/:id', authMiddleware, upload.single('image'), async (req, res)
       return res.status(400).json({ message: 'التقييم يجب أن يكون بين 1 و5 نجوم' });
     }
 
-    const testimonial = await Testimonial.findOne({ _id: req.params.id, uploadedBy: req.userId });
+    const filter = req.permissionScope === 'all' ? { _id: req.params.id } : { _id: req.params.id, uploadedBy: req.userId };
+    const testimonial = await Testimonial.findOne(filter);
     if (!testimonial) {
       return res.status(404).json({ message: 'الشهادة غير موجودة' });
     }
@@ -156,12 +171,13 @@ router.put('/edit/:id', authMiddleware, upload.single('image'), async (req, res)
 });
 
 // Delete Testimonial
-router.delete('/delete/:id', authMiddleware, async (req, res) => {
+router.delete('/delete/:id', authMiddleware, requirePermission('testimonials:manage'), async (req, res) => {
   try {
     if (!mongoose.isValidObjectId(req.params.id)) {
       return res.status(400).json({ message: 'معرف الشهادة غير صالح' });
     }
-    const testimonial = await Testimonial.findOne({ _id: req.params.id, uploadedBy: req.userId });
+    const filter = req.permissionScope === 'all' ? { _id: req.params.id } : { _id: req.params.id, uploadedBy: req.userId };
+    const testimonial = await Testimonial.findOne(filter);
     if (!testimonial) {
       return res.status(404).json({ message: 'الشهادة غير موجودة' });
     }
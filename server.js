@@ -10,6 +10,8 @@ import cloudinary from 'cloudinary';
 import cron from 'node-cron';
 import User from './models/User.js';
 import sendEmail from './utils/email.js';
+import { purgeArchivedMembers } from './utils/archiveUtils.js';
+import { resumePendingExtractions } from './utils/pdfExtraction.js';
 
 import leaderboardRoutes from './routes/leaderboard.js';
 import apiRoutes from './routes/api.js';
@@ -19,6 +21,15 @@ import lectureRoutes from './routes/lectureRoutes.js';
 import galleryRoutes from './routes/gallery.js';
 import lectureRequestRoutes from './routes/lectureRequestRoutes.js';
 import forgetPasswordRoutes from './routes/forgotPassword.js'; 
+import leaderRoutes from './routes/leaderRoutes.js';
+import studentRoutes from './routes/studentRoutes.js';
+import auditRoutes from './routes/auditRoutes.js';
+import hoursRoutes from './routes/hoursRoutes.js';
+import awardRuleRoutes from './routes/awardRuleRoutes.js';
+import facetRoutes from './routes/facetRoutes.js';
+import quarantineRoutes from './routes/quarantineRoutes.js';
+import studyPathRoutes from './routes/studyPathRoutes.js';
+import homeworkRoutes from './routes/homeworkRoutes.js';
 
 process.env.TZ = 'Africa/Cairo';
 
@@ -55,7 +66,13 @@ cloudinary.v2.config({
 
 
 connect(process.env.MONGODB_URI)
-  .then(() => console.log('✅ Connected to MongoDB'))
+  .then(() => {
+    console.log('✅ Connected to MongoDB');
+    // Pick up PDF extraction jobs interrupted by the last shutdown
+    return resumePendingExtractions()
+      .then(({ queued }) => console.log(`Queued ${queued} pending PDF extractions`))
+      .catch(error => console.error(' Error resuming PDF extractions:', error.message));
+  })
   .catch((err) => {
     console.error('❌ MongoDB connection error:', err);
     process.exit(1);
@@ -100,6 +117,33 @@ app.use('/api/gallery', galleryRoutes);
 console.log('Registering Lecture Request routes at /api/lecture-requests');
 app.use('/api/lecture-requests', lectureRequestRoutes);
 
+console.log('Registering Leader routes at /api/leaders');
+app.use('/api/leaders', leaderRoutes);
+
+console.log('Registering Student routes at /api/students');
+app.use('/api/students', studentRoutes);
+
+console.log('Registering Audit Log routes at /api/audit-logs');
+app.use('/api/audit-logs', auditRoutes);
+
+console.log('Registering Hours routes at /api/hours');
+app.use('/api/hours', hoursRoutes);
+
+console.log('Registering Award Rule routes at /api/award-rules');
+app.use('/api/award-rules', awardRuleRoutes);
+
+console.log('Registering Facet routes at /api/facets');
+app.use('/api/facets', facetRoutes);
+
+console.log('Registering Quarantine routes at /api/quarantine');
+app.use('/api/quarantine', quarantineRoutes);
+
+console.log('Registering Study Path routes at /api/study-paths');
+app.use('/api/study-paths', studyPathRoutes);
+
+console.log('Registering Homework routes at /api/homework');
+app.use('/api/homework', homeworkRoutes);
+
 console.log('Registering Forget Password routes at /api');
 app.use('/api', forgetPasswordRoutes);
 
@@ -116,6 +160,7 @@ cron.schedule('1 0 * * *', async () => {
     console.log(`Querying meetings for today UTC: ${startOfDayUTC.toISOString()} to ${endOfDayUTC.toISOString()}`);
 
     const users = await User.find({
+      archivedAt: null,
       'meetings.reminded': false,
       'meetings.date': { $gte: startOfDayUTC, $lte: endOfDayUTC }
     }).lean();
@@ -187,6 +232,26 @@ cron.schedule('1 0 * * *', async () => {
   }
 });
 
+cron.schedule('30 2 * * *', async () => {
+  console.log('⏰ Purging archived members past the retention period');
+  try {
+    const { purged } = await purgeArchivedMembers();
+    console.log(`Purged ${purged} archived members`);
+  } catch (error) {
+    console.error(' Error in archived members purge cron job:', error.message, error.stack);
+  }
+});
+
+cron.schedule('*/10 * * * *', async () => {
+  try {
+    const { queued } = await resumePendingExtractions();
+    if (queued > 0) {
+      console.log(`⏰ Queued ${queued} pending PDF extractions`);
+    }
+  } catch (error) {
+    console.error(' Error in PDF extraction sweep cron job:', error.message, error.stack);
+  }
+});
 
 app.use((req, res) => {
   console.log(`Unmatched route: ${req.method} ${req.originalUrl}`);
@@ -0,0 +1,27 @@
+// Arabic-aware normalization used for indexing and searching text.
+// Both sides go through the same function, so spelling variants match each other.
+
+const DIACRITICS = /[\u0610-\u061A\u064B-\u065F\u0670\u06D6-\u06ED]/g;
+const TATWEEL = /\u0640/g;
+const ALEF_VARIANTS = /[\u0622\u0623\u0625\u0671]/g; // آ أ إ ٱ
+const ARABIC_DIGITS = /[\u0660-\u0669]/g;
+const PERSIAN_DIGITS = /[\u06F0-\u06F9]/g;
+
+export const normalizeArabic = (text) => {
+  if (!text) return '';
+  return String(text)
+    .normalize('NFKC')
+    .replace(DIACRITICS, '')
+    .replace(TATWEEL, '')
+    .replace(ALEF_VARIANTS, '\u0627') // -> ا
+    .replace(/\u0624/g, '\u0648') // ؤ -> و
+    .replace(/\u0626/g, '\u064A') // ئ -> ي
+    .replace(/\u0649/g, '\u064A') // ى -> ي
+    .replace(/\u0629/g, '\u0647') // ة -> ه
+    .replace(/\u0621/g, '') // standalone hamza
+    .replace(ARABIC_DIGITS, digit => String(digit.charCodeAt(0) - 0x0660))
+    .replace(PERSIAN_DIGITS, digit => String(digit.charCodeAt(0) - 0x06F0))
+    .toLowerCase()
+    .replace(/[^\p{L}\p{N}]+/gu, ' ')
+    .trim();
+};
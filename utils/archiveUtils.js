@@ -0,0 +1,57 @@
+import { v2 as cloudinary } from 'cloudinary';
+import JoinRequest from '../models/JoinRequest.js';
+import User from '../models/User.js';
+import Leaderboard from '../models/Leaderboard.js';
+import Session from '../models/Session.js';
+import Notification from '../models/Notification.js';
+import HoursEntry from '../models/HoursEntry.js';
+import Lecture from '../models/Lecture.js';
+import { getVolunteerStudents, unassignStudent } from './studentUtils.js';
+
+// Read lazily: server.js loads .env after its imports are evaluated
+export const getArchiveRetentionDays = () => parseInt(process.env.ARCHIVE_RETENTION_DAYS, 10) || 365;
+
+// Permanently deletes members archived for longer than the retention period
+export const purgeArchivedMembers = async (retentionDays = getArchiveRetentionDays()) => {
+  const cutoff = new Date(Date.now() - retentionDays * 24 * 60 * 60 * 1000);
+  const members = await JoinRequest.find({ status: 'Archived', archivedAt: { $lte: cutoff } });
+  console.log(`Purging ${members.length} members archived before ${cutoff.toISOString()}`);
+
+  let purged = 0;
+  for (const member of members) {
+    try {
+      const email = member.email.toLowerCase().trim();
+      const user = await User.findOne({ email });
+
+      if (user) {
+        if (user.profileImagePublicId) {
+          await cloudinary.uploader.destroy(user.profileImagePublicId).catch(error => {
+            console.error('خطأ في حذف الصورة من Cloudinary:', error.message);
+          });
+        }
+
+        // Students keep their history but are left without a volunteer
+        const students = await getVolunteerStudents(user._id);
+        for (const student of students) {
+          unassignStudent(student, 'member_purged');
+          await student.save();
+        }
+
+        await Session.deleteMany({ userId: user._id });
+        await Notification.deleteMany({ userId: user._id });
+        await Lecture.deleteMany({ volunteer: user._id });
+        await User.deleteOne({ _id: user._id });
+      }
+
+      await Leaderboard.deleteOne({ email });
+      await HoursEntry.deleteMany({ member: member._id });
+      await JoinRequest.deleteOne({ _id: member._id });
+      purged++;
+      console.log('تم حذف العضو المؤرشف نهائيًا:', { memberId: member._id, email });
+    } catch (error) {
+      console.error('خطأ في حذف العضو المؤرشف:', { memberId: member._id, error: error.message });
+    }
+  }
+
+  return { purged, cutoff };
+};
@@ -0,0 +1,49 @@
+import AuditLog from '../models/AuditLog.js';
+
+const toPlain = (value) => {
+  if (value === null || value === undefined) return null;
+  const plain = typeof value.toObject === 'function' ? value.toObject() : value;
+  return JSON.parse(JSON.stringify(plain));
+};
+
+// Field-level diff between two plain objects: { field: { from, to } }
+export const computeDiff = (before, after) => {
+  if (!before || !after) return null;
+  const diff = {};
+  const keys = new Set([...Object.keys(before), ...Object.keys(after)]);
+  for (const key of keys) {
+    if (JSON.stringify(before[key]) !== JSON.stringify(after[key])) {
+      diff[key] = { from: before[key] ?? null, to: after[key] ?? null };
+    }
+  }
+  return Object.keys(diff).length > 0 ? diff : null;
+};
+
+// Records an admin action. Failures are logged and never break the request.
+export const recordAudit = async (req, { action, targetType, targetId = null, before = null, after = null }) => {
+  try {
+    const plainBefore = toPlain(before);
+    const plainAfter = toPlain(after);
+    await AuditLog.create({
+      actor: req.userId || null,
+      actorRole: req.userRole || null,
+      action,
+      targetType,
+      targetId: targetId ? targetId.toString() : null,
+      before: plainBefore,
+      after: plainAfter,
+      diff: computeDiff(plainBefore, plainAfter),
+      ip: req.ip || null,
+      userAgent: req.get('User-Agent') || null
+    });
+  } catch (error) {
+    console.error('Failed to record audit log:', { action, targetType, targetId, error: error.message });
+  }
+};
+
+// Picks the given fields from a document, for before/after snapshots
+export const snapshot = (doc, fields) => {
+  if (!doc) return null;
+  const plain = toPlain(doc);
+  return Object.fromEntries(fields.map(field => [field, plain[field] ?? null]));
+};
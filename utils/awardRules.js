@@ -0,0 +1,146 @@
+import mongoose from 'mongoose';
+import AwardRuleSet from '../models/AwardRuleSet.js';
+import HoursEntry from '../models/HoursEntry.js';
+import { getCurrentWeekRange } from './weekUtils.js';
+
+export const AWARD_ACTIVITIES = ['lecture', 'student_onboarding', 'library_contribution'];
+
+// Used until an admin saves the first rule version (reported as version 0)
+export const DEFAULT_RULES = [
+  { activity: 'lecture', baseHours: 2, subjectMultipliers: {}, academicLevelMultipliers: {}, weeklyCap: null },
+  { activity: 'student_onboarding', baseHours: 1, subjectMultipliers: {}, academicLevelMultipliers: {}, weeklyCap: null },
+  { activity: 'library_contribution', baseHours: 1, subjectMultipliers: {}, academicLevelMultipliers: {}, weeklyCap: null }
+];
+
+// Lecture base hours are for a lecture of this length; longer or shorter lectures earn proportionally
+export const STANDARD_LECTURE_MINUTES = 120;
+
+const toPlainMap = (value) => (value instanceof Map ? Object.fromEntries(value) : value || {});
+
+export const formatRuleSet = (ruleSet) => ({
+  version: ruleSet.version,
+  rules: ruleSet.rules.map(rule => ({
+    activity: rule.activity,
+    baseHours: rule.baseHours,
+    subjectMultipliers: toPlainMap(rule.subjectMultipliers),
+    academicLevelMultipliers: toPlainMap(rule.academicLevelMultipliers),
+    weeklyCap: rule.weeklyCap ?? null
+  })),
+  note: ruleSet.note || null,
+  createdBy: ruleSet.createdBy || null,
+  createdAt: ruleSet.createdAt || null
+});
+
+export const getActiveRuleSet = async (session = null) => {
+  const ruleSet = await AwardRuleSet.findOne().sort({ version: -1 }).session(session);
+  return ruleSet ? formatRuleSet(ruleSet) : { version: 0, rules: DEFAULT_RULES, note: null, createdBy: null, createdAt: null };
+};
+
+export const getRuleSetVersion = async (version) => {
+  if (version === 0) {
+    return { version: 0, rules: DEFAULT_RULES, note: null, createdBy: null, createdAt: null };
+  }
+  const ruleSet = await AwardRuleSet.findOne({ version });
+  return ruleSet ? formatRuleSet(ruleSet) : null;
+};
+
+// Validates and normalizes the rules submitted for a new version. Returns { rules } or { error }.
+export const normalizeRules = (rules) => {
+  if (!Array.isArray(rules) || rules.length === 0) {
+    return { error: 'قائمة القواعد مطلوبة' };
+  }
+
+  const normalizeMultipliers = (multipliers) => {
+    if (multipliers === undefined || multipliers === null) return {};
+    if (typeof multipliers !== 'object' || Array.isArray(multipliers)) return null;
+    const entries = Object.entries(multipliers).map(([key, value]) => [key.toLowerCase().trim(), Number(value)]);
+    if (entries.some(([key, value]) => !key || key.includes('.') || key.startsWith('$') || !Number.isFinite(value) || value < 0)) return null;
+    return Object.fromEntries(entries);
+  };
+
+  const normalized = [];
+  for (const rule of rules) {
+    if (!rule || !AWARD_ACTIVITIES.includes(rule.activity)) {
+      return { error: `نوع النشاط يجب أن يكون أحد: ${AWARD_ACTIVITIES.join(', ')}` };
+    }
+    if (normalized.some(existing => existing.activity === rule.activity)) {
+      return { error: `تم تكرار قاعدة النشاط ${rule.activity}` };
+    }
+    const baseHours = Number(rule.baseHours);
+    if (!Number.isFinite(baseHours) || baseHours < 0) {
+      return { error: 'عدد الساعات الأساسي يجب أن يكون صفر أو أكثر' };
+    }
+    const subjectMultipliers = normalizeMultipliers(rule.subjectMultipliers);
+    const academicLevelMultipliers = normalizeMultipliers(rule.academicLevelMultipliers);
+    if (!subjectMultipliers || !academicLevelMultipliers) {
+      return { error: 'المضاعفات يجب أن تكون كائنًا من الأسماء إلى أرقام موجبة' };
+    }
+    const weeklyCap = rule.weeklyCap === undefined || rule.weeklyCap === null ? null : Number(rule.weeklyCap);
+    if (weeklyCap !== null && (!Number.isFinite(weeklyCap) || weeklyCap < 0)) {
+      return { error: 'الحد الأسبوعي يجب أن يكون صفر أو أكثر' };
+    }
+    normalized.push({ activity: rule.activity, baseHours, subjectMultipliers, academicLevelMultipliers, weeklyCap });
+  }
+
+  // Activities left out keep their current defaults so nothing silently stops earning hours
+  for (const rule of DEFAULT_RULES) {
+    if (!normalized.some(existing => existing.activity === rule.activity)) {
+      normalized.push({ ...rule });
+    }
+  }
+  return { rules: normalized };
+};
+
+// Calculates the hours an activity earns under the active rules.
+// Returns { hours, ruleVersion, calculation } where calculation explains the result.
+export const calculateAward = async (memberId, activity, { subject = null, academicLevel = null, durationMinutes = null, at = new Date() } = {}, session = null) => {
+  const ruleSet = await getActiveRuleSet(session);
+  const rule = ruleSet.rules.find(candidate => candidate.activity === activity)
+    || DEFAULT_RULES.find(candidate => candidate.activity === activity);
+
+  const subjectKey = subject ? subject.toLowerCase().trim() : null;
+  const levelKey = academicLevel ? academicLevel.toLowerCase().trim() : null;
+  const subjectMultiplier = subjectKey && rule.subjectMultipliers[subjectKey] !== undefined ? rule.subjectMultipliers[subjectKey] : 1;
+  const levelMultiplier = levelKey && rule.academicLevelMultipliers[levelKey] !== undefined ? rule.academicLevelMultipliers[levelKey] : 1;
+  const durationFactor = durationMinutes ? durationMinutes / STANDARD_LECTURE_MINUTES : 1;
+  let hours = rule.baseHours * subjectMultiplier * levelMultiplier * durationFactor;
+
+  let earnedThisWeek = null;
+  let capped = false;
+  if (rule.weeklyCap !== null) {
+    const { weekStart, weekEnd } = getCurrentWeekRange(at);
+    const [result] = await HoursEntry.aggregate([
+      {
+        $match: {
+          member: new mongoose.Types.ObjectId(memberId.toString()),
+          type: activity,
+          createdAt: { $gte: weekStart, $lte: weekEnd }
+        }
+      },
+      { $group: { _id: null, total: { $sum: '$hours' } } }
+    ]).session(session);
+    earnedThisWeek = result?.total || 0;
+    const remaining = Math.max(0, rule.weeklyCap - earnedThisWeek);
+    if (hours > remaining) {
+      hours = remaining;
+      capped = true;
+    }
+  }
+
+  return {
+    hours: Math.round(hours * 100) / 100,
+    ruleVersion: ruleSet.version,
+    calculation: {
+      baseHours: rule.baseHours,
+      subject: subjectKey,
+      subjectMultiplier,
+      academicLevel: levelKey,
+      academicLevelMultiplier: levelMultiplier,
+      durationMinutes,
+      durationFactor,
+      weeklyCap: rule.weeklyCap,
+      earnedThisWeek,
+      capped
+    }
+  };
+};
@@ -0,0 +1,86 @@
+import PDF from '../models/pdf.js';
+import LectureRequest from '../models/LectureRequest.js';
+import { normalizeArabic } from './arabicText.js';
+import { canViewPdf } from './pdfVisibility.js';
+import { getPermissionScope } from './permissions.js';
+
+// Requests still under review. Approved ones are represented by their PDF, and a rejected
+// upload (or one whose PDF was deleted) may be submitted again.
+const ACTIVE_REQUEST_STATUSES = ['pending', 'changes_requested'];
+
+// Finds a library PDF or open lecture request holding exactly the same bytes
+export const findExactDuplicate = async (sha256, { excludeRequestId = null } = {}) => {
+  if (!sha256) return null;
+
+  const pdf = await PDF.findOne({ 'file.sha256': sha256 }).select('title uploadedBy visibility');
+  if (pdf) return { type: 'pdf', doc: pdf };
+
+  const requestFilter = { 'file.sha256': sha256, status: { $in: ACTIVE_REQUEST_STATUSES } };
+  if (excludeRequestId) requestFilter._id = { $ne: excludeRequestId };
+  const request = await LectureRequest.findOne(requestFilter).select('title uploadedBy status');
+  return request ? { type: 'lecture_request', doc: request } : null;
+};
+
+// Describes a duplicate for the uploader. The title is only shown when the caller may see the document.
+export const describeDuplicate = (duplicate, { viewer, userId, role }) => {
+  const { type, doc } = duplicate;
+  const id = doc._id.toString();
+  if (type === 'pdf') {
+    return {
+      type,
+      id,
+      title: canViewPdf(doc, viewer) ? doc.title : null,
+      url: `/api/pdf/view/${id}`
+    };
+  }
+  const visible = doc.uploadedBy.toString() === userId || getPermissionScope(role, 'pdf:approve') === 'all';
+  return {
+    type,
+    id,
+    title: visible ? doc.title : null,
+    status: doc.status,
+    url: `/api/lecture-requests/${id}`
+  };
+};
+
+// Matches listed per request; a title shared by many documents shouldn't flood the review page
+export const MAX_DUPLICATE_MATCHES = 10;
+
+// The PDFs and other open requests that are exact copies of a request's file or share its title
+// (after Arabic normalization), subject and academic level. Both lookups use indexes.
+const findRequestDuplicates = async (request) => {
+  const sha256 = request.file?.sha256;
+  const filter = {
+    $or: [
+      { 'search.title': normalizeArabic(request.title), subject: request.subject, academicLevel: request.academicLevel },
+      ...(sha256 ? [{ 'file.sha256': sha256 }] : [])
+    ]
+  };
+  const [pdfs, otherRequests] = await Promise.all([
+    PDF.find(filter).select('title file.sha256').limit(MAX_DUPLICATE_MATCHES).lean(),
+    LectureRequest.find({ $and: [filter, { _id: { $ne: request._id }, status: { $in: ACTIVE_REQUEST_STATUSES } }] })
+      .select('title status file.sha256')
+      .limit(MAX_DUPLICATE_MATCHES)
+      .lean()
+  ]);
+
+  const describe = (type) => (doc) => {
+    const exact = Boolean(sha256) && doc.file?.sha256 === sha256;
+    return {
+      type,
+      id: doc._id.toString(),
+      title: doc.title,
+      ...(type === 'lecture_request' && { status: doc.status }),
+      match: exact ? 'exact' : 'similar'
+    };
+  };
+  return [...pdfs.map(describe('pdf')), ...otherRequests.map(describe('lecture_request'))]
+    .sort((a, b) => (a.match === 'exact' ? 0 : 1) - (b.match === 'exact' ? 0 : 1))
+    .slice(0, MAX_DUPLICATE_MATCHES);
+};
+
+// Possible duplicates of each pending request. Returns Map(requestId -> matches).
+export const findPossibleDuplicates = async (requests) => {
+  const matches = await Promise.all(requests.map(findRequestDuplicates));
+  return new Map(requests.map((request, index) => [request._id.toString(), matches[index]]));
+};
@@ -1,5 +1,8 @@
 import nodemailer from 'nodemailer';
 
+// For user-provided text placed in email HTML
+export const escapeHtml = (text) => String(text).replace(/[&<>"']/g, char => `&#${char.charCodeAt(0)};`);
+
 const sendEmail = async ({ to, subject, text, html }) => {
   try {
     const transporter = nodemailer.createTransport({
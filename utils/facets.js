@@ -0,0 +1,178 @@
+import FacetValue, { facetKey } from '../models/FacetValue.js';
+import PDF from '../models/pdf.js';
+import LectureRequest from '../models/LectureRequest.js';
+import StudyPath from '../models/StudyPath.js';
+import { normalizeArabic } from './arabicText.js';
+
+export const FACETS = ['country', 'academicLevel', 'semester', 'subject'];
+
+const FACET_LABELS = {
+  country: 'الدولة',
+  academicLevel: 'المرحلة الدراسية',
+  semester: 'الفصل الدراسي',
+  subject: 'المادة'
+};
+
+// Maps a submitted value to its canonical form through the vocabulary. Returns { value } or { error }.
+// A facet with no vocabulary yet accepts free text, so uploads keep working until an admin sets it up.
+export const resolveFacetValue = async (facet, input) => {
+  const text = typeof input === 'string' ? input.trim() : '';
+  const key = facetKey(text);
+  if (!key) {
+    return { error: `حقل ${FACET_LABELS[facet]} مطلوب` };
+  }
+
+  const match = await FacetValue.findOne({ facet, keys: key }).select('value active').lean();
+  if (match?.active) {
+    return { value: match.value };
+  }
+  if (match) {
+    return { error: `القيمة "${text}" في حقل ${FACET_LABELS[facet]} لم تعد مستخدمة` };
+  }
+  if (!(await FacetValue.exists({ facet }))) {
+    return { value: text };
+  }
+  return { error: `القيمة "${text}" غير معروفة في حقل ${FACET_LABELS[facet]}، راجع القيم المتاحة في /api/facets` };
+};
+
+// Resolves every facet of an upload body. Returns { values } or the first { error }.
+export const resolveFacets = async (input) => {
+  const values = {};
+  for (const facet of FACETS) {
+    const { value, error } = await resolveFacetValue(facet, input[facet]);
+    if (error) {
+      return { error };
+    }
+    values[facet] = value;
+  }
+  return { values };
+};
+
+// Canonical value for a filter; unknown values are used as typed so legacy records stay reachable
+export const canonicalFacetValue = async (facet, input) => {
+  const match = await FacetValue.findOne({ facet, keys: facetKey(input) }).select('value').lean();
+  return match ? match.value : input.trim();
+};
+
+// Validates an admin payload. With partial, only the fields present are checked.
+// Returns { fields } or { error }.
+export const normalizeFacetInput = (body, { partial = false } = {}) => {
+  const fields = {};
+
+  if (!partial || body.facet !== undefined) {
+    if (!FACETS.includes(body.facet)) {
+      return { error: `الحقل يجب أن يكون أحد: ${FACETS.join(', ')}` };
+    }
+    fields.facet = body.facet;
+  }
+  if (!partial || body.value !== undefined) {
+    if (typeof body.value !== 'string' || !facetKey(body.value)) {
+      return { error: 'القيمة مطلوبة ويجب أن تحتوي على حروف أو أرقام' };
+    }
+    fields.value = body.value.trim();
+  }
+  if (body.aliases !== undefined) {
+    if (!Array.isArray(body.aliases) || body.aliases.some(alias => typeof alias !== 'string' || !facetKey(alias))) {
+      return { error: 'الأسماء البديلة يجب أن تكون قائمة من النصوص' };
+    }
+    fields.aliases = [...new Set(body.aliases.map(alias => alias.trim()))];
+  }
+  if (body.order !== undefined) {
+    if (typeof body.order !== 'number' || !Number.isFinite(body.order)) {
+      return { error: 'الترتيب يجب أن يكون رقمًا' };
+    }
+    fields.order = body.order;
+  }
+  if (body.active !== undefined) {
+    if (typeof body.active !== 'boolean') {
+      return { error: 'حقل التفعيل يجب أن يكون true أو false' };
+    }
+    fields.active = body.active;
+  }
+  return { fields };
+};
+
+// Rewrites PDFs, lecture requests and study paths whose stored value matches the facet value's keys
+// (or keys it had before an edit or merge) to the canonical value. Returns the number of PDFs changed.
+export const syncDocumentsToFacetValue = async (facetValue, previousKeys = []) => {
+  const { facet, value } = facetValue;
+  const keys = new Set([...facetValue.keys, ...previousKeys]);
+
+  const [pdfValues, requestValues, pathValues] = await Promise.all([
+    PDF.distinct(facet),
+    LectureRequest.distinct(facet),
+    StudyPath.distinct(facet)
+  ]);
+  const variants = [...new Set([...pdfValues, ...requestValues, ...pathValues])]
+    // Paths without a country store null
+    .filter(stored => typeof stored === 'string' && stored !== value && keys.has(facetKey(stored)));
+  if (variants.length === 0) {
+    return 0;
+  }
+
+  // updateMany skips the save hook, so the normalized search copy of the subject is set here
+  const pdfUpdate = { [facet]: value };
+  if (facet === 'subject') {
+    pdfUpdate['search.subject'] = normalizeArabic(value);
+  }
+  const [pdfResult] = await Promise.all([
+    PDF.updateMany({ [facet]: { $in: variants } }, { $set: pdfUpdate }),
+    LectureRequest.updateMany({ [facet]: { $in: variants } }, { $set: { [facet]: value } }),
+    StudyPath.updateMany({ [facet]: { $in: variants } }, { $set: { [facet]: value } })
+  ]);
+  return pdfResult.modifiedCount;
+};
+
+export const countFacetUsage = async (facet, value) => {
+  const [pdfs, requests, paths] = await Promise.all([
+    PDF.countDocuments({ [facet]: value }),
+    LectureRequest.countDocuments({ [facet]: value }),
+    StudyPath.countDocuments({ [facet]: value })
+  ]);
+  return pdfs + requests + paths;
+};
+
+// Counts per value for each facet over the PDFs matching the given filter.
+// Vocabulary values come first in display order (active ones even when empty);
+// stored values outside the vocabulary follow with known: false.
+export const getFacetCounts = async (match) => {
+  const [[result], vocabulary] = await Promise.all([
+    PDF.aggregate([
+      { $match: match },
+      {
+        $facet: {
+          total: [{ $count: 'count' }],
+          ...Object.fromEntries(FACETS.map(facet => [facet, [{ $group: { _id: `$${facet}`, count: { $sum: 1 } } }]]))
+        }
+      }
+    ]),
+    FacetValue.find().sort({ order: 1, value: 1 }).lean()
+  ]);
+
+  const facets = {};
+  for (const facet of FACETS) {
+    const counts = new Map(result[facet].map(bucket => [bucket._id, bucket.count]));
+    const known = vocabulary
+      .filter(entry => entry.facet === facet && (entry.active || counts.has(entry.value)))
+      .map(entry => ({ value: entry.value, count: counts.get(entry.value) || 0, known: true }));
+    const knownValues = new Set(known.map(entry => entry.value));
+    const unknown = [...counts]
+      .filter(([value]) => !knownValues.has(value))
+      .map(([value, count]) => ({ value, count, known: false }))
+      .sort((a, b) => b.count - a.count);
+    facets[facet] = [...known, ...unknown];
+  }
+
+  return { total: result.total[0]?.count || 0, facets };
+};
+
+export const formatFacetValue = (entry) => ({
+  id: entry._id.toString(),
+  facet: entry.facet,
+  value: entry.value,
+  aliases: entry.aliases || [],
+  order: entry.order,
+  active: entry.active,
+  createdAt: entry.createdAt,
+  updatedAt: entry.updatedAt
+});
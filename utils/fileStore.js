@@ -0,0 +1,268 @@
+import fs from 'fs';
+import path from 'path';
+import crypto from 'crypto';
+import { Readable, PassThrough } from 'stream';
+import { pipeline } from 'stream/promises';
+import mongoose from 'mongoose';
+import cloudinary from 'cloudinary';
+
+// Pluggable storage for uploaded binaries. Every driver exposes:
+//   save(source, { fileName, mimeType }) -> { driver, key, size, sha256, url }
+//   createReadStream(ref, { start, end }) -> Readable
+//   remove(ref)
+// Documents keep only the returned reference (see models/storedFileSchema.js).
+
+// Read lazily: server.js loads .env after its imports are evaluated
+export const getDefaultDriver = () => process.env.FILE_STORE_DRIVER || 'gridfs';
+const localDir = () => path.resolve(process.env.LOCAL_FILE_STORE_DIR || 'uploads/files');
+const GRIDFS_BUCKET = 'files';
+
+const toStream = (source) => (Buffer.isBuffer(source) ? Readable.from([source]) : source);
+
+// Passes the data through while counting bytes and hashing the content (used for duplicate detection)
+const byteCounter = () => {
+  const counter = new PassThrough();
+  const hash = crypto.createHash('sha256');
+  counter.bytes = 0;
+  counter.on('data', chunk => {
+    counter.bytes += chunk.length;
+    hash.update(chunk);
+  });
+  counter.digest = () => hash.digest('hex');
+  return counter;
+};
+
+const gridfsBucket = () => {
+  if (!mongoose.connection.db) {
+    throw new Error('GridFS is not available before the database connection is open');
+  }
+  return new mongoose.mongo.GridFSBucket(mongoose.connection.db, { bucketName: GRIDFS_BUCKET });
+};
+
+const gridfsDriver = {
+  async save(source, { fileName, mimeType }) {
+    const counter = byteCounter();
+    const upload = gridfsBucket().openUploadStream(fileName, { contentType: mimeType });
+    await pipeline(toStream(source), counter, upload);
+    return { driver: 'gridfs', key: upload.id.toString(), size: counter.bytes, sha256: counter.digest(), url: null };
+  },
+  createReadStream(ref, { start, end } = {}) {
+    const options = {};
+    if (start !== undefined) options.start = start;
+    // GridFS end is exclusive, HTTP ranges are inclusive
+    if (end !== undefined) options.end = end + 1;
+    return gridfsBucket().openDownloadStream(new mongoose.Types.ObjectId(ref.key), options);
+  },
+  async remove(ref) {
+    try {
+      await gridfsBucket().delete(new mongoose.Types.ObjectId(ref.key));
+    } catch (error) {
+      if (!/FileNotFound|File not found/i.test(error.message)) throw error;
+    }
+  }
+};
+
+// Keys are generated here, never taken from user input; the check below is a second line of defence
+const localPath = (key) => {
+  const root = localDir();
+  const filePath = path.resolve(root, key);
+  if (!filePath.startsWith(root + path.sep)) {
+    throw new Error('Invalid file key');
+  }
+  return filePath;
+};
+
+const localDriver = {
+  async save(source, { fileName }) {
+    const now = new Date();
+    const key = path.posix.join(
+      String(now.getFullYear()),
+      String(now.getMonth() + 1).padStart(2, '0'),
+      `${crypto.randomUUID()}${path.extname(fileName || '').toLowerCase()}`
+    );
+    const filePath = localPath(key);
+    await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+
+    const counter = byteCounter();
+    try {
+      await pipeline(toStream(source), counter, fs.createWriteStream(filePath));
+    } catch (error) {
+      await fs.promises.unlink(filePath).catch(() => {});
+      throw error;
+    }
+    return { driver: 'local', key, size: counter.bytes, sha256: counter.digest(), url: null };
+  },
+  createReadStream(ref, { start, end } = {}) {
+    return fs.createReadStream(localPath(ref.key), { start, end });
+  },
+  async remove(ref) {
+    await fs.promises.unlink(localPath(ref.key)).catch(error => {
+      if (error.code !== 'ENOENT') throw error;
+    });
+  }
+};
+
+// Stores files as Cloudinary "raw" resources
+const cloudinaryDriver = {
+  async save(source) {
+    const counter = byteCounter();
+    const result = await new Promise((resolve, reject) => {
+      const upload = cloudinary.v2.uploader.upload_stream(
+        { resource_type: 'raw', folder: 'files', type: 'authenticated' },
+        (error, uploaded) => (error ? reject(error) : resolve(uploaded))
+      );
+      pipeline(toStream(source), counter, upload).catch(reject);
+    });
+    return { driver: 'cloudinary', key: result.public_id, size: counter.bytes, sha256: counter.digest(), url: result.secure_url };
+  },
+  createReadStream(ref, { start, end } = {}) {
+    const stream = new PassThrough();
+    const url = cloudinary.v2.utils.private_download_url(ref.key, '', { resource_type: 'raw', type: 'authenticated' });
+    const headers = start !== undefined ? { Range: `bytes=${start}-${end ?? ''}` } : {};
+    fetch(url, { headers })
+      .then(response => {
+        if (!response.ok) throw new Error(`Cloudinary download failed with status ${response.status}`);
+        Readable.fromWeb(response.body).pipe(stream);
+      })
+      .catch(error => stream.destroy(error));
+    return stream;
+  },
+  async remove(ref) {
+    await cloudinary.v2.uploader.destroy(ref.key, { resource_type: 'raw', type: 'authenticated' });
+  }
+};
+
+const drivers = {
+  gridfs: gridfsDriver,
+  local: localDriver,
+  cloudinary: cloudinaryDriver
+};
+
+export const getDriver = (name) => {
+  const driver = drivers[name];
+  if (!driver) {
+    throw new Error(`Unknown file store driver: ${name}`);
+  }
+  return driver;
+};
+
+export const saveFile = (source, { fileName, mimeType }, driverName = getDefaultDriver()) =>
+  getDriver(driverName).save(source, { fileName, mimeType });
+
+export const openFileStream = (ref, range = {}) => getDriver(ref.driver).createReadStream(ref, range);
+
+export const removeFile = (ref) => getDriver(ref.driver).remove(ref);
+
+// Loads a whole stored file into memory; only for files within the upload size limit
+export const readStoredFile = async (ref) => {
+  const chunks = [];
+  for await (const chunk of openFileStream(ref)) {
+    chunks.push(chunk);
+  }
+  return Buffer.concat(chunks);
+};
+
+// Multer storage engine that streams uploads straight into the file store.
+// The stored reference is exposed as req.file.storedFile.
+export const fileStoreStorage = (driverName = null) => ({
+  _handleFile(req, file, cb) {
+    saveFile(file.stream, { fileName: file.originalname, mimeType: file.mimetype }, driverName || getDefaultDriver())
+      .then(storedFile => cb(null, { storedFile, size: storedFile.size }))
+      .catch(cb);
+  },
+  _removeFile(req, file, cb) {
+    if (!file.storedFile) return cb(null);
+    removeFile(file.storedFile).then(() => cb(null)).catch(cb);
+  }
+});
+
+// Pipes a stored file into the response (headers set by the caller). If the store fails
+// before anything was sent, the file headers are dropped and a JSON error is returned instead.
+export const pipeFileToResponse = (res, ref, errorMessage, range = {}) => {
+  openFileStream(ref, range)
+    .on('error', (error) => {
+      console.error('File store stream error:', { driver: ref.driver, key: ref.key, error: error.message });
+      if (res.headersSent) {
+        return res.destroy(error);
+      }
+      ['Content-Type', 'Content-Length', 'Content-Disposition', 'Content-Range', 'Accept-Ranges', 'Cache-Control', 'ETag', 'Last-Modified'].forEach(header => res.removeHeader(header));
+      res.status(500).json({ message: errorMessage, error: error.message });
+    })
+    .pipe(res);
+};
+
+// Strong validator for a stored file. References are never rewritten in place (a new upload gets
+// a new key), so the reference itself identifies the bytes.
+export const fileETag = (ref) =>
+  `"${crypto.createHash('sha1').update(`${ref.driver}:${ref.key}:${ref.size}`).digest('hex')}"`;
+
+export const contentDisposition = (type, fileName) =>
+  `${type}; filename="${encodeURIComponent(fileName)}"; filename*=UTF-8''${encodeURIComponent(fileName)}`;
+
+// If-Range holds either an ETag or a date; the range only applies while it still matches
+const ifRangeMatches = (header, etag, lastModified) => {
+  if (!header) return true;
+  if (header.startsWith('"') || header.startsWith('W/')) return header === etag;
+  return Boolean(lastModified) && Math.floor(lastModified.getTime() / 1000) <= Math.floor(Date.parse(header) / 1000);
+};
+
+// Serves a stored file with caching validators and single byte-range support:
+// 304 for a fresh conditional GET, 206 for a satisfiable Range, 416 otherwise, else the full file.
+// Multiple ranges are answered with the whole file, which HTTP allows.
+// `onServe` runs only when the file (or part of it) is actually sent, not for 304 or 416 answers.
+export const sendStoredFile = (req, res, ref, {
+  contentType,
+  fileName = null,
+  disposition = 'inline',
+  lastModified = null,
+  cacheControl = 'private, no-cache',
+  errorMessage,
+  onServe = null
+}) => {
+  const etag = fileETag(ref);
+  res.set({
+    'Content-Type': contentType,
+    'Accept-Ranges': 'bytes',
+    ETag: etag,
+    'Cache-Control': cacheControl
+  });
+  if (lastModified) {
+    res.set('Last-Modified', lastModified.toUTCString());
+  }
+  if (fileName) {
+    res.set('Content-Disposition', contentDisposition(disposition, fileName));
+  }
+
+  if (req.fresh) {
+    return res.status(304).end();
+  }
+
+  let range = {};
+  if (req.headers.range && ifRangeMatches(req.get('If-Range'), etag, lastModified)) {
+    const ranges = req.range(ref.size, { combine: true });
+    if (ranges === -1) {
+      res.set('Content-Range', `bytes */${ref.size}`);
+      return res.status(416).json({ message: 'نطاق البايتات المطلوب غير صالح' });
+    }
+    if (Array.isArray(ranges) && ranges.type === 'bytes' && ranges.length === 1) {
+      range = { start: ranges[0].start, end: ranges[0].end };
+    }
+  }
+
+  if (range.start !== undefined) {
+    res.status(206).set({
+      'Content-Range': `bytes ${range.start}-${range.end}/${ref.size}`,
+      'Content-Length': range.end - range.start + 1
+    });
+  } else {
+    res.set('Content-Length', ref.size);
+  }
+
+  if (onServe) {
+    onServe();
+  }
+  if (req.method === 'HEAD') {
+    return res.end();
+  }
+  pipeFileToResponse(res, ref, errorMessage, range);
+};
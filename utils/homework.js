@@ -0,0 +1,74 @@
+import crypto from 'crypto';
+import User from '../models/User.js';
+import JoinRequest from '../models/JoinRequest.js';
+import sendEmail, { escapeHtml } from './email.js';
+import { memberScopeFilter } from './permissions.js';
+
+// Overdue is derived rather than stored: an open assignment whose due date has passed
+export const isOverdue = (homework, now = new Date()) => homework.status === 'assigned' && homework.dueDate < now;
+
+export const overdueFilter = (now = new Date()) => ({ status: 'assigned', dueDate: { $lt: now } });
+
+export const hashHomeworkToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+// Returns the raw token (sent to the student once) and the hash that is stored
+export const createHomeworkToken = () => {
+  const token = crypto.randomBytes(32).toString('hex');
+  return { token, tokenHash: hashHomeworkToken(token) };
+};
+
+export const homeworkLink = (token) => `${process.env.FRONTEND_URL}/homework/${token}`;
+
+// Volunteers whose homework the caller may see: themselves, plus the members they supervise.
+// null means every volunteer.
+export const scopedVolunteerIds = async (scope, userId) => {
+  if (scope === 'all') return null;
+  const members = await JoinRequest.find(await memberScopeFilter(scope, userId)).select('email').lean();
+  const users = await User.find({ email: { $in: members.map(member => member.email) } }).select('_id').lean();
+  return [...new Set([userId.toString(), ...users.map(user => user._id.toString())])];
+};
+
+export const homeworkScopeFilter = async (scope, userId) => {
+  const ids = await scopedVolunteerIds(scope, userId);
+  return ids ? { volunteer: { $in: ids } } : {};
+};
+
+// Emails the student their link. Failures are logged only; the volunteer also gets the link to share.
+export const emailHomeworkLink = async (student, homework, link) => {
+  try {
+    await sendEmail({
+      to: student.email,
+      subject: `واجب جديد في مادة ${homework.subject}`,
+      html: `
+        <h2>واجب جديد</h2>
+        <p>مرحبًا ${escapeHtml(student.name)}،</p>
+        <p>أرسل لك معلمك واجبًا في مادة <strong>${escapeHtml(homework.subject)}</strong>: ${escapeHtml(homework.pdfTitle)}.</p>
+        <p>موعد التسليم: ${homework.dueDate.toLocaleDateString('ar-EG', { timeZone: 'Africa/Cairo' })}</p>
+        ${homework.note ? `<p><strong>ملاحظات المعلم:</strong> ${escapeHtml(homework.note)}</p>` : ''}
+        <p>يمكنك فتح الملف وتأكيد إنهاء الواجب من الرابط التالي:<br><a href="${link}">${link}</a></p>
+        <p>تحياتنا،<br>فريق قطرة غيث</p>
+      `
+    });
+  } catch (error) {
+    console.error('Failed to email homework link:', { id: homework._id, error: error.message });
+  }
+};
+
+export const formatHomework = (homework, now = new Date()) => ({
+  id: homework._id.toString(),
+  student: homework.student?.name
+    ? { id: homework.student._id.toString(), name: homework.student.name, email: homework.student.email }
+    : { id: homework.student.toString() },
+  volunteer: homework.volunteer?.email || homework.volunteer?.toString() || null,
+  assignedBy: homework.assignedBy?.email || homework.assignedBy?.toString() || null,
+  pdfId: homework.pdf.toString(),
+  pdfTitle: homework.pdfTitle,
+  subject: homework.subject,
+  dueDate: homework.dueDate,
+  note: homework.note,
+  status: homework.status,
+  overdue: isOverdue(homework, now),
+  completedAt: homework.completedAt,
+  completionNote: homework.completionNote,
+  createdAt: homework.createdAt
+});
@@ -0,0 +1,62 @@
+import mongoose from 'mongoose';
+import HoursEntry from '../models/HoursEntry.js';
+import { calculateAward } from './awardRules.js';
+
+// Sums a member's ledger entries. Not clamped at zero, so the stored total always matches the ledger.
+export const getHoursBalance = async (memberId, session = null) => {
+  const [result] = await HoursEntry.aggregate([
+    { $match: { member: new mongoose.Types.ObjectId(memberId.toString()) } },
+    { $group: { _id: null, total: { $sum: '$hours' } } }
+  ]).session(session);
+  return result?.total || 0;
+};
+
+// Appends an entry and refreshes member.volunteerHours from the ledger.
+// The caller is responsible for saving the member.
+export const recordHours = async (member, { type, hours, reason = null, sourceId = null, reverses = null, ruleVersion = null, calculation = null, createdBy = null }, session = null) => {
+  const entry = new HoursEntry({ member: member._id, type, hours, reason, sourceId, reverses, ruleVersion, calculation, createdBy });
+  await entry.save({ session });
+  member.volunteerHours = await getHoursBalance(member._id, session);
+  return entry;
+};
+
+// Awards the hours an activity earns under the active award rules
+export const awardHours = async (member, activity, { sourceId = null, subject = null, academicLevel = null, durationMinutes = null, createdBy = null }, session = null) => {
+  const { hours, ruleVersion, calculation } = await calculateAward(member._id, activity, { subject, academicLevel, durationMinutes }, session);
+  return await recordHours(member, { type: activity, hours, sourceId, ruleVersion, calculation, createdBy }, session);
+};
+
+// Cancels the hours a source earned, if any. Sources with no ledger entry subtract nothing.
+export const reverseHours = async (member, { type, sourceId, reason, createdBy = null }, session = null) => {
+  const entries = await HoursEntry.find({ member: member._id, type, sourceId, reverses: null }).session(session);
+  const reversed = await HoursEntry.find({ reverses: { $in: entries.map(entry => entry._id) } }).select('reverses').session(session);
+  const open = entries.filter(entry => !reversed.some(reversal => reversal.reverses.equals(entry._id)));
+
+  let total = 0;
+  for (const entry of open) {
+    await recordHours(member, { type, hours: -entry.hours, reason, sourceId, reverses: entry._id, createdBy }, session);
+    total += entry.hours;
+  }
+  return total;
+};
+
+// Records the difference between the requested total and the ledger balance as a manual adjustment
+export const adjustHoursTo = async (member, targetHours, { reason, createdBy = null }, session = null) => {
+  const balance = await getHoursBalance(member._id, session);
+  const delta = targetHours - balance;
+  if (delta === 0) return null;
+  return await recordHours(member, { type: 'manual_adjustment', hours: delta, reason, createdBy }, session);
+};
+
+export const formatHoursEntry = (entry) => ({
+  id: entry._id,
+  type: entry.type,
+  hours: entry.hours,
+  reason: entry.reason,
+  sourceId: entry.sourceId,
+  reverses: entry.reverses,
+  ruleVersion: entry.ruleVersion ?? null,
+  calculation: entry.calculation || null,
+  createdBy: entry.createdBy,
+  createdAt: entry.createdAt
+});
@@ -0,0 +1,124 @@
+import User from '../models/User.js';
+import Notification from '../models/Notification.js';
+import sendEmail, { escapeHtml } from './email.js';
+
+// Review state machine for lecture requests:
+//   pending -> approved | rejected | changes_requested   (reviewer)
+//   changes_requested -> pending                         (uploader resubmits a corrected file)
+// approved and rejected are final.
+export const REVIEW_ACTIONS = {
+  approve: 'approved',
+  reject: 'rejected',
+  request_changes: 'changes_requested'
+};
+
+// Reviewers must explain anything other than an approval
+export const COMMENT_REQUIRED = ['rejected', 'changes_requested'];
+
+// Requests created before review rounds existed get round 1 from their file
+export const getReviewRounds = (lectureRequest) => (lectureRequest.rounds?.length
+  ? lectureRequest.rounds
+  : [{
+      round: 1,
+      file: lectureRequest.file,
+      fileName: lectureRequest.fileName,
+      note: null,
+      submittedAt: lectureRequest.createdAt,
+      decision: ['approved', 'rejected'].includes(lectureRequest.status) ? lectureRequest.status : null,
+      comment: null,
+      reviewedBy: null,
+      reviewedAt: null
+    }]);
+
+// Returns the open round, materializing the legacy round on the document if needed
+export const getCurrentRound = (lectureRequest) => {
+  if (!lectureRequest.rounds?.length) {
+    lectureRequest.rounds = getReviewRounds(lectureRequest);
+  }
+  return lectureRequest.rounds[lectureRequest.rounds.length - 1];
+};
+
+// Opens a new review round for a corrected file and puts the request back in the queue. Earlier
+// files stay referenced by their rounds; what was extracted from them is replaced. The caller saves
+// the request and queues extraction; returns the thumbnail it no longer uses.
+export const addResubmission = (lectureRequest, { file, fileName, mimeType, note }) => {
+  const previousRound = getCurrentRound(lectureRequest);
+  const previousThumbnail = lectureRequest.thumbnail;
+  lectureRequest.rounds.push({
+    round: previousRound.round + 1,
+    file,
+    fileName,
+    note: note || null,
+    submittedAt: new Date()
+  });
+  lectureRequest.set({
+    file,
+    fileName,
+    mimeType,
+    status: 'pending',
+    pageCount: null,
+    thumbnail: null,
+    textContent: null,
+    extraction: { status: 'pending', attempts: 0 }
+  });
+  return previousThumbnail;
+};
+
+const STATUS_MESSAGES = {
+  pending: (title) => `تم استلام النسخة المعدلة من طلبك "${title}" وهي الآن بانتظار المراجعة`,
+  changes_requested: (title) => `طلب المراجع تعديلات على طلبك "${title}"، يرجى رفع نسخة معدلة`,
+  approved: (title) => `تمت الموافقة على طلبك "${title}" وأضيف إلى المكتبة`,
+  rejected: (title) => `تم رفض طلبك "${title}"`
+};
+
+// Tells the uploader about a status change by notification and email. Failures are logged only.
+export const notifyUploader = async (lectureRequest, comment = null) => {
+  const message = STATUS_MESSAGES[lectureRequest.status](lectureRequest.title);
+  const fullMessage = comment ? `${message}. ملاحظات المراجع: ${comment}` : message;
+
+  try {
+    await Notification.create({
+      userId: lectureRequest.uploadedBy,
+      message: fullMessage,
+      type: 'lecture_request_review',
+      lectureDetails: {
+        name: lectureRequest.title,
+        subject: lectureRequest.subject,
+        lectureRequestId: lectureRequest._id,
+        status: lectureRequest.status
+      }
+    });
+  } catch (error) {
+    console.error('Failed to create lecture request notification:', { id: lectureRequest._id, error: error.message });
+  }
+
+  try {
+    const user = await User.findById(lectureRequest.uploadedBy).select('email').lean();
+    if (!user) return;
+    await sendEmail({
+      to: user.email,
+      subject: 'تحديث على طلب رفع المحاضرة',
+      html: `
+        <h2>تحديث على طلب رفع المحاضرة</h2>
+        <p>مرحبًا،</p>
+        <p>${escapeHtml(message)}.</p>
+        ${comment ? `<p><strong>ملاحظات المراجع:</strong> ${escapeHtml(comment)}</p>` : ''}
+        <p>يمكنك متابعة طلباتك من صفحة "طلباتي" في الموقع.</p>
+        <p>تحياتنا،<br>فريق قطرة غيث</p>
+      `
+    });
+  } catch (error) {
+    console.error('Failed to email lecture request update:', { id: lectureRequest._id, error: error.message });
+  }
+};
+
+export const formatReviewRound = (round) => ({
+  round: round.round,
+  fileName: round.fileName,
+  note: round.note,
+  submittedAt: round.submittedAt,
+  decision: round.decision,
+  comment: round.comment,
+  reviewedBy: round.reviewedBy?.email || round.reviewedBy?.toString() || null,
+  reviewedAt: round.reviewedAt
+});
@@ -0,0 +1,110 @@
+import Lecture, { LECTURE_STATUSES } from '../models/Lecture.js';
+import { STANDARD_LECTURE_MINUTES } from './awardRules.js';
+import { awardHours, reverseHours } from './hoursLedger.js';
+
+export const MAX_LECTURE_MINUTES = 600;
+const MAX_NOTES_LENGTH = 2000;
+
+// Checks the schedule and outcome fields of a create or update payload. Delivered lectures without
+// a duration are assumed to be of standard length. Returns { fields } or { error }.
+export const normalizeLectureDetails = (body, current = null) => {
+  const fields = {};
+
+  if (body.status !== undefined) {
+    if (!LECTURE_STATUSES.includes(body.status)) {
+      return { error: `Status must be one of: ${LECTURE_STATUSES.join(', ')}` };
+    }
+    fields.status = body.status;
+  }
+
+  if (body.scheduledAt !== undefined) {
+    const scheduledAt = new Date(body.scheduledAt);
+    if (!body.scheduledAt || Number.isNaN(scheduledAt.getTime())) {
+      return { error: 'Invalid scheduled time' };
+    }
+    fields.scheduledAt = scheduledAt;
+  }
+
+  if (body.durationMinutes !== undefined && body.durationMinutes !== null) {
+    const durationMinutes = Number(body.durationMinutes);
+    if (!Number.isInteger(durationMinutes) || durationMinutes < 1 || durationMinutes > MAX_LECTURE_MINUTES) {
+      return { error: `Duration must be a whole number of minutes between 1 and ${MAX_LECTURE_MINUTES}` };
+    }
+    fields.durationMinutes = durationMinutes;
+  }
+
+  if (body.notes !== undefined) {
+    const notes = typeof body.notes === 'string' ? body.notes.trim() : '';
+    if (notes.length > MAX_NOTES_LENGTH) {
+      return { error: `Notes must be at most ${MAX_NOTES_LENGTH} characters` };
+    }
+    fields.notes = notes || null;
+  }
+
+  const status = fields.status ?? current?.status;
+  if (status === 'delivered') {
+    const scheduledAt = fields.scheduledAt ?? current?.scheduledAt;
+    if (scheduledAt && scheduledAt > new Date()) {
+      return { error: 'A lecture scheduled in the future cannot be marked as delivered' };
+    }
+    if (!fields.durationMinutes && !current?.durationMinutes) {
+      fields.durationMinutes = STANDARD_LECTURE_MINUTES;
+    }
+    if (current?.status !== 'delivered') {
+      fields.deliveredAt = new Date();
+    }
+  } else if (status && current?.status === 'delivered') {
+    fields.deliveredAt = null;
+  }
+
+  return { fields };
+};
+
+// Brings the hours a lecture earned in line with its current state: any earlier award is
+// reversed, and delivered lectures are awarded again for their actual duration.
+// The caller is responsible for saving the member.
+export const syncLectureHours = async (lecture, member, { academicLevel = null, reason, createdBy = null }, session = null) => {
+  await reverseHours(member, { type: 'lecture', sourceId: lecture._id, reason, createdBy }, session);
+  if (lecture.status === 'delivered') {
+    await awardHours(member, 'lecture', {
+      sourceId: lecture._id,
+      subject: lecture.subject,
+      academicLevel,
+      durationMinutes: lecture.durationMinutes,
+      createdBy
+    }, session);
+  }
+};
+
+// Delivered lecture totals per volunteer, keyed by user ID
+export const countDeliveredLectures = async (volunteerIds) => {
+  const counts = await Lecture.aggregate([
+    { $match: { volunteer: { $in: volunteerIds }, status: 'delivered' } },
+    { $group: { _id: '$volunteer', count: { $sum: 1 } } }
+  ]);
+  return new Map(counts.map(row => [row._id.toString(), row.count]));
+};
+
+// Same shape as the lectures that used to be embedded in users, plus the schedule and outcome
+export const formatLecture = (lecture) => ({
+  _id: lecture._id.toString(),
+  volunteerId: lecture.volunteer?._id?.toString() || lecture.volunteer?.toString() || null,
+  link: lecture.link,
+  name: lecture.name,
+  subject: lecture.subject,
+  studentId: lecture.student?.toString() || null,
+  studentEmail: lecture.studentEmail,
+  scheduledAt: lecture.scheduledAt,
+  durationMinutes: lecture.durationMinutes,
+  status: lecture.status,
+  notes: lecture.notes,
+  deliveredAt: lecture.deliveredAt,
+  createdAt: lecture.createdAt,
+  updatedAt: lecture.updatedAt
+});
+
+// Formatted lectures of the given volunteers, newest first
+export const getVolunteerLectures = async (volunteerIds, filter = {}) => {
+  const lectures = await Lecture.find({ volunteer: { $in: volunteerIds }, ...filter }).sort({ scheduledAt: -1 }).lean();
+  return lectures.map(formatLecture);
+};
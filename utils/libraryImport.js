@@ -0,0 +1,278 @@
+import crypto from 'crypto';
+import path from 'path';
+import mongoose from 'mongoose';
+import yauzl from 'yauzl';
+import PDF from '../models/pdf.js';
+import { saveFile, removeFile } from './fileStore.js';
+import { FACETS, resolveFacets } from './facets.js';
+import { findExactDuplicate } from './duplicates.js';
+import { queueExtraction } from './pdfExtraction.js';
+import { screenPdf } from './pdfInspection.js';
+
+// Bulk import of library PDFs from a ZIP holding the files and a manifest.json or manifest.csv.
+// Each manifest row names a PDF inside the archive (file) and its metadata:
+//   file, title, description, subject, semester, country, academicLevel, [creatorName], [visibility]
+// Every row is validated and reported; valid rows are stored and inserted in one transaction.
+
+const MAX_FILE_SIZE = 50 * 1024 * 1024;
+const MAX_MANIFEST_SIZE = 5 * 1024 * 1024;
+const MAX_ROWS = 500;
+const IMPORT_VISIBILITY_LEVELS = ['private', 'volunteers', 'public'];
+
+const openZip = (filePath) => new Promise((resolve, reject) => {
+  yauzl.open(filePath, { lazyEntries: true, autoClose: false }, (error, zip) => (error ? reject(error) : resolve(zip)));
+});
+
+// Regular files by path; folders and macOS resource forks are skipped
+const listEntries = (zip) => new Promise((resolve, reject) => {
+  const entries = new Map();
+  zip.on('entry', (entry) => {
+    if (!entry.fileName.endsWith('/') && !entry.fileName.startsWith('__MACOSX/')) {
+      entries.set(entry.fileName, entry);
+    }
+    zip.readEntry();
+  });
+  zip.on('end', () => resolve(entries));
+  zip.on('error', reject);
+  zip.readEntry();
+});
+
+const readEntry = (zip, entry) => new Promise((resolve, reject) => {
+  zip.openReadStream(entry, (error, stream) => {
+    if (error) return reject(error);
+    const chunks = [];
+    stream.on('data', chunk => chunks.push(chunk));
+    stream.on('end', () => resolve(Buffer.concat(chunks)));
+    stream.on('error', reject);
+  });
+});
+
+// Minimal RFC 4180 parser: quoted fields, escaped quotes and CRLF/LF line endings
+export const parseCsv = (text) => {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let quoted = false;
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+    if (quoted) {
+      if (char === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ',') {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+  if (field || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+  return rows.filter(cells => cells.some(value => value.trim()));
+};
+
+// Returns { rows } (plain objects) or { error }
+const parseManifest = (name, buffer) => {
+  const text = buffer.toString('utf8').replace(/^\uFEFF/, '');
+  if (name.toLowerCase().endsWith('.json')) {
+    let data;
+    try {
+      data = JSON.parse(text);
+    } catch (error) {
+      return { error: `ملف البيانات JSON غير صالح: ${error.message}` };
+    }
+    const rows = Array.isArray(data) ? data : data?.items;
+    if (!Array.isArray(rows) || rows.some(row => !row || typeof row !== 'object')) {
+      return { error: 'ملف البيانات JSON يجب أن يكون قائمة من العناصر أو كائنًا يحتوي على items' };
+    }
+    return { rows };
+  }
+
+  const [header, ...lines] = parseCsv(text);
+  if (!header) {
+    return { error: 'ملف البيانات CSV فارغ' };
+  }
+  const columns = header.map(column => column.trim());
+  return { rows: lines.map(cells => Object.fromEntries(columns.map((column, index) => [column, cells[index] ?? '']))) };
+};
+
+// The shallowest manifest.json/manifest.csv; row paths are relative to its folder
+const findManifest = (entries) => [...entries.keys()]
+  .filter(name => /^manifest\.(json|csv)$/i.test(path.posix.basename(name)))
+  .sort((a, b) => a.split('/').length - b.split('/').length)[0] || null;
+
+const cell = (value) => (typeof value === 'string' ? value.trim() : value === undefined || value === null ? '' : String(value).trim());
+
+export const runLibraryImport = async (zipPath, { dryRun, userId, defaults = {} }) => {
+  let zip;
+  try {
+    zip = await openZip(zipPath);
+  } catch (error) {
+    return { error: `تعذر قراءة ملف ZIP: ${error.message}` };
+  }
+
+  const stored = [];
+  try {
+    const entries = await listEntries(zip);
+    const manifestName = findManifest(entries);
+    if (!manifestName) {
+      return { error: 'ملف ZIP لا يحتوي على manifest.json أو manifest.csv' };
+    }
+    const manifestEntry = entries.get(manifestName);
+    if (manifestEntry.uncompressedSize > MAX_MANIFEST_SIZE) {
+      return { error: 'ملف البيانات كبير جدًا' };
+    }
+    const { rows, error } = parseManifest(manifestName, await readEntry(zip, manifestEntry));
+    if (error) {
+      return { error };
+    }
+    if (rows.length === 0) {
+      return { error: 'ملف البيانات لا يحتوي على أي عناصر' };
+    }
+    if (rows.length > MAX_ROWS) {
+      return { error: `يمكن استيراد ${MAX_ROWS} ملف كحد أقصى في المرة الواحدة` };
+    }
+
+    const baseDir = path.posix.dirname(manifestName);
+    const usedPaths = new Set();
+    const batchHashes = new Map();
+    const report = [];
+
+    for (const [index, row] of rows.entries()) {
+      const fileName = cell(row.file || row.fileName).replace(/\\/g, '/').replace(/^\.?\//, '');
+      const result = { row: index + 1, file: fileName || null, status: 'valid', errors: [] };
+      report.push(result);
+      const errors = result.errors;
+
+      const title = cell(row.title);
+      const description = cell(row.description);
+      const creatorName = cell(row.creatorName) || cell(defaults.creatorName);
+      const visibility = cell(row.visibility) || defaults.visibility;
+      if (!title) errors.push('العنوان مطلوب');
+      if (!description) errors.push('الوصف مطلوب');
+      if (!creatorName) errors.push('اسم المنشئ مطلوب (في الصف أو كقيمة افتراضية للاستيراد)');
+      if (!IMPORT_VISIBILITY_LEVELS.includes(visibility)) {
+        errors.push(`مستوى الظهور يجب أن يكون أحد: ${IMPORT_VISIBILITY_LEVELS.join(', ')}`);
+      }
+      const facets = await resolveFacets(Object.fromEntries(FACETS.map(facet => [facet, cell(row[facet])])));
+      if (facets.error) errors.push(facets.error);
+
+      const entryPath = baseDir === '.' ? fileName : path.posix.join(baseDir, fileName);
+      const entry = fileName ? entries.get(entryPath) : null;
+      if (!fileName) {
+        errors.push('اسم الملف مطلوب');
+      } else if (!/\.pdf$/i.test(fileName)) {
+        errors.push('الملفات المسموح بها هي: PDF فقط');
+      } else if (!entry) {
+        errors.push('الملف غير موجود في ملف ZIP');
+      } else if (usedPaths.has(entryPath)) {
+        errors.push('الملف مذكور في أكثر من صف');
+      } else if (entry.uncompressedSize > MAX_FILE_SIZE) {
+        errors.push('حجم الملف يتجاوز 50 ميجابايت');
+      }
+      if (entry) usedPaths.add(entryPath);
+
+      // Only read the file once the row is otherwise valid
+      if (errors.length > 0) {
+        result.status = 'error';
+        continue;
+      }
+
+      // Same screening as single uploads; an import has no quarantine, so findings fail the row
+      const buffer = await readEntry(zip, entry);
+      const screening = await screenPdf(buffer);
+      screening.findings.forEach(item => errors.push(item.message));
+      const sha256 = crypto.createHash('sha256').update(buffer).digest('hex');
+      if (batchHashes.has(sha256)) {
+        errors.push(`الملف مطابق لملف الصف ${batchHashes.get(sha256)}`);
+      } else {
+        batchHashes.set(sha256, result.row);
+      }
+      const duplicate = await findExactDuplicate(sha256);
+      if (duplicate) {
+        errors.push(`الملف موجود بالفعل (${duplicate.type === 'pdf' ? 'في المكتبة' : 'طلب بانتظار المراجعة'}: ${duplicate.doc._id})`);
+      }
+      if (errors.length > 0) {
+        result.status = 'error';
+        continue;
+      }
+
+      if (!dryRun) {
+        const file = await saveFile(buffer, { fileName: path.posix.basename(fileName), mimeType: 'application/pdf' });
+        stored.push({
+          result,
+          file,
+          fields: {
+            title,
+            description,
+            creatorName,
+            ...facets.values,
+            fileName: path.posix.basename(fileName),
+            mimeType: 'application/pdf',
+            uploadedBy: userId,
+            visibility: { level: visibility }
+          }
+        });
+      }
+    }
+
+    // All valid rows go in together, or none do
+    if (stored.length > 0) {
+      const session = await mongoose.startSession();
+      session.startTransaction();
+      try {
+        for (const item of stored) {
+          const pdf = new PDF({ ...item.fields, file: item.file });
+          await pdf.save({ session });
+          item.pdfId = pdf._id;
+        }
+        await session.commitTransaction();
+        session.endSession();
+      } catch (saveError) {
+        await session.abortTransaction();
+        session.endSession();
+        throw saveError;
+      }
+      for (const item of stored) {
+        item.result.status = 'imported';
+        item.result.pdfId = item.pdfId.toString();
+        queueExtraction('PDF', item.pdfId);
+      }
+      stored.length = 0;
+    }
+
+    const pdfEntries = [...entries.keys()].filter(name => /\.pdf$/i.test(name));
+    return {
+      report: {
+        dryRun,
+        manifest: manifestName,
+        total: report.length,
+        valid: report.filter(result => result.status !== 'error').length,
+        imported: report.filter(result => result.status === 'imported').length,
+        failed: report.filter(result => result.status === 'error').length,
+        rows: report,
+        // PDFs in the archive that no manifest row points to
+        unreferencedFiles: pdfEntries.filter(name => !usedPaths.has(name))
+      }
+    };
+  } finally {
+    // Files stored for a batch that never committed are dropped
+    await Promise.all(stored.map(item => removeFile(item.file).catch(() => {})));
+    zip.close();
+  }
+};
@@ -0,0 +1,178 @@
+import mongoose from 'mongoose';
+
+export const DEFAULT_LIMIT = 20;
+export const MAX_LIMIT = 100;
+
+const escapeRegex = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+const encodeCursor = (payload) => Buffer.from(JSON.stringify(payload)).toString('base64url');
+
+const decodeCursor = (cursor) => {
+  try {
+    return JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+  } catch {
+    return null;
+  }
+};
+
+// Dates don't survive JSON, so cursor values carry a type marker
+const encodeValue = (value) => (value instanceof Date ? { d: value.toISOString() } : { v: value ?? null });
+const decodeValue = (value) => ('d' in value ? new Date(value.d) : value.v);
+
+// Cursors come from the client, so their values must be plain scalars: an object would be
+// read by Mongo as a query operator
+const isValidCursorValue = (value) => {
+  if (!value || typeof value !== 'object' || Array.isArray(value)) return false;
+  const keys = Object.keys(value);
+  if (keys.length !== 1) return false;
+  if (keys[0] === 'd') return typeof value.d === 'string' && !isNaN(new Date(value.d).getTime());
+  return keys[0] === 'v' && (value.v === null || ['string', 'number', 'boolean'].includes(typeof value.v));
+};
+
+// Builds a Mongo filter from query params according to the endpoint's filter spec:
+//   { param: { field, type: 'exact' | 'contains' | 'number' | 'boolean' | 'objectId' | 'dateFrom' | 'dateTo', values? } }
+const buildFilters = (query, filters) => {
+  const filter = {};
+  for (const [param, spec] of Object.entries(filters)) {
+    const raw = query[param];
+    if (raw === undefined || raw === '') continue;
+    if (typeof raw !== 'string') return { error: `قيمة المرشح ${param} غير صالحة` };
+
+    switch (spec.type) {
+      case 'exact':
+        if (spec.values && !spec.values.includes(raw)) {
+          return { error: `قيمة المرشح ${param} يجب أن تكون أحد: ${spec.values.join(', ')}` };
+        }
+        filter[spec.field] = raw;
+        break;
+      case 'contains':
+        filter[spec.field] = { $regex: escapeRegex(raw.trim()), $options: 'i' };
+        break;
+      case 'number': {
+        const number = Number(raw);
+        if (!Number.isFinite(number)) return { error: `قيمة المرشح ${param} يجب أن تكون رقمًا` };
+        filter[spec.field] = number;
+        break;
+      }
+      case 'boolean':
+        if (!['true', 'false'].includes(raw)) return { error: `قيمة المرشح ${param} يجب أن تكون true أو false` };
+        filter[spec.field] = raw === 'true';
+        break;
+      case 'objectId':
+        if (!mongoose.isValidObjectId(raw)) return { error: `قيمة المرشح ${param} غير صالحة` };
+        filter[spec.field] = new mongoose.Types.ObjectId(raw);
+        break;
+      case 'dateFrom':
+      case 'dateTo': {
+        const date = new Date(raw);
+        if (isNaN(date.getTime())) return { error: `قيمة المرشح ${param} ليست تاريخًا صالحًا` };
+        filter[spec.field] = { ...filter[spec.field], [spec.type === 'dateFrom' ? '$gte' : '$lte']: date };
+        break;
+      }
+      default:
+        break;
+    }
+  }
+  return { filter };
+};
+
+// Parses limit, sort, cursor/page and field filters from the query string.
+// Returns { error } or { limit, page, cursor, sortField, sortOrder, filter }.
+// Sort is "field" or "-field"; pass a cursor (from a previous nextCursor) or a page number, not both.
+export const parseListQuery = (query, { sortFields, defaultSort = '-createdAt', filters = {} }) => {
+  const limit = Math.min(MAX_LIMIT, Math.max(1, parseInt(query.limit, 10) || DEFAULT_LIMIT));
+
+  const sort = typeof query.sort === 'string' && query.sort ? query.sort : defaultSort;
+  const sortField = sort.replace(/^-/, '');
+  if (!sortFields.includes(sortField)) {
+    return { error: `حقل الترتيب يجب أن يكون أحد: ${sortFields.join(', ')}` };
+  }
+  const sortOrder = sort.startsWith('-') ? -1 : 1;
+
+  let cursor = null;
+  if (query.cursor) {
+    if (query.page) {
+      return { error: 'لا يمكن استخدام cursor و page معًا' };
+    }
+    cursor = decodeCursor(query.cursor);
+    const valid = cursor && cursor.s === sort && (cursor.v !== undefined
+      ? isValidCursorValue(cursor.v) && typeof cursor.id === 'string' && mongoose.isValidObjectId(cursor.id)
+      : Number.isInteger(cursor.o) && cursor.o >= 0);
+    if (!valid) {
+      return { error: 'المؤشر غير صالح أو لا يطابق الترتيب المطلوب' };
+    }
+  }
+  const page = cursor ? null : Math.max(1, parseInt(query.page, 10) || 1);
+
+  const { filter, error } = buildFilters(query, filters);
+  if (error) return { error };
+
+  return { limit, page, cursor, sort, sortField, sortOrder, filter };
+};
+
+const buildMeta = (list, total, hasMore, nextCursor) => ({
+  total,
+  limit: list.limit,
+  page: list.page,
+  totalPages: Math.ceil(total / list.limit),
+  sort: list.sort,
+  hasMore,
+  nextCursor
+});
+
+// Runs a paginated find. `prepare` may add select/populate/lean to the query.
+// Query filters can only narrow baseFilter (which callers use for access scoping), never replace it.
+// Returns { items, pagination }.
+export const paginateQuery = async (Model, list, baseFilter = {}, prepare = (query) => query) => {
+  const { sortField, sortOrder, limit, cursor } = list;
+  const filter = { $and: [baseFilter, list.filter] };
+
+  let pageFilter = filter;
+  if (cursor?.v) {
+    const value = decodeValue(cursor.v);
+    const id = new mongoose.Types.ObjectId(cursor.id);
+    const op = sortOrder === 1 ? '$gt' : '$lt';
+    pageFilter = {
+      $and: [
+        filter,
+        sortField === '_id'
+          ? { _id: { [op]: id } }
+          : { $or: [{ [sortField]: { [op]: value } }, { [sortField]: value, _id: { [op]: id } }] }
+      ]
+    };
+  }
+
+  const query = Model.find(pageFilter).sort({ [sortField]: sortOrder, _id: sortOrder }).limit(limit + 1);
+  if (!cursor?.v) query.skip(cursor ? cursor.o : (list.page - 1) * limit);
+
+  const [found, total] = await Promise.all([prepare(query), Model.countDocuments(filter)]);
+  const hasMore = found.length > limit;
+  const items = found.slice(0, limit);
+  const last = items[items.length - 1];
+  const nextCursor = hasMore && last
+    ? encodeCursor({ s: list.sort, v: encodeValue(last[sortField]), id: last._id.toString() })
+    : null;
+
+  return { items, pagination: buildMeta(list, total, hasMore, nextCursor) };
+};
+
+// Paginates an already computed array (for lists built in memory, such as the leaderboard).
+// Items are sorted by the requested field; cursors carry the offset.
+export const paginateArray = (allItems, list) => {
+  const { sortField, sortOrder, limit, cursor } = list;
+  const sorted = [...allItems].sort((a, b) => {
+    const left = a[sortField];
+    const right = b[sortField];
+    if (left === right) return 0;
+    if (left === null || left === undefined) return 1;
+    if (right === null || right === undefined) return -1;
+    return (left < right ? -1 : 1) * sortOrder;
+  });
+
+  const offset = cursor ? cursor.o || 0 : (list.page - 1) * limit;
+  const items = sorted.slice(offset, offset + limit);
+  const hasMore = offset + limit < sorted.length;
+  const nextCursor = hasMore ? encodeCursor({ s: list.sort, o: offset + limit }) : null;
+
+  return { items, pagination: buildMeta(list, sorted.length, hasMore, nextCursor) };
+};
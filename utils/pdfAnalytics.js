@@ -0,0 +1,173 @@
+import mongoose from 'mongoose';
+import PDF from '../models/pdf.js';
+import User from '../models/User.js';
+import PdfAccess from '../models/PdfAccess.js';
+import { DEFAULT_LIMIT, MAX_LIMIT } from './pagination.js';
+
+// Usage tracking for library PDFs: every view and download is stored as a PdfAccess event and
+// counted on the PDF itself (viewCount, downloadCount, popularity) so lists can sort by use.
+
+// PDF viewers fetch large files in several range requests; only the one that starts the file
+// counts, so a view is one access however it is fetched. HEAD requests are never counted.
+const startsAccess = (req) => {
+  if (req.method !== 'GET') return false;
+  const range = req.headers.range;
+  return !range || /^bytes=0-/.test(range.trim());
+};
+
+// Records the access in the background; tracking problems never affect serving the file
+export const recordPdfAccess = (req, pdf, { action, version }) => {
+  if (!startsAccess(req)) return;
+
+  const now = new Date();
+  Promise.all([
+    PdfAccess.create({
+      pdf: pdf._id,
+      action,
+      version,
+      user: req.userId || null,
+      title: pdf.title,
+      subject: pdf.subject,
+      academicLevel: pdf.academicLevel,
+      uploadedBy: pdf.uploadedBy,
+      createdAt: now
+    }),
+    PDF.updateOne(
+      { _id: pdf._id },
+      { $inc: { [action === 'view' ? 'viewCount' : 'downloadCount']: 1, popularity: 1 }, $set: { lastAccessedAt: now } }
+    )
+  ]).catch(error => {
+    console.error('Failed to record PDF access:', { id: pdf._id, action, error: error.message });
+  });
+};
+
+// Builds the event filter for the statistics endpoints from ?from, ?to, ?action, ?subject and ?academicLevel.
+// Returns { match, limit } or { error }.
+export const parseStatsQuery = (query) => {
+  const match = {};
+  for (const [param, op] of [['from', '$gte'], ['to', '$lte']]) {
+    if (query[param] === undefined || query[param] === '') continue;
+    const date = new Date(query[param]);
+    if (typeof query[param] !== 'string' || isNaN(date.getTime())) {
+      return { error: `قيمة ${param} ليست تاريخًا صالحًا` };
+    }
+    match.createdAt = { ...match.createdAt, [op]: date };
+  }
+  if (query.action !== undefined && query.action !== '') {
+    if (!['view', 'download'].includes(query.action)) {
+      return { error: 'قيمة action يجب أن تكون view أو download' };
+    }
+    match.action = query.action;
+  }
+  for (const field of ['subject', 'academicLevel']) {
+    if (typeof query[field] === 'string' && query[field].trim()) {
+      match[field] = query[field].trim();
+    }
+  }
+  if (query.uploadedBy !== undefined && query.uploadedBy !== '') {
+    if (!mongoose.isValidObjectId(query.uploadedBy)) {
+      return { error: 'معرف صاحب الملف غير صالح' };
+    }
+    match.uploadedBy = new mongoose.Types.ObjectId(query.uploadedBy);
+  }
+  const limit = Math.min(MAX_LIMIT, Math.max(1, parseInt(query.limit, 10) || DEFAULT_LIMIT));
+  return { match, limit };
+};
+
+// Views, downloads and distinct signed-in users per value of `field` ('pdf', 'subject', 'uploadedBy'),
+// most used first. Without a field the totals over all matching events are returned.
+const aggregateUsage = (match, field = null, limit = null) => {
+  const key = field ? `$${field}` : null;
+  const pipeline = [
+    { $match: match },
+    {
+      $group: {
+        _id: { key, user: '$user' },
+        views: { $sum: { $cond: [{ $eq: ['$action', 'view'] }, 1, 0] } },
+        downloads: { $sum: { $cond: [{ $eq: ['$action', 'download'] }, 1, 0] } },
+        title: { $last: '$title' },
+        subject: { $last: '$subject' },
+        academicLevel: { $last: '$academicLevel' },
+        uploadedBy: { $last: '$uploadedBy' },
+        lastAccessedAt: { $max: '$createdAt' }
+      }
+    },
+    {
+      $group: {
+        _id: '$_id.key',
+        views: { $sum: '$views' },
+        downloads: { $sum: '$downloads' },
+        // Anonymous accesses share the null user and are not counted as a user
+        uniqueUsers: { $sum: { $cond: [{ $eq: ['$_id.user', null] }, 0, 1] } },
+        title: { $last: '$title' },
+        subject: { $last: '$subject' },
+        academicLevel: { $last: '$academicLevel' },
+        uploadedBy: { $last: '$uploadedBy' },
+        lastAccessedAt: { $max: '$lastAccessedAt' }
+      }
+    },
+    { $addFields: { total: { $add: ['$views', '$downloads'] } } },
+    { $sort: { total: -1, _id: 1 } }
+  ];
+  if (limit) pipeline.push({ $limit: limit });
+  return PdfAccess.aggregate(pipeline);
+};
+
+const counts = (row) => ({
+  views: row?.views || 0,
+  downloads: row?.downloads || 0,
+  total: row?.total || 0,
+  uniqueUsers: row?.uniqueUsers || 0,
+  lastAccessedAt: row?.lastAccessedAt || null
+});
+
+const getTotals = async (match) => counts((await aggregateUsage(match))[0]);
+
+// Titles come from the live PDF when it still exists; deleted documents keep the title they had
+export const getDocumentStats = async ({ match, limit }) => {
+  const [rows, totals] = await Promise.all([aggregateUsage(match, 'pdf', limit), getTotals(match)]);
+  const pdfs = await PDF.find({ _id: { $in: rows.map(row => row._id) } }).select('title subject academicLevel').lean();
+  const live = new Map(pdfs.map(pdf => [pdf._id.toString(), pdf]));
+  return {
+    totals,
+    documents: rows.map(row => {
+      const pdf = live.get(row._id.toString());
+      return {
+        id: row._id.toString(),
+        title: pdf?.title || row.title,
+        subject: pdf?.subject || row.subject,
+        academicLevel: pdf?.academicLevel || row.academicLevel,
+        deleted: !pdf,
+        ...counts(row)
+      };
+    })
+  };
+};
+
+export const getSubjectStats = async ({ match, limit }) => {
+  const [rows, totals] = await Promise.all([aggregateUsage(match, 'subject', limit), getTotals(match)]);
+  return {
+    totals,
+    subjects: rows.map(row => ({ subject: row._id, ...counts(row) }))
+  };
+};
+
+export const getUploaderStats = async ({ match, limit }) => {
+  const [rows, totals] = await Promise.all([aggregateUsage(match, 'uploadedBy', limit), getTotals(match)]);
+  const users = await User.find({ _id: { $in: rows.map(row => row._id) } }).select('email').lean();
+  const emails = new Map(users.map(user => [user._id.toString(), user.email]));
+  const documentCounts = await PDF.aggregate([
+    { $match: { uploadedBy: { $in: rows.map(row => row._id) } } },
+    { $group: { _id: '$uploadedBy', documents: { $sum: 1 } } }
+  ]);
+  const documents = new Map(documentCounts.map(row => [row._id.toString(), row.documents]));
+  return {
+    totals,
+    uploaders: rows.map(row => ({
+      id: row._id.toString(),
+      email: emails.get(row._id.toString()) || null,
+      documents: documents.get(row._id.toString()) || 0,
+      ...counts(row)
+    }))
+  };
+};
@@ -0,0 +1,176 @@
+import path from 'path';
+import { createRequire } from 'module';
+import { getDocument } from 'pdfjs-dist/legacy/build/pdf.mjs';
+import PDF from '../models/pdf.js';
+import LectureRequest from '../models/LectureRequest.js';
+import { readStoredFile, saveFile, removeFile } from './fileStore.js';
+
+// Background extraction of page count, text and a first-page thumbnail for uploaded PDFs.
+// pdfjs parses the file in pure JS, so nothing leaves the server. Jobs run one at a time in-process;
+// each document records its own status, so the periodic sweep picks up jobs lost to a restart,
+// retries failures and backfills documents uploaded before extraction existed.
+
+const require = createRequire(import.meta.url);
+const STANDARD_FONTS_DIR = path.join(path.dirname(require.resolve('pdfjs-dist/package.json')), 'standard_fonts') + path.sep;
+
+const MAX_TEXT_LENGTH = 1000000;
+const THUMBNAIL_WIDTH = 320;
+const MAX_ATTEMPTS = 3;
+const STALE_AFTER_MS = 15 * 60 * 1000;
+const SWEEP_BATCH_SIZE = 50;
+
+const models = { PDF, LectureRequest };
+
+// Only pending lecture requests are worth extracting; approved ones hand their results to the PDF
+const sweepFilters = {
+  PDF: {},
+  LectureRequest: { status: 'pending' }
+};
+
+const claimableFilter = () => ({
+  $or: [
+    { extraction: { $exists: false } },
+    { 'extraction.status': 'pending' },
+    { 'extraction.status': 'failed', 'extraction.attempts': { $lt: MAX_ATTEMPTS } },
+    { 'extraction.status': 'processing', 'extraction.startedAt': { $lt: new Date(Date.now() - STALE_AFTER_MS) } }
+  ]
+});
+
+// Renders page 1 as a PNG using the canvas pdfjs ships as an optional dependency.
+// Returns null when rendering isn't possible; the text is still stored.
+const renderThumbnail = async (doc) => {
+  try {
+    const page = await doc.getPage(1);
+    const viewport = page.getViewport({ scale: THUMBNAIL_WIDTH / page.getViewport({ scale: 1 }).width });
+    const { canvas, context } = doc.canvasFactory.create(Math.ceil(viewport.width), Math.ceil(viewport.height));
+    await page.render({ canvasContext: context, viewport }).promise;
+    return canvas.toBuffer('image/png');
+  } catch (error) {
+    console.warn('PDF thumbnail rendering failed:', error.message);
+    return null;
+  }
+};
+
+export const extractPdfContent = async (data) => {
+  const doc = await getDocument({
+    data: new Uint8Array(data),
+    standardFontDataUrl: STANDARD_FONTS_DIR,
+    isEvalSupported: false,
+    disableFontFace: true,
+    verbosity: 0
+  }).promise;
+
+  try {
+    const pages = [];
+    let length = 0;
+    for (let pageNumber = 1; pageNumber <= doc.numPages && length < MAX_TEXT_LENGTH; pageNumber++) {
+      const page = await doc.getPage(pageNumber);
+      const content = await page.getTextContent();
+      const text = content.items
+        .filter(item => 'str' in item)
+        .map(item => item.str + (item.hasEOL ? '\n' : ''))
+        .join('')
+        .trim();
+      pages.push(text);
+      length += text.length;
+      page.cleanup();
+    }
+
+    return {
+      pageCount: doc.numPages,
+      text: pages.join('\n\n').slice(0, MAX_TEXT_LENGTH),
+      thumbnail: await renderThumbnail(doc)
+    };
+  } finally {
+    await doc.destroy();
+  }
+};
+
+const runExtraction = async (modelName, id) => {
+  const Model = models[modelName];
+  // Claiming the document first keeps a restarted sweep and a fresh upload from doing the same work twice
+  const doc = await Model.findOneAndUpdate(
+    { _id: id, ...sweepFilters[modelName], ...claimableFilter() },
+    {
+      $set: { 'extraction.status': 'processing', 'extraction.startedAt': new Date(), 'extraction.error': null },
+      $inc: { 'extraction.attempts': 1 }
+    },
+    { new: true }
+  );
+  if (!doc) return;
+
+  // A new version may be uploaded while this runs; results are only written for the file they came from
+  const sameFile = { 'file.driver': doc.file.driver, 'file.key': doc.file.key };
+  let thumbnail = null;
+  try {
+    const result = await extractPdfContent(await readStoredFile(doc.file));
+    if (result.thumbnail) {
+      thumbnail = await saveFile(result.thumbnail, {
+        fileName: `${path.parse(doc.fileName).name}-thumbnail.png`,
+        mimeType: 'image/png'
+      });
+    }
+
+    doc.pageCount = result.pageCount;
+    doc.textContent = result.text;
+    doc.thumbnail = thumbnail;
+    doc.extraction.status = 'completed';
+    doc.extraction.completedAt = new Date();
+    doc.$where = sameFile;
+    await doc.save();
+    console.log(`Extracted ${modelName} ${doc._id}: ${result.pageCount} pages, ${result.text.length} characters${thumbnail ? ', thumbnail stored' : ''}`);
+  } catch (error) {
+    console.error('PDF extraction failed:', { model: modelName, id: id.toString(), error: error.message });
+    if (thumbnail) {
+      await removeFile(thumbnail).catch(() => {});
+    }
+    await Model.updateOne(
+      { _id: id, ...sameFile },
+      { $set: { 'extraction.status': 'failed', 'extraction.error': error.message } }
+    ).catch(() => {});
+  }
+};
+
+const queue = [];
+let draining = false;
+
+const drainQueue = async () => {
+  draining = true;
+  while (queue.length > 0) {
+    const { modelName, id } = queue.shift();
+    try {
+      await runExtraction(modelName, id);
+    } catch (error) {
+      console.error('PDF extraction job error:', { model: modelName, id: id.toString(), error: error.message });
+    }
+  }
+  draining = false;
+};
+
+// Schedules extraction for a stored document; returns immediately
+export const queueExtraction = (modelName, id) => {
+  if (!models[modelName]) {
+    throw new Error(`Unknown extraction model: ${modelName}`);
+  }
+  if (!queue.some(job => job.modelName === modelName && job.id.toString() === id.toString())) {
+    queue.push({ modelName, id });
+  }
+  if (!draining) {
+    drainQueue();
+  }
+};
+
+// Queues documents still waiting for extraction. Called on startup and from a cron job.
+export const resumePendingExtractions = async () => {
+  let queued = 0;
+  for (const [modelName, Model] of Object.entries(models)) {
+    const docs = await Model.find({ ...sweepFilters[modelName], ...claimableFilter() })
+      .select('_id')
+      .sort({ createdAt: 1 })
+      .limit(SWEEP_BATCH_SIZE)
+      .lean();
+    docs.forEach(doc => queueExtraction(modelName, doc._id));
+    queued += docs.length;
+  }
+  return { queued };
+};
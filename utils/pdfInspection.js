@@ -0,0 +1,211 @@
+import net from 'net';
+import zlib from 'zlib';
+import { getDocument } from 'pdfjs-dist/legacy/build/pdf.mjs';
+
+// Upload screening for PDFs: the bytes must really be a PDF that pdfjs can parse, and files that
+// are encrypted, carry JavaScript or launch actions, have an implausible page count or size, or that
+// ClamAV flags are held for an admin instead of entering the library (see models/QuarantinedUpload.js).
+//
+// ClamAV is optional. Set CLAMAV_SOCKET to clamd's local socket (e.g. /var/run/clamav/clamd.ctl),
+// or CLAMAV_HOST/CLAMAV_PORT for a TCP listener. With CLAMAV_REQUIRED=true an unreachable daemon
+// quarantines the upload rather than letting it through unscanned.
+
+const MIN_FILE_SIZE = 200;
+const MAX_PAGES = 2000;
+const MAX_BYTES_PER_PAGE = 20 * 1024 * 1024;
+const MAX_INFLATED_STREAM = 16 * 1024 * 1024;
+const MAX_INFLATED_TOTAL = 128 * 1024 * 1024;
+const CLAMAV_TIMEOUT_MS = 60 * 1000;
+const CLAMAV_CHUNK_SIZE = 64 * 1024;
+
+// Structural failures are rejected outright; everything else is a reason to quarantine
+export const REJECTION_CODES = ['not_pdf', 'malformed'];
+
+const FINDING_MESSAGES = {
+  not_pdf: 'الملف ليس بصيغة PDF صالحة',
+  malformed: 'تعذر قراءة بنية ملف PDF، قد يكون الملف تالفًا',
+  encrypted: 'الملف محمي بكلمة مرور أو مشفر',
+  javascript: 'الملف يحتوي على أكواد JavaScript مضمنة',
+  launch_action: 'الملف يحتوي على أوامر لتشغيل برامج أو ملفات خارجية',
+  empty_document: 'الملف لا يحتوي على أي صفحات',
+  too_many_pages: `عدد صفحات الملف يتجاوز ${MAX_PAGES} صفحة`,
+  size_outlier: 'حجم الملف غير متناسب مع عدد صفحاته',
+  malware: 'تم اكتشاف برمجية خبيثة في الملف',
+  scan_unavailable: 'تعذر فحص الملف بحثًا عن البرمجيات الخبيثة'
+};
+
+const finding = (code, detail = null) => ({ code, message: FINDING_MESSAGES[code], ...(detail && { detail }) });
+
+// Names may hide behind #xx escapes (/J#61vaScript); decode them before matching
+const decodeNames = (text) => text.replace(/\/[^\s/<>[\]()%]+/g, name => name.replace(/#([0-9a-fA-F]{2})/g, (match, hex) => String.fromCharCode(parseInt(hex, 16))));
+
+// Raw bytes plus every Flate stream that inflates within the limits, so names packed into
+// compressed object streams are seen too
+const collectSources = (buffer) => {
+  const raw = buffer.toString('latin1');
+  const sources = [raw];
+  const streamPattern = /stream\r?\n/g;
+  let inflated = 0;
+  let match;
+  while ((match = streamPattern.exec(raw)) && inflated < MAX_INFLATED_TOTAL) {
+    const start = match.index + match[0].length;
+    const end = raw.indexOf('endstream', start);
+    if (end === -1) break;
+    try {
+      const data = zlib.inflateSync(buffer.subarray(start, end), { maxOutputLength: MAX_INFLATED_STREAM });
+      inflated += data.length;
+      sources.push(data.toString('latin1'));
+    } catch {
+      // Not Flate, truncated or too large; the raw bytes are still scanned
+    }
+    streamPattern.lastIndex = end;
+  }
+  return sources;
+};
+
+const scanNames = (buffer) => {
+  const names = new Set();
+  for (const source of collectSources(buffer)) {
+    const decoded = decodeNames(source);
+    if (/\/Encrypt(?![A-Za-z0-9])/.test(decoded)) names.add('encrypted');
+    if (/\/(JavaScript|JS)(?![A-Za-z0-9])/.test(decoded)) names.add('javascript');
+    if (/\/Launch(?![A-Za-z0-9])/.test(decoded)) names.add('launch_action');
+  }
+  return names;
+};
+
+// JavaScript pdfjs resolves itself: document actions, page actions and form field actions
+const hasScriptActions = async (doc) => {
+  const hasActions = (actions) => Boolean(actions) && Object.keys(actions).length > 0;
+  if (hasActions(await doc.getJSActions())) return true;
+  for (let pageNumber = 1; pageNumber <= doc.numPages; pageNumber++) {
+    const page = await doc.getPage(pageNumber);
+    const [pageActions, annotations] = await Promise.all([page.getJSActions(), page.getAnnotations()]);
+    page.cleanup();
+    if (hasActions(pageActions) || annotations.some(annotation => hasActions(annotation.actions))) {
+      return true;
+    }
+  }
+  return false;
+};
+
+// Returns { pageCount, findings: [{ code, message, detail? }] }
+export const inspectPdf = async (buffer) => {
+  // The header may follow a little leading junk, as readers allow
+  if (buffer.length < MIN_FILE_SIZE || !buffer.subarray(0, 1024).toString('latin1').includes('%PDF-')) {
+    return { pageCount: null, findings: [finding('not_pdf')] };
+  }
+
+  const findings = [];
+  const names = scanNames(buffer);
+  names.forEach(code => findings.push(finding(code)));
+
+  let doc;
+  try {
+    doc = await getDocument({
+      data: new Uint8Array(buffer),
+      isEvalSupported: false,
+      disableFontFace: true,
+      stopAtErrors: true,
+      verbosity: 0
+    }).promise;
+  } catch (error) {
+    if (error.name === 'PasswordException') {
+      if (!names.has('encrypted')) findings.push(finding('encrypted'));
+      return { pageCount: null, findings };
+    }
+    return { pageCount: null, findings: [finding('malformed', error.message)] };
+  }
+
+  try {
+    const pageCount = doc.numPages;
+    if (pageCount === 0) {
+      findings.push(finding('empty_document'));
+    } else if (pageCount > MAX_PAGES) {
+      findings.push(finding('too_many_pages', `${pageCount}`));
+    } else {
+      if (buffer.length / pageCount > MAX_BYTES_PER_PAGE) {
+        findings.push(finding('size_outlier', `${pageCount} pages, ${buffer.length} bytes`));
+      }
+      if (!names.has('javascript') && await hasScriptActions(doc)) {
+        findings.push(finding('javascript'));
+      }
+    }
+    return { pageCount, findings };
+  } catch (error) {
+    return { pageCount: null, findings: [finding('malformed', error.message)] };
+  } finally {
+    await doc.destroy();
+  }
+};
+
+const clamavAddress = () => {
+  if (process.env.CLAMAV_SOCKET) return { path: process.env.CLAMAV_SOCKET };
+  if (process.env.CLAMAV_HOST) return { host: process.env.CLAMAV_HOST, port: Number(process.env.CLAMAV_PORT) || 3310 };
+  return null;
+};
+
+// Streams the buffer to clamd with INSTREAM. Returns { status: 'clean' | 'infected' | 'error' | 'skipped', signature?, error? }
+export const scanWithClamAV = (buffer) => {
+  const address = clamavAddress();
+  if (!address) return Promise.resolve({ status: 'skipped' });
+
+  return new Promise((resolve) => {
+    const replies = [];
+    let settled = false;
+    const done = (result) => {
+      if (settled) return;
+      settled = true;
+      socket.destroy();
+      resolve(result);
+    };
+
+    const socket = net.connect(address, () => {
+      socket.write('zINSTREAM\0');
+      for (let offset = 0; offset < buffer.length; offset += CLAMAV_CHUNK_SIZE) {
+        const chunk = buffer.subarray(offset, offset + CLAMAV_CHUNK_SIZE);
+        const size = Buffer.alloc(4);
+        size.writeUInt32BE(chunk.length);
+        socket.write(size);
+        socket.write(chunk);
+      }
+      socket.write(Buffer.alloc(4));
+    });
+    socket.setTimeout(CLAMAV_TIMEOUT_MS, () => done({ status: 'error', error: 'ClamAV scan timed out' }));
+    socket.on('data', chunk => replies.push(chunk));
+    socket.on('error', error => done({ status: 'error', error: error.message }));
+    socket.on('end', () => {
+      // Replies look like "stream: OK" or "stream: Eicar-Signature FOUND"
+      const reply = Buffer.concat(replies).toString('utf8').replace(/\0/g, '').trim();
+      const found = reply.match(/^stream: (.+) FOUND$/);
+      if (found) return done({ status: 'infected', signature: found[1] });
+      if (reply === 'stream: OK') return done({ status: 'clean' });
+      done({ status: 'error', error: reply || 'Empty reply from ClamAV' });
+    });
+  });
+};
+
+// Full screening of an upload. rejection is set for files that are not usable PDFs at all;
+// otherwise any findings mean the file must not be accepted as is.
+export const screenPdf = async (buffer) => {
+  const [inspection, scan] = await Promise.all([inspectPdf(buffer), scanWithClamAV(buffer)]);
+  const findings = [...inspection.findings];
+
+  if (scan.status === 'infected') {
+    findings.push(finding('malware', scan.signature));
+  } else if (scan.status === 'error') {
+    console.error('ClamAV scan failed:', scan.error);
+    if (process.env.CLAMAV_REQUIRED === 'true') {
+      findings.push(finding('scan_unavailable', scan.error));
+    }
+  }
+
+  // Malware outranks a parse failure: an infected non-PDF is still worth an admin's attention
+  const rejection = (scan.status !== 'infected' && findings.find(item => REJECTION_CODES.includes(item.code))) || null;
+  return {
+    pageCount: inspection.pageCount,
+    rejection,
+    findings,
+    scan: { status: scan.status, signature: scan.signature || null }
+  };
+};
@@ -0,0 +1,74 @@
+import PDF from '../models/pdf.js';
+import LectureRequest from '../models/LectureRequest.js';
+import { removeFile } from './fileStore.js';
+
+// Version history helpers for library PDFs (see pdfVersionSchema in models/pdf.js).
+
+// PDFs uploaded before versioning have no history; their file is treated as version 1
+const legacyVersion = (pdf) => ({
+  version: 1,
+  file: pdf.file,
+  fileName: pdf.fileName,
+  mimeType: pdf.mimeType,
+  note: null,
+  restoredFrom: null,
+  uploadedBy: pdf.uploadedBy,
+  createdAt: pdf.createdAt
+});
+
+export const getVersionHistory = (pdf) => (pdf.versions?.length ? pdf.versions : [legacyVersion(pdf)]);
+
+export const findVersion = (pdf, version) => getVersionHistory(pdf).find(entry => entry.version === version) || null;
+
+export const getCurrentVersion = (pdf) => findVersion(pdf, pdf.currentVersion || 1);
+
+// Appends a version, makes it current and resets what was extracted from the previous file.
+// The caller saves the PDF and queues extraction; returns the files the PDF no longer uses directly.
+export const addPdfVersion = (pdf, { file, fileName, mimeType, note, restoredFrom = null, uploadedBy }) => {
+  if (!pdf.versions?.length) {
+    pdf.versions = [legacyVersion(pdf)];
+  }
+  const replaced = [pdf.thumbnail].filter(Boolean);
+  const version = Math.max(...pdf.versions.map(entry => entry.version)) + 1;
+
+  pdf.versions.push({ version, file, fileName, mimeType, note, restoredFrom, uploadedBy, createdAt: new Date() });
+  pdf.currentVersion = version;
+  pdf.file = file;
+  pdf.fileName = fileName;
+  pdf.mimeType = mimeType;
+  pdf.pageCount = null;
+  pdf.thumbnail = null;
+  pdf.textContent = null;
+  pdf.extraction = { status: 'pending', attempts: 0 };
+  return replaced;
+};
+
+export const formatVersion = (entry, currentVersion) => ({
+  version: entry.version,
+  current: entry.version === currentVersion,
+  fileName: entry.fileName,
+  size: entry.file.size,
+  note: entry.note,
+  restoredFrom: entry.restoredFrom,
+  uploadedBy: entry.uploadedBy?.email || entry.uploadedBy?.toString() || null,
+  createdAt: entry.createdAt
+});
+
+// Approved lecture requests share their file and thumbnail with the resulting PDF, and restored
+// versions share a file with the version they came from, so only drop unreferenced files
+export const removeFileIfUnreferenced = async (file) => {
+  const references = {
+    $or: [
+      { 'file.driver': file.driver, 'file.key': file.key },
+      { 'thumbnail.driver': file.driver, 'thumbnail.key': file.key },
+      { versions: { $elemMatch: { 'file.driver': file.driver, 'file.key': file.key } } }
+    ]
+  };
+  const [pdfRefs, requestRefs] = await Promise.all([
+    PDF.countDocuments(references),
+    LectureRequest.countDocuments(references)
+  ]);
+  if (pdfRefs + requestRefs === 0) {
+    await removeFile(file);
+  }
+};
@@ -0,0 +1,94 @@
+import mongoose from 'mongoose';
+import User from '../models/User.js';
+import JoinRequest from '../models/JoinRequest.js';
+import { getPermissionScope } from './permissions.js';
+
+export const VISIBILITY_LEVELS = ['public', 'volunteers', 'restricted', 'private'];
+export const VISIBILITY_ROLES = ['user', 'leader', 'admin'];
+
+// Describes who is asking: null for anonymous requests, otherwise their role and leader groups.
+// A member belongs to their supervisor's group; a leader also belongs to their own group.
+export const loadViewer = async (req) => {
+  if (!req.userId) return null;
+
+  const user = await User.findById(req.userId).select('email role').lean();
+  if (!user) return null;
+
+  const member = await JoinRequest.findOne({ email: user.email, status: 'Approved' }).select('supervisor').lean();
+  const groups = [];
+  if (member?.supervisor) groups.push(member.supervisor.toString());
+  if (user.role === 'leader') groups.push(user._id.toString());
+
+  return {
+    userId: user._id.toString(),
+    role: user.role,
+    groups,
+    seesAll: getPermissionScope(user.role, 'pdf:read') === 'all'
+  };
+};
+
+export const canViewPdf = (pdf, viewer) => {
+  const level = pdf.visibility?.level || 'private';
+  if (level === 'public') return true;
+  if (!viewer) return false;
+  if (viewer.seesAll) return true;
+  if (pdf.uploadedBy && (pdf.uploadedBy._id || pdf.uploadedBy).toString() === viewer.userId) return true;
+  if (level === 'volunteers') return true;
+  if (level === 'restricted') {
+    return (pdf.visibility.roles || []).includes(viewer.role) ||
+      (pdf.visibility.groups || []).some(group => viewer.groups.includes(group.toString()));
+  }
+  return false;
+};
+
+// Mongo filter matching the PDFs the viewer may see
+export const visibilityFilter = (viewer) => {
+  if (!viewer) return { 'visibility.level': 'public' };
+  if (viewer.seesAll) return {};
+  return {
+    $or: [
+      { 'visibility.level': { $in: ['public', 'volunteers'] } },
+      { uploadedBy: new mongoose.Types.ObjectId(viewer.userId) },
+      {
+        'visibility.level': 'restricted',
+        $or: [
+          { 'visibility.roles': viewer.role },
+          { 'visibility.groups': { $in: viewer.groups.map(group => new mongoose.Types.ObjectId(group)) } }
+        ]
+      }
+    ]
+  };
+};
+
+// Validates a visibility payload. Returns { visibility } or { error }.
+export const normalizeVisibility = async (input) => {
+  if (!input || !VISIBILITY_LEVELS.includes(input.level)) {
+    return { error: `مستوى الظهور يجب أن يكون أحد: ${VISIBILITY_LEVELS.join(', ')}` };
+  }
+  if (input.level !== 'restricted') {
+    return { visibility: { level: input.level, roles: [], groups: [] } };
+  }
+
+  const roles = Array.isArray(input.roles) ? [...new Set(input.roles)] : [];
+  const groups = Array.isArray(input.groups) ? [...new Set(input.groups.map(String))] : [];
+  if (roles.length === 0 && groups.length === 0) {
+    return { error: 'يجب تحديد دور أو مجموعة واحدة على الأقل للظهور المقيد' };
+  }
+  if (roles.some(role => !VISIBILITY_ROLES.includes(role))) {
+    return { error: `الأدوار يجب أن تكون من: ${VISIBILITY_ROLES.join(', ')}` };
+  }
+  if (groups.some(group => !mongoose.isValidObjectId(group))) {
+    return { error: 'معرف المجموعة غير صالح' };
+  }
+  const leaders = await User.countDocuments({ _id: { $in: groups }, role: 'leader' });
+  if (leaders !== groups.length) {
+    return { error: 'كل مجموعة يجب أن تشير إلى قائد موجود' };
+  }
+  return { visibility: { level: 'restricted', roles, groups } };
+};
+
+export const formatVisibility = (visibility) => ({
+  level: visibility?.level || 'private',
+  roles: visibility?.roles || [],
+  groups: (visibility?.groups || []).map(group => group.toString())
+});
@@ -0,0 +1,115 @@
+import User from '../models/User.js';
+import JoinRequest from '../models/JoinRequest.js';
+
+// Each role maps a capability to the scope it is granted on:
+//   'own'        - only records belonging to the caller
+//   'supervised' - records of the members the leader supervises (plus their own)
+//   'all'        - every record
+const USER_PERMISSIONS = {
+  'profile:manage': 'own',
+  'meetings:manage': 'own',
+  'notifications:manage': 'own',
+  'members:read': 'own',
+  'students:create': 'own',
+  'students:read': 'own',
+  'lectures:create': 'own',
+  'pdf:upload': 'own',
+  'pdf:read': 'own',
+  'pdf:delete': 'own',
+  'pdf:edit': 'own',
+  'lecture_requests:create': 'own',
+  'lecture_requests:read': 'all',
+  'gallery:upload': 'own',
+  'gallery:manage': 'own',
+  'testimonials:create': 'own',
+  'testimonials:manage': 'own',
+  'hours:read': 'own',
+  'study_paths:read': 'all',
+  'study_paths:assign': 'own',
+  'homework:manage': 'own'
+};
+
+const LEADER_PERMISSIONS = {
+  ...USER_PERMISSIONS,
+  'members:read': 'supervised',
+  'students:create': 'supervised',
+  'students:read': 'supervised',
+  'lectures:monitor': 'supervised',
+  'groups:read': 'supervised',
+  'hours:read': 'supervised',
+  'study_paths:manage': 'own',
+  'study_paths:assign': 'supervised',
+  'homework:manage': 'supervised'
+};
+
+const ADMIN_PERMISSIONS = Object.fromEntries([
+  ...Object.keys(LEADER_PERMISSIONS),
+  'join_requests:read',
+  'join_requests:review',
+  'members:update',
+  'members:delete',
+  'lectures:delete',
+  'reports:manage',
+  'messages:manage',
+  'sessions:manage',
+  'pdf:approve',
+  'leaderboard:manage',
+  'groups:manage',
+  'students:transfer',
+  'audit:read',
+  'hours:adjust',
+  'award_rules:manage',
+  'pdf:visibility',
+  'facets:manage',
+  'pdf:import',
+  'uploads:quarantine',
+  'pdf:analytics'
+].map(capability => [capability, 'all']));
+
+export const ROLE_PERMISSIONS = {
+  user: USER_PERMISSIONS,
+  leader: LEADER_PERMISSIONS,
+  admin: ADMIN_PERMISSIONS
+};
+
+export const getPermissionScope = (role, capability) => ROLE_PERMISSIONS[role]?.[capability] || null;
+
+export const getRolePermissions = (role) => ROLE_PERMISSIONS[role] || {};
+
+// Checks whether a member (JoinRequest document) falls inside the scope granted to the caller
+export const isMemberInScope = async (scope, member, userId) => {
+  if (scope === 'all') return true;
+  if (!member) return false;
+
+  if (scope === 'supervised' && member.supervisor && member.supervisor.toString() === userId.toString()) {
+    return true;
+  }
+
+  // 'own' and 'supervised' both include the caller's own membership
+  const user = await User.findById(userId).select('email').lean();
+  return !!user && user.email === member.email.toLowerCase().trim();
+};
+
+// Checks whether a student falls inside the scope granted to the caller (via their volunteer)
+export const isStudentInScope = async (scope, student, userId) => {
+  if (scope === 'all') return true;
+  if (!student || !student.volunteer) return false;
+  if (student.volunteer.toString() === userId.toString()) return true;
+  if (scope !== 'supervised') return false;
+
+  const volunteer = await User.findById(student.volunteer).select('email').lean();
+  if (!volunteer) return false;
+  const member = await JoinRequest.findOne({ email: volunteer.email }).select('email supervisor').lean();
+  return await isMemberInScope(scope, member, userId);
+};
+
+// Returns the Mongo filter restricting JoinRequest queries to the caller's scope
+export const memberScopeFilter = async (scope, userId) => {
+  if (scope === 'all') return {};
+  const user = await User.findById(userId).select('email').lean();
+  const own = { email: user ? user.email : null };
+  if (scope === 'supervised') {
+    return { $or: [own, { supervisor: userId }] };
+  }
+  return own;
+};
@@ -0,0 +1,163 @@
+import PDF from '../models/pdf.js';
+import LectureRequest from '../models/LectureRequest.js';
+import QuarantinedUpload from '../models/QuarantinedUpload.js';
+import { readStoredFile, removeFile } from './fileStore.js';
+import { screenPdf, REJECTION_CODES } from './pdfInspection.js';
+import { findExactDuplicate } from './duplicates.js';
+import { queueExtraction } from './pdfExtraction.js';
+import { addPdfVersion, removeFileIfUnreferenced } from './pdfVersions.js';
+import { addResubmission, notifyUploader } from './lectureRequestReview.js';
+
+// Held for the record only: infected files and files that are not usable PDFs can never be released
+export const UNRELEASABLE_CODES = ['malware', ...REJECTION_CODES];
+
+const publicFindings = (findings) => findings.map(({ code, message }) => ({ code, message }));
+
+// Screens a file multer has already stored. Returns false when the upload may proceed; otherwise the
+// response is sent and the stored file dealt with: files that are not usable PDFs are rejected (400),
+// and suspicious files are quarantined for an admin (202) along with what the upload was for:
+// `target` (see QUARANTINE_TARGETS), the existing document's `targetId` if any, and the upload's `fields`.
+export const screenUpload = async (req, res, { target, targetId = null, fields = {} }) => {
+  const storedFile = req.file.storedFile;
+  const screening = await screenPdf(await readStoredFile(storedFile));
+
+  if (screening.rejection) {
+    await removeFile(storedFile).catch(() => {});
+    res.status(400).json({ message: screening.rejection.message, findings: publicFindings(screening.findings) });
+    return true;
+  }
+  if (screening.findings.length === 0) {
+    return false;
+  }
+
+  let entry;
+  try {
+    entry = await QuarantinedUpload.create({
+      target,
+      targetId,
+      file: storedFile,
+      fileName: req.file.originalname,
+      mimeType: req.file.mimetype,
+      fields,
+      uploadedBy: req.userId,
+      findings: screening.findings,
+      scan: screening.scan
+    });
+  } catch (error) {
+    await removeFile(storedFile).catch(() => {});
+    throw error;
+  }
+  console.warn('تم حجز ملف مرفوع للمراجعة الأمنية:', { id: entry._id, target, userId: req.userId, findings: screening.findings.map(item => item.code) });
+  res.status(202).json({
+    message: 'تم حجز الملف للمراجعة الأمنية، ولن تتم إضافته قبل موافقة الإدارة',
+    quarantineId: entry._id.toString(),
+    findings: publicFindings(screening.findings)
+  });
+  return true;
+};
+
+// Adds the held file to its PDF as a new version, noted as uploaded by whoever uploaded it
+const releasePdfVersion = async (entry) => {
+  const pdf = await PDF.findById(entry.targetId);
+  if (!pdf) {
+    return { status: 404, error: 'الملف الذي رفعت له النسخة لم يعد موجودًا' };
+  }
+
+  const replaced = addPdfVersion(pdf, {
+    file: entry.file,
+    fileName: entry.fileName,
+    mimeType: entry.mimeType,
+    note: entry.fields?.note,
+    uploadedBy: entry.uploadedBy
+  });
+  await pdf.save();
+  queueExtraction('PDF', pdf._id);
+  for (const file of replaced) {
+    await removeFileIfUnreferenced(file).catch(error => {
+      console.error('Failed to remove replaced file from store:', { id: pdf._id, key: file.key, error: error.message });
+    });
+  }
+  return { doc: pdf };
+};
+
+// Puts the held file forward as the corrected file of its lecture request, if it still awaits one
+const releaseResubmission = async (entry) => {
+  const lectureRequest = await LectureRequest.findById(entry.targetId);
+  if (!lectureRequest) {
+    return { status: 404, error: 'الطلب الذي رفع له الملف لم يعد موجودًا' };
+  }
+  if (lectureRequest.status !== 'changes_requested') {
+    return { status: 409, error: 'لم يعد الطلب بانتظار نسخة معدلة' };
+  }
+  const duplicate = await findExactDuplicate(entry.file.sha256, { excludeRequestId: lectureRequest._id });
+  if (duplicate) {
+    return { status: 409, error: 'الملف موجود بالفعل في المكتبة أو بانتظار المراجعة', duplicate };
+  }
+
+  const previousThumbnail = addResubmission(lectureRequest, {
+    file: entry.file,
+    fileName: entry.fileName,
+    mimeType: entry.mimeType,
+    note: entry.fields?.note
+  });
+  await lectureRequest.save();
+  queueExtraction('LectureRequest', lectureRequest._id);
+  if (previousThumbnail) {
+    await removeFile(previousThumbnail).catch(error => {
+      console.error('Failed to remove previous thumbnail:', { id: lectureRequest._id, error: error.message });
+    });
+  }
+  await notifyUploader(lectureRequest);
+  return { doc: lectureRequest };
+};
+
+// Applies the upload as it was meant: creates the PDF or lecture request, or adds the file to the
+// existing one as a new version or corrected file. Returns { doc } or { status, error }.
+export const releaseQuarantinedUpload = async (entry) => {
+  if (entry.findings.some(item => UNRELEASABLE_CODES.includes(item.code))) {
+    return { status: 409, error: 'لا يمكن الإفراج عن ملف مصاب أو غير صالح، يمكن حذفه فقط' };
+  }
+  if (entry.target === 'pdf_version') {
+    return releasePdfVersion(entry);
+  }
+  if (entry.target === 'lecture_request_resubmission') {
+    return releaseResubmission(entry);
+  }
+
+  const duplicate = await findExactDuplicate(entry.file.sha256);
+  if (duplicate) {
+    return { status: 409, error: 'الملف موجود بالفعل في المكتبة أو بانتظار المراجعة', duplicate };
+  }
+
+  const Model = entry.target === 'pdf' ? PDF : LectureRequest;
+  const doc = new Model({
+    ...entry.fields,
+    file: entry.file,
+    fileName: entry.fileName,
+    mimeType: entry.mimeType,
+    uploadedBy: entry.uploadedBy,
+    ...(entry.target === 'lecture_request' && { status: 'pending' })
+  });
+  await doc.save();
+  queueExtraction(Model.modelName, doc._id);
+  return { doc };
+};
+
+export const formatQuarantinedUpload = (entry) => ({
+  id: entry._id.toString(),
+  target: entry.target,
+  targetId: entry.targetId?.toString() || null,
+  fileName: entry.fileName,
+  size: entry.file.size,
+  fields: entry.fields,
+  uploadedBy: entry.uploadedBy?.email || entry.uploadedBy?.toString() || null,
+  findings: entry.findings.map(({ code, message, detail }) => ({ code, message, detail })),
+  releasable: !entry.findings.some(item => UNRELEASABLE_CODES.includes(item.code)),
+  scan: { status: entry.scan?.status || 'skipped', signature: entry.scan?.signature || null },
+  status: entry.status,
+  reviewedBy: entry.reviewedBy?.email || entry.reviewedBy?.toString() || null,
+  reviewedAt: entry.reviewedAt,
+  reviewNote: entry.reviewNote,
+  releasedId: entry.releasedId?.toString() || null,
+  createdAt: entry.createdAt
+});
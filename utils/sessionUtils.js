@@ -0,0 +1,134 @@
+import crypto from 'crypto';
+import jwt from 'jsonwebtoken';
+import Session from '../models/Session.js';
+
+// Read lazily: server.js loads .env after its imports are evaluated
+const accessTokenTtl = () => process.env.ACCESS_TOKEN_TTL || '15m';
+const refreshTokenTtlDays = () => parseInt(process.env.REFRESH_TOKEN_TTL_DAYS, 10) || 30;
+
+const hashToken = (secret) => crypto.createHash('sha256').update(secret).digest('hex');
+
+// Refresh tokens look like "<sessionId>.<secret>" so the session can be found without scanning hashes
+const buildRefreshToken = (sessionId, secret) => `${sessionId}.${secret}`;
+
+const parseRefreshToken = (refreshToken) => {
+  if (typeof refreshToken !== 'string') return null;
+  const [sessionId, secret] = refreshToken.split('.');
+  if (!sessionId || !secret || !/^[a-f0-9]{24}$/.test(sessionId)) return null;
+  return { sessionId, secret };
+};
+
+export const signAccessToken = (user, sessionId) => jwt.sign(
+  { userId: user._id, role: user.role, sessionId },
+  process.env.JWT_SECRET,
+  { expiresIn: accessTokenTtl() }
+);
+
+export const createSession = async (user, req) => {
+  const secret = crypto.randomBytes(48).toString('hex');
+  const session = new Session({
+    userId: user._id,
+    refreshTokenHash: hashToken(secret),
+    userAgent: req.get('User-Agent') || null,
+    ip: req.ip || null,
+    expiresAt: new Date(Date.now() + refreshTokenTtlDays() * 24 * 60 * 60 * 1000)
+  });
+  await session.save();
+
+  return {
+    session,
+    token: signAccessToken(user, session._id),
+    refreshToken: buildRefreshToken(session._id, secret)
+  };
+};
+
+// How long the previous refresh token stays valid after a rotation. Two tabs (or a client retry)
+// refreshing at the same moment both present the same token; the slower one must not look like reuse.
+const ROTATION_GRACE_MS = 30 * 1000;
+
+// Exchanges a refresh token for a new access/refresh pair. Presenting an already
+// rotated refresh token revokes the whole session, since it means the token leaked.
+export const rotateRefreshToken = async (refreshToken, loadUser) => {
+  const parsed = parseRefreshToken(refreshToken);
+  if (!parsed) return { error: 'invalid' };
+
+  const existing = await Session.findById(parsed.sessionId).select('userId revokedAt expiresAt').lean();
+  if (!existing || existing.revokedAt || existing.expiresAt <= new Date()) {
+    return { error: 'invalid' };
+  }
+
+  const user = await loadUser(existing.userId);
+  if (!user) return { error: 'invalid' };
+
+  // The swap only happens if the presented token is still current (or was current a moment ago),
+  // so concurrent refreshes can't overwrite each other's rotation
+  const now = new Date();
+  const presentedHash = hashToken(parsed.secret);
+  const secret = crypto.randomBytes(48).toString('hex');
+  const session = await Session.findOneAndUpdate(
+    {
+      _id: parsed.sessionId,
+      revokedAt: null,
+      expiresAt: { $gt: now },
+      $or: [
+        { refreshTokenHash: presentedHash },
+        { previousRefreshTokenHash: presentedHash, rotatedAt: { $gt: new Date(now.getTime() - ROTATION_GRACE_MS) } }
+      ]
+    },
+    [{
+      $set: {
+        previousRefreshTokenHash: '$refreshTokenHash',
+        refreshTokenHash: hashToken(secret),
+        rotatedAt: now,
+        lastUsedAt: now
+      }
+    }],
+    { new: true }
+  );
+
+  if (!session) {
+    const revoked = await Session.findOneAndUpdate(
+      { _id: parsed.sessionId, revokedAt: null, expiresAt: { $gt: now } },
+      { $set: { revokedAt: now, revokedReason: 'token_reuse' } }
+    );
+    if (!revoked) return { error: 'invalid' };
+    console.warn('Refresh token reuse detected, session revoked:', parsed.sessionId);
+    return { error: 'reused' };
+  }
+
+  return {
+    user,
+    session,
+    token: signAccessToken(user, session._id),
+    refreshToken: buildRefreshToken(session._id, secret)
+  };
+};
+
+export const isSessionActive = async (sessionId) => {
+  if (!sessionId) return false;
+  const session = await Session.findById(sessionId).select('revokedAt expiresAt').lean();
+  return !!session && !session.revokedAt && session.expiresAt > new Date();
+};
+
+export const revokeSession = (sessionId, reason) => Session.updateOne(
+  { _id: sessionId, revokedAt: null },
+  { $set: { revokedAt: new Date(), revokedReason: reason } }
+);
+
+export const revokeUserSessions = (userId, reason, exceptSessionId = null) => Session.updateMany(
+  {
+    userId,
+    revokedAt: null,
+    ...(exceptSessionId ? { _id: { $ne: exceptSessionId } } : {})
+  },
+  { $set: { revokedAt: new Date(), revokedReason: reason } }
+);
+
+export const listActiveSessions = (userId) => Session.find({
+  userId,
+  revokedAt: null,
+  expiresAt: { $gt: new Date() }
+})
+  .select('userAgent ip createdAt lastUsedAt expiresAt')
+  .sort({ lastUsedAt: -1 })
+  .lean();
@@ -0,0 +1,95 @@
+import Student from '../models/Student.js';
+
+// Shapes a Student document like the student objects previously embedded in User
+export const formatStudent = (student) => ({
+  _id: student._id,
+  name: student.name,
+  email: student.email,
+  phone: student.phone,
+  grade: student.grade,
+  subjects: (student.enrollments || [])
+    .filter(enrollment => enrollment.active)
+    .map(enrollment => ({ name: enrollment.subject, minLectures: enrollment.minLectures }))
+});
+
+export const getVolunteerStudents = (volunteerId, session = null) =>
+  Student.find({ volunteer: volunteerId }).sort({ createdAt: 1 }).session(session);
+
+// Adds studentName to each lecture, looking students up by ID so transferred students still resolve
+export const attachStudentNames = async (lectures) => {
+  const studentIds = [...new Set(lectures.filter(lecture => lecture.studentId).map(lecture => lecture.studentId.toString()))];
+  const students = await Student.find({ _id: { $in: studentIds } }).select('name').lean();
+  return lectures.map(lecture => ({
+    ...(lecture.toObject ? lecture.toObject() : lecture),
+    studentName: students.find(student => student._id.toString() === lecture.studentId?.toString())?.name || 'Unknown'
+  }));
+};
+
+export const assignStudent = (student, volunteerId, reason = null) => {
+  closeAssignment(student, reason);
+  student.volunteer = volunteerId;
+  student.assignments.push({ volunteer: volunteerId, assignedAt: new Date(), reason });
+};
+
+export const unassignStudent = (student, reason = null) => {
+  closeAssignment(student, reason);
+  student.volunteer = null;
+};
+
+const closeAssignment = (student, reason) => {
+  const current = student.assignments.find(assignment => !assignment.unassignedAt);
+  if (current) {
+    current.unassignedAt = new Date();
+    if (reason) current.reason = current.reason || reason;
+  }
+};
+
+// Activates the given subjects (updating minLectures) and deactivates the others
+export const setEnrollments = (student, subjects = []) => {
+  const names = subjects.map(subject => subject.name.trim());
+  for (const enrollment of student.enrollments) {
+    if (!names.includes(enrollment.subject)) enrollment.active = false;
+  }
+  for (const subject of subjects) {
+    const name = subject.name.trim();
+    const existing = student.enrollments.find(enrollment => enrollment.subject === name);
+    if (existing) {
+      existing.minLectures = subject.minLectures;
+      existing.active = true;
+    } else {
+      student.enrollments.push({ subject: name, minLectures: subject.minLectures });
+    }
+  }
+};
+
+// Makes the volunteer's student list match `students`: matched students are updated,
+// new ones created and missing ones unassigned (their history is kept).
+export const syncVolunteerStudents = async (volunteerId, students, session = null) => {
+  const existing = await getVolunteerStudents(volunteerId, session);
+  const kept = [];
+
+  for (const data of students) {
+    const email = data.email.toLowerCase().trim();
+    let student = existing.find(s => (data._id && s._id.toString() === data._id.toString()) || s.email === email);
+    if (!student) {
+      student = new Student({ name: data.name, email, phone: data.phone, grade: data.grade });
+      assignStudent(student, volunteerId);
+    }
+    student.name = data.name;
+    student.email = email;
+    student.phone = data.phone;
+    student.grade = data.grade;
+    setEnrollments(student, data.subjects || []);
+    await student.save({ session });
+    kept.push(student);
+  }
+
+  for (const student of existing) {
+    if (!kept.some(s => s._id.equals(student._id))) {
+      unassignStudent(student, 'removed');
+      await student.save({ session });
+    }
+  }
+
+  return kept;
+};
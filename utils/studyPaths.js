@@ -0,0 +1,181 @@
+import mongoose from 'mongoose';
+import PDF from '../models/pdf.js';
+import StudyPath from '../models/StudyPath.js';
+import { resolveFacetValue } from './facets.js';
+import { canViewPdf } from './pdfVisibility.js';
+import { getPermissionScope } from './permissions.js';
+
+export const MAX_STUDY_PATH_ITEMS = 200;
+const MAX_NOTE_LENGTH = 2000;
+
+// Published paths are meant for every volunteer, so their PDFs must be visible to all of them
+const PUBLISHABLE_VISIBILITY = ['public', 'volunteers'];
+
+const text = (value) => (typeof value === 'string' ? value.trim() : '');
+
+// Checks the ordered items and that their PDFs exist. Prerequisites must be PDFs of earlier steps,
+// which also rules out cycles. Returns { items } or { error }.
+const normalizeItems = async (input) => {
+  if (!Array.isArray(input)) {
+    return { error: 'قائمة الملفات يجب أن تكون مصفوفة' };
+  }
+  if (input.length > MAX_STUDY_PATH_ITEMS) {
+    return { error: `المسار يمكن أن يحتوي على ${MAX_STUDY_PATH_ITEMS} ملف كحد أقصى` };
+  }
+
+  const items = [];
+  const seen = new Set();
+  for (const [index, item] of input.entries()) {
+    const step = index + 1;
+    const pdfId = typeof item === 'string' ? item : item?.pdf;
+    if (!mongoose.isValidObjectId(pdfId)) {
+      return { error: `معرف الملف في الخطوة ${step} غير صالح` };
+    }
+    if (seen.has(pdfId.toString())) {
+      return { error: `الملف في الخطوة ${step} مذكور أكثر من مرة في المسار` };
+    }
+
+    const note = text(item?.note);
+    if (note.length > MAX_NOTE_LENGTH) {
+      return { error: `الملاحظة في الخطوة ${step} طويلة جدًا` };
+    }
+
+    const prerequisites = item?.prerequisites ?? [];
+    if (!Array.isArray(prerequisites)) {
+      return { error: `المتطلبات السابقة في الخطوة ${step} يجب أن تكون مصفوفة` };
+    }
+    for (const prerequisite of prerequisites) {
+      if (!mongoose.isValidObjectId(prerequisite) || !seen.has(prerequisite.toString())) {
+        return { error: `المتطلبات السابقة في الخطوة ${step} يجب أن تكون ملفات من خطوات قبلها` };
+      }
+    }
+
+    seen.add(pdfId.toString());
+    items.push({ pdf: pdfId.toString(), note: note || null, prerequisites: [...new Set(prerequisites.map(String))] });
+  }
+
+  const found = await PDF.countDocuments({ _id: { $in: [...seen] } });
+  if (found !== seen.size) {
+    return { error: 'بعض الملفات غير موجودة في المكتبة' };
+  }
+  return { items };
+};
+
+// Validates a create or update payload. With partial, only the fields present are checked.
+// Returns { fields } or { error }.
+export const normalizeStudyPathInput = async (body, { partial = false } = {}) => {
+  const fields = {};
+
+  if (!partial || body.title !== undefined) {
+    fields.title = text(body.title);
+    if (!fields.title) return { error: 'عنوان المسار مطلوب' };
+  }
+  if (body.description !== undefined) {
+    fields.description = text(body.description);
+  }
+
+  for (const facet of ['subject', 'academicLevel', 'semester']) {
+    if (!partial || body[facet] !== undefined) {
+      const { value, error } = await resolveFacetValue(facet, body[facet]);
+      if (error) return { error };
+      fields[facet] = value;
+    }
+  }
+  // Country is optional: a path can serve every curriculum of its level
+  if (body.country !== undefined) {
+    if (text(body.country)) {
+      const { value, error } = await resolveFacetValue('country', body.country);
+      if (error) return { error };
+      fields.country = value;
+    } else {
+      fields.country = null;
+    }
+  }
+
+  if (!partial || body.items !== undefined) {
+    const { items, error } = await normalizeItems(body.items ?? []);
+    if (error) return { error };
+    fields.items = items;
+  }
+
+  return { fields };
+};
+
+// Creators manage their own paths; admins manage all
+export const canManageStudyPath = (path, req) => {
+  const scope = getPermissionScope(req.userRole, 'study_paths:manage');
+  return scope === 'all' || (scope === 'own' && path.createdBy.toString() === req.userId.toString());
+};
+
+// Paths the caller may open: published ones, plus drafts they manage
+export const studyPathAccessFilter = (req) => {
+  const scope = getPermissionScope(req.userRole, 'study_paths:manage');
+  if (scope === 'all') return {};
+  if (scope === 'own') return { $or: [{ status: 'published' }, { createdBy: req.userId }] };
+  return { status: 'published' };
+};
+
+// Returns null when the path can be published, otherwise the reason
+export const checkPublishable = async (path) => {
+  if (path.items.length === 0) {
+    return 'لا يمكن نشر مسار لا يحتوي على أي ملفات';
+  }
+  const pdfs = await PDF.find({ _id: { $in: path.items.map(item => item.pdf) } }).select('title visibility').lean();
+  if (pdfs.length !== path.items.length) {
+    return 'بعض ملفات المسار لم تعد موجودة في المكتبة';
+  }
+  const hidden = pdfs.filter(pdf => !PUBLISHABLE_VISIBILITY.includes(pdf.visibility?.level));
+  if (hidden.length > 0) {
+    return `بعض الملفات غير متاحة لجميع المتطوعين: ${hidden.map(pdf => pdf.title).join('، ')}`;
+  }
+  return null;
+};
+
+// Drops a deleted PDF from every path, including where it was a prerequisite
+export const removePdfFromStudyPaths = async (pdfId) => {
+  await StudyPath.updateMany({ 'items.pdf': pdfId }, { $pull: { items: { pdf: pdfId } } });
+  await StudyPath.updateMany({ 'items.prerequisites': pdfId }, { $pull: { 'items.$[].prerequisites': pdfId } });
+};
+
+export const formatStudyPathSummary = (path) => ({
+  id: path._id.toString(),
+  title: path.title,
+  description: path.description,
+  subject: path.subject,
+  academicLevel: path.academicLevel,
+  semester: path.semester,
+  country: path.country,
+  status: path.status,
+  itemCount: path.items.length,
+  createdBy: path.createdBy?.email || path.createdBy?.toString() || null,
+  publishedAt: path.publishedAt,
+  createdAt: path.createdAt,
+  updatedAt: path.updatedAt
+});
+
+// Full path with its steps. PDFs the viewer can't open are listed without their details.
+export const formatStudyPath = async (path, viewer) => {
+  const pdfs = await PDF.find({ _id: { $in: path.items.map(item => item.pdf) } })
+    .select('title subject academicLevel pageCount thumbnail uploadedBy visibility')
+    .lean();
+  const byId = new Map(pdfs.map(pdf => [pdf._id.toString(), pdf]));
+
+  return {
+    ...formatStudyPathSummary(path),
+    items: path.items.map((item, index) => {
+      const pdf = byId.get(item.pdf.toString());
+      const available = Boolean(pdf) && canViewPdf(pdf, viewer);
+      return {
+        sequence: index + 1,
+        pdfId: item.pdf.toString(),
+        available,
+        title: available ? pdf.title : null,
+        pageCount: available ? pdf.pageCount ?? null : null,
+        thumbnailUrl: available && pdf.thumbnail ? `/api/pdf/thumbnail/${pdf._id}` : null,
+        viewUrl: available ? `/api/pdf/view/${pdf._id}` : null,
+        note: item.note,
+        prerequisites: item.prerequisites.map(String)
+      };
+    })
+  };
+};
@@ -0,0 +1,32 @@
+// Returns the previous Saturday-to-Friday week used by the low lecture reports
+export const getPreviousWeekRange = (now = new Date()) => {
+  const dayOfWeek = now.getDay();
+  let daysToPreviousSaturday = (dayOfWeek + 1) % 7;
+  if (daysToPreviousSaturday === 0) daysToPreviousSaturday = 7;
+
+  const previousSaturday = new Date(now);
+  previousSaturday.setDate(now.getDate() - daysToPreviousSaturday);
+
+  const weekStart = new Date(previousSaturday);
+  weekStart.setDate(previousSaturday.getDate() - 7);
+  weekStart.setHours(0, 0, 0, 0);
+
+  const weekEnd = new Date(previousSaturday);
+  weekEnd.setDate(previousSaturday.getDate() - 1);
+  weekEnd.setHours(23, 59, 59, 999);
+
+  return { weekStart, weekEnd };
+};
+
+// Returns the Saturday-to-Friday week containing the given date
+export const getCurrentWeekRange = (now = new Date()) => {
+  const weekStart = new Date(now);
+  weekStart.setDate(now.getDate() - ((now.getDay() + 1) % 7));
+  weekStart.setHours(0, 0, 0, 0);
+
+  const weekEnd = new Date(weekStart);
+  weekEnd.setDate(weekStart.getDate() + 6);
+  weekEnd.setHours(23, 59, 59, 999);
+
+  return { weekStart, weekEnd };
+};